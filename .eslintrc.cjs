@@ -11,6 +11,13 @@ module.exports = {
   parserOptions: { ecmaVersion: "latest", sourceType: "module" },
   settings: { react: { version: "18.2" } },
   plugins: ["react-refresh"],
+  overrides: [
+    {
+      // The safe command line and the local Safe scripts run in Node
+      files: ["src/Cli/**", "src/Scripts/DeployLocalSafe.js", "src/Scripts/DirectExecutionE2E.js"],
+      env: { node: true },
+    },
+  ],
   rules: {
     "react-refresh/only-export-components": [
       "warn",
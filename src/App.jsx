@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import { ethers } from "ethers";
+import PropTypes from "prop-types";
 import Safe from '@safe-global/protocol-kit';
 import SafeApiKit from '@safe-global/api-kit';
 import { OperationType } from '@safe-global/types-kit';
@@ -57,15 +58,78 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-// Import the contract ABIs and addresses
-import { Address as USDCAddress, ABI as USDCABI } from "./Contracts/USDC.js";
-import { Address as ZUSDAddress, ABI as ZUSDABI } from "./Contracts/ZUSD.js";
+ErrorBoundary.propTypes = {
+  children: PropTypes.node
+};
+
+// Import the contract registry (built-in ABIs and user-imported contracts)
+import { loadBuiltInContracts, loadCustomContracts, removeCustomContract, setActiveChain } from "./Helper/ContractRegistry.js";
+import { CONTRACT_NETWORKS, TRANSACTION_SERVICE_ENABLED, getChainInfo, loadActiveSafe, storeActiveSafe } from "./Helper/SafeConfig.js";
+import { decodeCall, isRejectionTransaction, reverseDecodeCall } from "./Helper/TransactionDecoder.js";
+import { loadTokenDecimals } from "./Helper/TokenMetadata.js";
+import { describeNonce, getNextFreeNonce } from "./Helper/NonceQueue.js";
+import { getParamKey, createEmptyValue, collectEnsNames, buildFunctionArgs, formatParamValue, buildRawCall } from "./Helper/ParameterSchema.js";
+import { convertEthValue } from "./Helper/ParameterEncoding.js";
+import { DELEGATECALL_WARNING, assertDelegateCallsAllowed, findDelegateCallLibrary } from "./Helper/DelegateCallPolicy.js";
+import { OWNER_CHANGE_TYPES, createOwnerChangeTransaction } from "./Helper/OwnerManagement.js";
+import { DEFAULT_SIMULATION_RPC_URL, simulateSafeTransaction } from "./Helper/TransactionSimulator.js";
+import { isReadOnlyFunction, callReadFunction } from "./Helper/ReadContract.js";
+import { SAFE_INFO_REFRESH_MS, loadSafeInfo } from "./Helper/SafeInfo.js";
+import { createSafeMessage, confirmSafeMessage, verifySafeMessage } from "./Helper/SafeMessages.js";
+import { createSafeTxFile, downloadSafeTxFile, submitSafeTxFile, toSafeTransaction } from "./Helper/SafeTxFile.js";
+import SafeSelector from "./Components/SafeSelector.jsx";
+import BatchPanel from "./Components/BatchPanel.jsx";
+import CustomContractForm from "./Components/CustomContractForm.jsx";
+import PendingTransactionCard from "./Components/PendingTransactionCard.jsx";
+import TransactionHistory from "./Components/TransactionHistory.jsx";
+import NonceSelector from "./Components/NonceSelector.jsx";
+import SimulationPanel from "./Components/SimulationPanel.jsx";
+import ParameterInput from "./Components/ParameterInput.jsx";
+import RawCalldataForm from "./Components/RawCalldataForm.jsx";
+import SendEthForm from "./Components/SendEthForm.jsx";
+import EthValueInput from "./Components/EthValueInput.jsx";
+import OperationSelector from "./Components/OperationSelector.jsx";
+import OwnersPanel from "./Components/OwnersPanel.jsx";
+import SafeDashboard from "./Components/SafeDashboard.jsx";
+import SafeMessagesPanel from "./Components/SafeMessagesPanel.jsx";
+import SignerPanel from "./Components/SignerPanel.jsx";
+import OfflineSigningPanel from "./Components/OfflineSigningPanel.jsx";
+
+// Function picker groups, in display order
+const FUNCTION_GROUPS = [
+  { stateMutability: "view", label: "Read (view)", description: "Called directly with eth_call" },
+  { stateMutability: "pure", label: "Read (pure)", description: "Called directly with eth_call" },
+  { stateMutability: "nonpayable", label: "Write", description: "Proposed as a Safe transaction" },
+  { stateMutability: "payable", label: "Write (payable)", description: "Proposed as a Safe transaction" }
+];
+
+// Check if MetaMask is available
+const isMetaMaskAvailable = () => {
+  return window.ethereum && window.ethereum.isMetaMask === true;
+};
+
+// Check if Phantom is interfering
+const isPhantomInterfering = () => {
+  return window.ethereum && window.ethereum.isPhantom === true;
+};
 
 function App() {
-  const [customData, setCustomData] = useState(false);
+  // Builder mode: "function" (ABI form), "custom" (raw calldata) or "eth" (Send ETH)
+  const [builderMode, setBuilderMode] = useState("function");
+  const [rawCall, setRawCall] = useState({ to: "", value: "", valueUnits: "eth", data: "" });
+  const [ethTransfer, setEthTransfer] = useState({ to: "", value: "", valueUnits: "eth" });
+  const [callValue, setCallValue] = useState({ value: "", units: "eth" });
+  // Operation of function and custom data proposals; DelegateCall needs an explicit acknowledgement
+  const [operation, setOperation] = useState(OperationType.Call);
+  const [delegateCallAcknowledged, setDelegateCallAcknowledged] = useState(false);
   const [selectedToken, setSelectedToken] = useState("USDC");
   const [selectedFunction, setSelectedFunction] = useState("");
   const [functionParams, setFunctionParams] = useState({});
+  // Units chosen per uint parameter ("human" or "raw"); unset parameters use getDefaultUnits
+  const [paramUnits, setParamUnits] = useState({});
+  // ENS names typed into address parameters: resolved address, or null when the name does not resolve.
+  // Resolutions are only valid on the chain they were made on.
+  const [ensState, setEnsState] = useState({ chainId: null, names: {} });
   const [encodedData, setEncodedData] = useState("");
   const [encodedDataHash, setEncodedDataHash] = useState("");
   const [isCreatingTx, setIsCreatingTx] = useState(false);
@@ -75,10 +139,47 @@ function App() {
   const [isLoadingPending, setIsLoadingPending] = useState(false);
   const [browserExtensionError, setBrowserExtensionError] = useState(null);
   const [signingTransactions, setSigningTransactions] = useState(new Set());
+  const [safeAddress, setSafeAddress] = useState(() => loadActiveSafe());
+  const [chainId, setChainId] = useState(null);
+  const [batch, setBatch] = useState(() => {
+    try {
+      const savedBatch = JSON.parse(localStorage.getItem('safeBatch') || '[]');
+      return Array.isArray(savedBatch) ? savedBatch : [];
+    } catch (error) {
+      console.error('Error parsing saved batch:', error);
+      return [];
+    }
+  });
+  const [isProposingBatch, setIsProposingBatch] = useState(false);
+  const [customContracts, setCustomContracts] = useState([]);
+  const [showCustomContractForm, setShowCustomContractForm] = useState(false);
+  const [tokenDecimals, setTokenDecimals] = useState({});
+  const [safeStatus, setSafeStatus] = useState({ threshold: null, nonce: null, signerAddress: null, balance: null, owners: null });
+  const [batchStatus, setBatchStatus] = useState("");
+  const [activeView, setActiveView] = useState("builder");
+  const [isProposingOwnerChange, setIsProposingOwnerChange] = useState(false);
+  const [ownerChangeStatus, setOwnerChangeStatus] = useState("");
+  const [safeInfo, setSafeInfo] = useState({ info: null, isLoading: false, error: null });
+  // Nonce for the next proposal, empty for the next free nonce after the queue
+  const [proposalNonce, setProposalNonce] = useState("");
+  const [simulationSettings, setSimulationSettings] = useState(() => {
+    try {
+      return { enabled: false, rpcUrl: DEFAULT_SIMULATION_RPC_URL, ...JSON.parse(localStorage.getItem('simulationSettings') || '{}') };
+    } catch (error) {
+      console.error('Error parsing simulation settings:', error);
+      return { enabled: false, rpcUrl: DEFAULT_SIMULATION_RPC_URL };
+    }
+  });
+  const [simulation, setSimulation] = useState(null);
+  const [readResult, setReadResult] = useState(null);
 
-  // Single instances of Safe SDK and API Kit
+  // Safe SDK and API Kit instances, rebuilt when the Safe, chain or signer changes
   const safeSdkRef = useRef(null);
+  const safeSdkKeyRef = useRef("");
   const apiKitRef = useRef(null);
+  const apiKitChainRef = useRef(null);
+  // Identifies the latest dashboard refresh so a slow response for another Safe is dropped
+  const safeInfoRequestRef = useRef(0);
 
   // Global error handler for browser extension issues
   useEffect(() => {
@@ -111,24 +212,88 @@ function App() {
     };
   }, []);
 
-  // Initialize Safe SDK and API Kit
-  const initializeSafeInstances = async (signerAddress) => {
-    debugger;
-    const CHAIN_ID = 11155111;
-    const SAFE_ADDRESS = '0x023809b6039c7BD5f92350661354b708D37b07ab';
+  // Track the chain of the connected wallet
+  useEffect(() => {
+    if (!window.ethereum) return;
+
+    const handleChainChanged = (hexChainId) => {
+      setChainId(Number(hexChainId));
+    };
+
+    window.ethereum.request({ method: 'eth_chainId' })
+      .then(handleChainChanged)
+      .catch(error => console.error('Error detecting chain:', error));
+
+    if (window.ethereum.on) {
+      window.ethereum.on('chainChanged', handleChainChanged);
+    }
+
+    return () => {
+      if (window.ethereum.removeListener) {
+        window.ethereum.removeListener('chainChanged', handleChainChanged);
+      }
+    };
+  }, []);
+
+  // Contracts are known per chain: serve the connected chain's to the builder and the decoders
+  const builtInContracts = useMemo(() => loadBuiltInContracts(chainId), [chainId]);
+  useEffect(() => {
+    setActiveChain(chainId);
+    setCustomContracts(loadCustomContracts(chainId));
+  }, [chainId]);
+
+  // Read decimals() of every known token on the connected chain for amount formatting
+  useEffect(() => {
+    if (!window.ethereum || chainId === null) return;
+
+    let cancelled = false;
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    loadTokenDecimals(provider, [...builtInContracts, ...customContracts])
+      .then(decimals => {
+        if (!cancelled) setTokenDecimals(decimals);
+      })
+      .catch(error => console.error('Error loading token decimals:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId, builtInContracts, customContracts]);
+
+  // Switch the Safe the builder operates on
+  const handleSafeSelect = (address) => {
+    storeActiveSafe(address);
+    setSafeAddress(address);
+    setPendingTransactions([]);
+    setSafeStatus({ threshold: null, nonce: null, signerAddress: null, balance: null, owners: null });
+    setSafeInfo({ info: null, isLoading: false, error: null });
+    setProposalNonce("");
+  };
+
+  // Initialize Safe SDK and, when the caller needs the Transaction Service, the API Kit
+  const initializeSafeInstances = useCallback(async (signerAddress, { service = true } = {}) => {
+    // Read the chain from the wallet so a network switch is never served a stale instance
+    const CHAIN_ID = Number(await window.ethereum.request({ method: 'eth_chainId' }));
+    const SAFE_ADDRESS = safeAddress;
+    const safeSdkKey = `${CHAIN_ID}:${SAFE_ADDRESS}:${signerAddress}`.toLowerCase();
+
+    if (CHAIN_ID !== chainId) {
+      setChainId(CHAIN_ID);
+    }
     
     // Add error handling for browser extension issues
     try {
-      // Initialize Safe SDK if not already initialized
-      if (!safeSdkRef.current) {
+      // Initialize Safe SDK if not initialized for this Safe, chain and signer
+      if (!safeSdkRef.current || safeSdkKeyRef.current !== safeSdkKey) {
         console.log('Initializing Safe SDK...');
+        safeSdkRef.current = null;
 
         safeSdkRef.current = await Safe.init({
           provider: window.ethereum,
           signer: signerAddress,
           safeAddress: SAFE_ADDRESS,
-          contractNetworks: CHAIN_ID
+          contractNetworks: CONTRACT_NETWORKS
         });
+        safeSdkKeyRef.current = safeSdkKey;
         console.log('Safe SDK initialized successfully');
       }
     } catch (error) {
@@ -144,8 +309,9 @@ function App() {
             provider: window.ethereum,
             signer: signerAddress,
             safeAddress: SAFE_ADDRESS,
-            contractNetworks: CHAIN_ID
+            contractNetworks: CONTRACT_NETWORKS
           });
+          safeSdkKeyRef.current = safeSdkKey;
           console.log('Safe SDK initialized successfully on retry');
         } catch (retryError) {
           console.error('Failed to initialize Safe SDK even after retry:', retryError);
@@ -156,8 +322,15 @@ function App() {
       }
     }
 
-    // Initialize Safe API Kit if not already initialized
-    if (!apiKitRef.current) {
+    if (!service) {
+      return { safeSdk: safeSdkRef.current, apiKit: null };
+    }
+    if (!TRANSACTION_SERVICE_ENABLED) {
+      throw new Error("The Safe Transaction Service is turned off (VITE_SAFE_DIRECT=true). Work with transaction files in Offline Signing instead");
+    }
+
+    // Initialize Safe API Kit if not initialized for this chain
+    if (!apiKitRef.current || apiKitChainRef.current !== CHAIN_ID) {
       console.log('Initializing Safe API Kit...');
       const apiKitConfig = {
         chainId: BigInt(CHAIN_ID)
@@ -170,89 +343,101 @@ function App() {
         console.log('No API key provided - using public endpoint');
       }
       
+      if (import.meta.env.VITE_SAFE_TX_SERVICE_URL && import.meta.env.VITE_SAFE_TX_SERVICE_URL.trim() !== '') {
+        apiKitConfig.txServiceUrl = import.meta.env.VITE_SAFE_TX_SERVICE_URL;
+      }
+      
       apiKitRef.current = new SafeApiKit(apiKitConfig);
+      apiKitChainRef.current = CHAIN_ID;
       console.log('Safe API Kit initialized successfully');
     }
 
     return { safeSdk: safeSdkRef.current, apiKit: apiKitRef.current };
-  };
-
-  // Token configurations
-  const tokens = {
-    USDC: {
-      name: "USDC",
-      address: USDCAddress,
-      abi: USDCABI,
+  }, [safeAddress, chainId]);
+
+  // Token configurations for the connected chain, built-in contracts first, then custom contracts from the registry
+  const tokens = Object.fromEntries(
+    [...builtInContracts, ...customContracts].map(contract => [contract.name, {
+      name: contract.name,
+      address: contract.address,
+      abi: contract.abi,
+      isCustom: contract.isCustom,
+      // Functions keyed by full signature, so overloads (e.g. two safeTransferFrom variants) stay distinct
       get functions() {
-        return this.abi
-          .filter(item => item.type === "function")
-          .map(func => ({
-            name: func.name,
-            inputs: func.inputs.map(input => `${input.type} ${input.name}`)
-          }));
-      }
-    },
-    ZUSD: {
-      name: "ZUSD",
-      address: ZUSDAddress,
-      abi: ZUSDABI,
-      get functions() {
-        return this.abi
-          .filter(item => item.type === "function")
-          .map(func => ({
-            name: func.name,
-            inputs: func.inputs.map(input => `${input.type} ${input.name}`)
-          }));
+        const fragments = new ethers.Interface(this.abi).fragments.filter(fragment => fragment.type === "function");
+        return fragments.map(fragment => ({
+          name: fragment.name,
+          signature: fragment.format("sighash"),
+          isOverloaded: fragments.filter(other => other.name === fragment.name).length > 1,
+          stateMutability: fragment.stateMutability,
+          isReadOnly: isReadOnlyFunction(fragment),
+          inputs: fragment.inputs
+        }));
       }
+    }])
+  );
+
+  // Get current token config, falling back to the first contract if the selection was removed.
+  // Null when no contract is known on the connected chain
+  const currentToken = tokens[selectedToken] || Object.values(tokens)[0] || null;
+  // On-chain decimals of the current contract, undefined when it has no decimals()
+  const currentDecimals = currentToken ? tokenDecimals[currentToken.address.toLowerCase()] : undefined;
+  const ensResolutions = ensState.chainId === chainId ? ensState.names : {};
+
+  // Handle contract selection
+  const handleTokenSelect = useCallback((tokenKey) => {
+    setSelectedToken(tokenKey);
+    setSelectedFunction("");
+    setFunctionParams({});
+    setParamUnits({});
+    setCallValue({ value: "", units: "eth" });
+    setEncodedData("");
+    setEncodedDataHash("");
+  }, []);
+
+  // A contract selected on the previous chain is not known on the new one
+  useEffect(() => {
+    const contracts = [...builtInContracts, ...customContracts];
+    if (!contracts.some(contract => contract.name === selectedToken)) {
+      handleTokenSelect(contracts.length > 0 ? contracts[0].name : "");
     }
+  }, [builtInContracts, customContracts, selectedToken, handleTokenSelect]);
+
+  // Select a freshly imported custom contract
+  const handleCustomContractSaved = (contracts, name) => {
+    setCustomContracts(contracts);
+    handleTokenSelect(name);
   };
 
-  // Get current token config
-  const currentToken = tokens[selectedToken];
+  const handleRemoveCustomContract = (name) => {
+    setCustomContracts(removeCustomContract(name, chainId));
+    if (selectedToken === name) {
+      handleTokenSelect("");
+    }
+  };
 
   // Handle function selection
-  const handleFunctionSelect = (functionName) => {
-    setSelectedFunction(functionName);
+  const handleFunctionSelect = (functionSignature) => {
+    setSelectedFunction(functionSignature);
     setFunctionParams({});
+    setParamUnits({});
+    setCallValue({ value: "", units: "eth" });
     
-    // Initialize parameters with empty values
-    const selectedFunc = currentToken.functions.find(f => f.name === functionName);
+    // Initialize parameters with empty values shaped like the ABI types
+    const selectedFunc = currentToken && currentToken.functions.find(f => f.signature === functionSignature);
     if (selectedFunc && selectedFunc.inputs.length > 0) {
-      const initialParams = {};
-      selectedFunc.inputs.forEach(input => {
-        const [type, name] = input.split(" ");
-        initialParams[name] = "";
-      });
-      setFunctionParams(initialParams);
+      setFunctionParams(Object.fromEntries(
+        selectedFunc.inputs.map((input, index) => [getParamKey(input, index), createEmptyValue(input)])
+      ));
     }
   };
 
-  // Helper function to convert value to 18 decimal places
-  const convertTo18Decimals = (value, paramName, paramType) => {
-    // Only convert if it's a uint256 parameter and the name suggests it's an amount
-    const amountParamNames = ['amount', 'value', 'quantity', 'tokens', 'balance'];
-    const isAmountParam = amountParamNames.some(name => 
-      paramName.toLowerCase().includes(name)
-    );
-    
-    if (paramType === 'uint256' && isAmountParam && value && value.trim() !== '') {
-      try {
-        // Check if the value is a valid number
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) {
-          return value; // Return original value if not a valid number
-        }
-        
-        // Convert to wei (18 decimals)
-        const weiValue = ethers.parseUnits(value.toString(), 18);
-        return weiValue.toString();
-      } catch (error) {
-        console.warn(`Failed to convert ${value} to 18 decimals:`, error);
-        return value; // Return original value if conversion fails
-      }
-    }
-    
-    return value; // Return original value for non-amount parameters
+  // Units chosen for a uint parameter, keyed by its path in the form (e.g. "orders[0].amount")
+  const handleUnitsChange = (paramPath, units) => {
+    setParamUnits(prev => ({
+      ...prev,
+      [paramPath]: units
+    }));
   };
 
   // Handle parameter input change
@@ -264,34 +449,53 @@ function App() {
     }));
   };
 
+  // Validate the form against the ABI types and build the encodable arguments
+  const selectedFunctionDetails = currentToken ? currentToken.functions.find(f => f.signature === selectedFunction) : undefined;
+  // ETH sent with the call; only payable functions accept a non-zero value
+  const callValueConversion = convertEthValue(callValue.value, callValue.units);
+  const isCallValueValid = !callValueConversion.error &&
+    (callValueConversion.raw === "0" || (selectedFunctionDetails && selectedFunctionDetails.stateMutability === "payable"));
+
+  // Why the selected operation cannot be proposed for a { to, value } call, null when it can
+  const getOperationError = ({ to, value }) => {
+    if (operation !== OperationType.DelegateCall) return null;
+    if (!findDelegateCallLibrary(to)) return "DelegateCall target is not an allow-listed library";
+    if (value !== "0") return "ETH value cannot be sent with a DelegateCall";
+    if (!delegateCallAcknowledged) return "Acknowledge the DelegateCall warning first";
+    return null;
+  };
+  const functionOperationError = currentToken
+    ? getOperationError({ to: currentToken.address, value: callValueConversion.raw || "0" })
+    : "No contract is selected";
+
+  const handleOperationChange = (nextOperation) => {
+    setOperation(nextOperation);
+    setDelegateCallAcknowledged(false);
+  };
+  const paramValidation = buildFunctionArgs(
+    selectedFunctionDetails ? selectedFunctionDetails.inputs : [],
+    functionParams,
+    { units: paramUnits, decimals: currentDecimals, ensResolutions }
+  );
+
   // Generate encoded data and hash
   const generateEncodedData = () => {
-    if (!selectedFunction) return;
+    if (!selectedFunction || !currentToken) return;
 
     try {
       const iface = new ethers.Interface(currentToken.abi);
+
+      // selectedFunction is the full signature, so overloaded functions resolve to the right fragment
+      // Invalid input stops encoding instead of being passed through
+      const [firstError] = Object.entries(paramValidation.errors);
+      if (firstError) {
+        throw new Error(`${firstError[0]}: ${firstError[1]}`);
+      }
+      if (!paramValidation.isValid) {
+        throw new Error("Fill in every parameter");
+      }
       
-      // Get function signature
-      const functionSignature = `${selectedFunction}(${currentToken.functions.find(f => f.name === selectedFunction).inputs.map(input => input.split(" ")[0]).join(",")})`;
-      
-      // Get function selector (first 4 bytes)
-      const selector = iface.getFunction(selectedFunction).selector;
-      
-      // Get the selected function details
-      const selectedFunc = currentToken.functions.find(f => f.name === selectedFunction);
-      
-      // Convert parameters to proper format for encoding
-      const paramValues = [];
-      selectedFunc.inputs.forEach(input => {
-        const [type, name] = input.split(" ");
-        const originalValue = functionParams[name] || "";
-        
-        // Convert to 18 decimals if it's an amount parameter
-        const convertedValue = convertTo18Decimals(originalValue, name, type);
-        paramValues.push(convertedValue);
-      });
-      
-      const encodedParams = iface.encodeFunctionData(selectedFunction, paramValues);
+      const encodedParams = iface.encodeFunctionData(selectedFunction, paramValidation.args);
       
       setEncodedData(encodedParams);
       
@@ -306,16 +510,52 @@ function App() {
     }
   };
 
-  // Auto-generate encoded data when parameters change
+  // Auto-generate encoded data when parameters change (immediately for functions without parameters)
   useEffect(() => {
-    if (selectedFunction && Object.keys(functionParams).length > 0) {
-      // Only generate if all parameters have values
-      const allParamsHaveValues = Object.values(functionParams).every(value => value !== "");
-      if (allParamsHaveValues) {
+    if (selectedFunction) {
+      // Only generate once every parameter is filled in; reported errors still surface as "Error: ..."
+      if (paramValidation.isValid || Object.keys(paramValidation.errors).length > 0) {
         generateEncodedData();
+      } else {
+        setEncodedData("");
+        setEncodedDataHash("");
       }
     }
-  }, [selectedFunction, functionParams]);
+  }, [selectedFunction, functionParams, paramUnits, currentDecimals, ensState]);
+
+  // ENS names typed into address parameters that are not resolved on this chain yet, as a key that only
+  // changes with the names themselves (the function details are rebuilt on every render)
+  const unresolvedEnsKey = selectedFunctionDetails
+    ? JSON.stringify(collectEnsNames(selectedFunctionDetails.inputs, functionParams).filter(name => !(name in ensResolutions)))
+    : "[]";
+
+  // Resolve ENS names typed into address parameters
+  useEffect(() => {
+    const pendingNames = JSON.parse(unresolvedEnsKey);
+    if (pendingNames.length === 0 || !isMetaMaskAvailable()) return;
+
+    let cancelled = false;
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    Promise.all(pendingNames.map(async (name) => {
+      try {
+        return [name, await provider.resolveName(name)];
+      } catch (error) {
+        console.warn(`Failed to resolve ${name}:`, error);
+        return [name, null];
+      }
+    })).then(resolutions => {
+      if (!cancelled) {
+        setEnsState(prev => ({
+          chainId,
+          names: { ...(prev.chainId === chainId ? prev.names : {}), ...Object.fromEntries(resolutions) }
+        }));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [unresolvedEnsKey, chainId]);
 
   // Load last transaction on component mount
   useEffect(() => {
@@ -351,10 +591,20 @@ function App() {
     }
   }, []);
 
-  // Fetch pending transactions when component mounts
+  // Fetch pending transactions on mount and whenever the Safe or chain changes
   useEffect(() => {
+    if (chainId === null) return;
     fetchPendingTransactions();
-  }, []);
+  }, [safeAddress, chainId]);
+
+  // Persist the batch so a page refresh does not lose queued calls
+  useEffect(() => {
+    localStorage.setItem('safeBatch', JSON.stringify(batch));
+  }, [batch]);
+
+  useEffect(() => {
+    localStorage.setItem('simulationSettings', JSON.stringify(simulationSettings));
+  }, [simulationSettings]);
 
   // Check browser compatibility on mount
   useEffect(() => {
@@ -364,23 +614,68 @@ function App() {
     }
   }, []);
 
+  // Connect MetaMask and return the wallet together with the Safe instances for the active Safe.
+  // service: false skips the API Kit for paths that only talk to the chain
+  const connectSafe = useCallback(async ({ service = true } = {}) => {
+    await window.ethereum.request({ method: "eth_requestAccounts" });
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const signerAddress = await signer.getAddress();
+
+    // Initialize Safe instances
+    const { safeSdk, apiKit } = await initializeSafeInstances(signerAddress, { service });
+
+    return { provider, signer, signerAddress, safeSdk, apiKit };
+  }, [initializeSafeInstances]);
+
+  // Read the dashboard state of the active Safe. Needs no connected account, only the wallet's provider.
+  const fetchSafeInfo = useCallback(async () => {
+    if (!window.ethereum) return;
+
+    const requestId = ++safeInfoRequestRef.current;
+    setSafeInfo(prev => ({ ...prev, isLoading: true }));
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const info = await loadSafeInfo(provider, safeAddress);
+      if (requestId === safeInfoRequestRef.current) {
+        setSafeInfo({ info, isLoading: false, error: null });
+      }
+    } catch (error) {
+      console.error('Error loading Safe info:', error);
+      if (requestId === safeInfoRequestRef.current) {
+        setSafeInfo(prev => ({ ...prev, isLoading: false, error: error.shortMessage || error.message }));
+      }
+    }
+  }, [safeAddress]);
+
+  // Refresh the Safe dashboard on load, on Safe or chain changes, and on a timer
+  useEffect(() => {
+    if (chainId === null) return;
+    fetchSafeInfo();
+    const interval = setInterval(fetchSafeInfo, SAFE_INFO_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [chainId, fetchSafeInfo]);
+
   // Function to fetch pending transactions
   const fetchPendingTransactions = async () => {
     if (!isMetaMaskAvailable()) return;
 
     setIsLoadingPending(true);
     try {
-      await window.ethereum.request({ method: "eth_requestAccounts" });
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const SAFE_ADDRESS = '0x023809b6039c7BD5f92350661354b708D37b07ab';
-
-      // Initialize Safe instances
-      const { apiKit } = await initializeSafeInstances(signerAddress);
+      const { signerAddress, safeSdk, apiKit } = await connectSafe({ service: TRANSACTION_SERVICE_ENABLED });
+      const SAFE_ADDRESS = safeAddress;
+
+      // Refresh the on-chain owners, threshold, nonce and ETH balance alongside the queue,
+      // which is empty without the Transaction Service
+      const [pendingTxs, threshold, nonce, balance, owners] = await Promise.all([
+        apiKit ? apiKit.getPendingTransactions(SAFE_ADDRESS) : { results: [] },
+        safeSdk.getThreshold(),
+        safeSdk.getNonce(),
+        safeSdk.getBalance(),
+        safeSdk.getOwners()
+      ]);
+      setSafeStatus({ threshold: Number(threshold), nonce: Number(nonce), signerAddress, balance: balance.toString(), owners });
 
-      // Fetch pending transactions
-      const pendingTxs = await apiKit.getPendingTransactions(SAFE_ADDRESS);
       const transactions = pendingTxs.results || [];
       
       // Validate and sanitize transaction data to prevent rendering errors
@@ -413,96 +708,205 @@ function App() {
     }
   };
 
-  // Function to sign a pending transaction
-  const signPendingTransaction = async (pendingTx) => {
+  // Track which pending transactions have an action in flight
+  const markTransactionBusy = (txHash, isBusy) => {
+    setSigningTransactions(prev => {
+      const newSet = new Set(prev);
+      if (isBusy) {
+        newSet.add(txHash);
+      } else {
+        newSet.delete(txHash);
+      }
+      return newSet;
+    });
+  };
+
+  // Simulate a Safe transaction on the configured Hardhat node before it is signed.
+  // Throws when the simulation fails and the user chooses not to sign anyway.
+  const runSimulation = async (label, transaction) => {
+    setSimulation({ label, result: null, error: null, isRunning: true });
+
+    let result;
+    try {
+      result = await simulateSafeTransaction({
+        rpcUrl: simulationSettings.rpcUrl,
+        safeAddress,
+        transaction,
+        contracts: Object.values(tokens),
+        decimals: tokenDecimals
+      });
+    } catch (error) {
+      console.error('Error simulating transaction:', error);
+      setSimulation({ label, result: null, error: error.message, isRunning: false });
+      if (!window.confirm(`Simulation could not run: ${error.message}\n\nSign anyway?`)) {
+        throw new Error('Signing cancelled: simulation could not run');
+      }
+      return;
+    }
+
+    setSimulation({ label, result, error: null, isRunning: false });
+    if (!result.success && !window.confirm(`Simulation reverted: ${result.revertReason || 'unknown reason'}\n\nSign anyway?`)) {
+      throw new Error(`Signing cancelled: simulation reverted (${result.revertReason || 'unknown reason'})`);
+    }
+  };
+
+  // Add this owner's signature to a pending transaction. Never executes.
+  const confirmPendingTransaction = async (pendingTx) => {
     if (!isMetaMaskAvailable()) {
       alert("MetaMask is required to sign transactions");
       return;
     }
 
-    const txHash = pendingTx.safeTxHash || `tx-${Date.now()}`;
-    
-    // Add transaction to signing set
-    setSigningTransactions(prev => new Set([...prev, txHash]));
+    const txHash = pendingTx.safeTxHash;
+    markTransactionBusy(txHash, true);
 
     try {
-      debugger;
-      await window.ethereum.request({ method: "eth_requestAccounts" });
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const SAFE_ADDRESS = '0x023809b6039c7BD5f92350661354b708D37b07ab';
+      const { signerAddress, safeSdk, apiKit } = await connectSafe();
 
-      // Initialize Safe instances
-      const { safeSdk, apiKit } = await initializeSafeInstances(signerAddress);
+      const delegateCallLibraries = assertDelegateCallsAllowed([pendingTx]);
+      if (delegateCallLibraries.length > 0 &&
+          !window.confirm(`${DELEGATECALL_WARNING}\n\nSign a DelegateCall to ${delegateCallLibraries[0].name}?`)) {
+        return;
+      }
+
+      if (simulationSettings.enabled) {
+        await runSimulation(`Pending transaction at nonce ${pendingTx.nonce}`, pendingTx);
+      }
 
       // Sign the transaction
       const signature = await safeSdk.signTransaction(pendingTx);
       const signatureData = signature.signatures.get(signerAddress.toLowerCase()).data;
 
       // Confirm the transaction
-      await apiKit.confirmTransaction(pendingTx.safeTxHash, signatureData);
-
-      console.log('Pending transaction:', pendingTx)
+      await apiKit.confirmTransaction(txHash, signatureData);
+      console.log('Transaction confirmed:', txHash);
 
-    // Get the number of confirmations
-    const confirmationsCount = pendingTx.confirmations ? pendingTx.confirmations.length : 0;
-    const requiredConfirmations = pendingTx.confirmationsRequired || 2;
-
-    console.log('Transaction Hash:', pendingTx.safeTxHash);
-    console.log('Confirmations count:', confirmationsCount);
-    console.log('Required confirmations:', requiredConfirmations);
+      await fetchPendingTransactions();
+    } catch (error) {
+      console.error('Error confirming pending transaction:', error);
+      alert(`Error signing transaction: ${error.message}`);
+    } finally {
+      markTransactionBusy(txHash, false);
+    }
+  };
 
-    const options = {
-        from: SAFE_ADDRESS
+  // Propose the standard rejection (zero-value self-call) at the same nonce as a pending transaction.
+  // Executing it consumes the nonce, so the original can never be executed.
+  const rejectPendingTransaction = async (pendingTx) => {
+    if (!isMetaMaskAvailable()) {
+      alert("MetaMask is required to sign transactions");
+      return;
     }
 
-    if (confirmationsCount >= requiredConfirmations && !pendingTx.isExecuted) {
-        console.log('Executing transaction...');
-        const Executable = await safeSdk.isValidTransaction(
-          pendingTx,
-          options
-      )
-      if (Executable) {
-        const txResponse = await safeSdk.executeTransaction(
-              pendingTx,
-              options
-          )
-          console.log('Transaction executed:', txResponse)
-      }
-      else {
-        console.log('Transaction is not executable')
-      }
-    } else if (pendingTx.isExecuted) {
-        console.log('Transaction already executed')
-    } else {
-        console.log(`Transaction needs ${requiredConfirmations - confirmationsCount} more confirmation(s)`)
+    const nonce = Number(pendingTx.nonce);
+    if (!window.confirm(`Propose a rejection for nonce ${nonce}? Once executed, every queued transaction at this nonce is cancelled.`)) {
+      return;
     }
 
-      alert('Transaction signed and confirmed successfully!');
+    const txHash = pendingTx.safeTxHash;
+    markTransactionBusy(txHash, true);
+
+    try {
+      const { signerAddress, safeSdk, apiKit } = await connectSafe();
 
+      const rejectionTransaction = await safeSdk.createRejectionTransaction(nonce);
+      const rejectionTxHash = await safeSdk.getTransactionHash(rejectionTransaction);
+      const signedTransaction = await safeSdk.signTransaction(rejectionTransaction);
+      const signatureData = signedTransaction.signatures.get(signerAddress.toLowerCase()).data;
 
+      await apiKit.proposeTransaction({
+        safeAddress,
+        safeTransactionData: signedTransaction.data,
+        safeTxHash: rejectionTxHash,
+        senderAddress: signerAddress,
+        senderSignature: signatureData
+      });
+      console.log(`Rejection for nonce ${nonce} proposed:`, rejectionTxHash);
+
+      await fetchPendingTransactions();
     } catch (error) {
-      console.error('Error signing pending transaction:', error);
-      alert(`Error signing transaction: ${error.message}`);
+      console.error('Error rejecting pending transaction:', error);
+      alert(`Error rejecting transaction: ${error.message}`);
     } finally {
-      // Remove transaction from signing set
-      setSigningTransactions(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(txHash);
-        return newSet;
-      });
+      markTransactionBusy(txHash, false);
     }
   };
 
-  // Check if MetaMask is available
-  const isMetaMaskAvailable = () => {
-    return window.ethereum && window.ethereum.isMetaMask === true;
+  // Re-fetch a pending transaction, check it against the on-chain threshold and
+  // estimate what executing it will cost the connected wallet
+  const prepareExecution = async (pendingTx) => {
+    const { provider, signerAddress, safeSdk, apiKit } = await connectSafe();
+
+    const [refreshedTx, threshold, nonce] = await Promise.all([
+      apiKit.getTransaction(pendingTx.safeTxHash),
+      safeSdk.getThreshold(),
+      safeSdk.getNonce()
+    ]);
+    const confirmations = refreshedTx.confirmations ? refreshedTx.confirmations.length : 0;
+
+    if (refreshedTx.isExecuted) {
+      throw new Error('Transaction has already been executed');
+    }
+    if (Number(refreshedTx.nonce) !== Number(nonce)) {
+      throw new Error(`Safe nonce is ${nonce}; transactions with earlier nonces must be executed first`);
+    }
+    if (confirmations < Number(threshold)) {
+      throw new Error(`Transaction needs ${Number(threshold) - confirmations} more confirmation(s)`);
+    }
+
+    // Estimate the execTransaction call exactly as it will be sent, signatures included
+    const safeTransaction = await safeSdk.toSafeTransactionType(refreshedTx);
+    const execData = await safeSdk.getEncodedTransaction(safeTransaction);
+    let gasLimit;
+    try {
+      gasLimit = await provider.estimateGas({ from: signerAddress, to: safeAddress, data: execData });
+    } catch (error) {
+      throw new Error(`Execution would revert: ${error.shortMessage || error.message}`);
+    }
+
+    const feeData = await provider.getFeeData();
+    const feePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const balance = await provider.getBalance(signerAddress);
+
+    return {
+      tx: refreshedTx,
+      executor: signerAddress,
+      confirmations,
+      threshold: Number(threshold),
+      gasLimit,
+      feePerGas,
+      estimatedCost: gasLimit * feePerGas,
+      balance
+    };
   };
 
-  // Check if Phantom is interfering
-  const isPhantomInterfering = () => {
-    return window.ethereum && window.ethereum.isPhantom === true;
+  // Submit execTransaction for a prepared pending transaction
+  const executePendingTransaction = async (preview) => {
+    const txHash = preview.tx.safeTxHash;
+    markTransactionBusy(txHash, true);
+
+    try {
+      const { provider, safeSdk } = await connectSafe();
+
+      // Pad the estimate to absorb state changes between estimation and inclusion
+      const txResponse = await safeSdk.executeTransaction(preview.tx, {
+        gasLimit: ((preview.gasLimit * 12n) / 10n).toString()
+      });
+      console.log('Transaction submitted:', txResponse.hash);
+
+      const receipt = await provider.waitForTransaction(txResponse.hash);
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`Execution transaction ${txResponse.hash} failed`);
+      }
+
+      alert(`Transaction executed! Hash: ${txResponse.hash}`);
+      await Promise.all([fetchPendingTransactions(), fetchSafeInfo()]);
+    } catch (error) {
+      console.error('Error executing pending transaction:', error);
+      alert(`Error executing transaction: ${error.message}`);
+    } finally {
+      markTransactionBusy(txHash, false);
+    }
   };
 
   // Browser compatibility check
@@ -529,125 +933,479 @@ function App() {
     setLastTransaction(null);
   };
 
-  // Create and sign transaction using Safe SDK
-  const createSafeTransaction = async () => {
-    const APIKEY = import.meta.env.VITE_SAFE_API_KEY; 
-    console.log('Safe API Key:', APIKEY);
-    console.log('Environment variables:', import.meta.env);
-    
+  // Load one page of the active Safe's history from the Transaction Service, filtered on the service by
+  // status and nonce (multisig) or by token (incoming)
+  const fetchTransactionHistory = useCallback(async ({ kind, limit, offset, executed, failed, nonceGte, tokenAddress }) => {
+    if (!isMetaMaskAvailable()) {
+      throw new Error('MetaMask is not available');
+    }
+    const { apiKit } = await connectSafe();
+
+    if (kind === 'incoming') {
+      return apiKit.getIncomingTransactions(safeAddress, { limit, offset, tokenAddress });
+    }
+
+    const options = { limit, offset, ordering: '-nonce' };
+    if (executed !== undefined) {
+      options.executed = executed;
+    }
+    if (failed !== undefined) {
+      options.failed = failed;
+    }
+    if (nonceGte !== undefined) {
+      options.nonce__gte = nonceGte;
+    }
+    return apiKit.getMultisigTransactions(safeAddress, options);
+  }, [connectSafe, safeAddress]);
+
+  // Off-chain Safe messages (EIP-1271) stored with the Safe Transaction Service
+  const fetchSafeMessages = useCallback(async () => {
+    if (!isMetaMaskAvailable()) {
+      throw new Error('MetaMask is not available');
+    }
+    const { apiKit } = await connectSafe();
+    return apiKit.getMessages(safeAddress);
+  }, [connectSafe, safeAddress]);
+
+  const createMessage = async (message) => {
+    const { signerAddress, safeSdk, apiKit } = await connectSafe();
+    return createSafeMessage({ safeSdk, apiKit, safeAddress, signerAddress, message });
+  };
+
+  const confirmMessage = async (safeMessage) => {
+    const { signerAddress, safeSdk, apiKit } = await connectSafe();
+    await confirmSafeMessage({ safeSdk, apiKit, signerAddress, safeMessage });
+  };
+
+  // Re-fetch the message so the check uses every signature the service has
+  const verifyMessage = async (safeMessage) => {
+    const { safeSdk, apiKit } = await connectSafe();
+    return verifySafeMessage(safeSdk, await apiKit.getMessage(safeMessage.messageHash));
+  };
+
+  // Connect the wallet and create the given calls as one Safe transaction at the proposal nonce,
+  // after the nonce, DelegateCall and simulation checks.
+  // More than one call is encoded by the protocol kit as a MultiSend delegate call.
+  // service: false skips the Transaction Service: the default nonce is then the on-chain nonce
+  const buildSafeTransaction = async (transactions, setStatus, { service = true } = {}) => {
     // Check if API key is available
-    if (!import.meta.env.VITE_SAFE_API_KEY) {
+    if (service && !import.meta.env.VITE_SAFE_API_KEY) {
       console.warn('VITE_SAFE_API_KEY is not set in environment variables');
-      console.log('Available env vars:', Object.keys(import.meta.env));
+    }
+
+    setStatus("Connecting to MetaMask...");
+
+    // Check if MetaMask is available
+    if (!isMetaMaskAvailable()) {
+      if (isPhantomInterfering()) {
+        throw new Error("Phantom wallet detected. Please disable Phantom or switch to MetaMask for Ethereum transactions.");
+      }
+      throw new Error("MetaMask is not installed. Please install MetaMask extension.");
     }
     
-    if (!encodedData || !selectedFunction) {
-      alert("Please select a function and ensure encoded data is generated");
-      return;
+    // Request MetaMask connection specifically
+    await window.ethereum.request({ method: "eth_requestAccounts" });
+
+    // Create ethers provider and signer from MetaMask
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const signerAddress = await signer.getAddress();
+
+    const SAFE_ADDRESS = safeAddress;
+
+    setStatus("Initializing Safe SDK...");
+    console.log('Signer Address:', signerAddress);
+    console.log('Safe Address:', SAFE_ADDRESS);
+
+    // Initialize Safe instances
+    const { safeSdk, apiKit } = await initializeSafeInstances(signerAddress, { service });
+
+    setStatus("Checking Safe nonce...");
+
+    // Propose after the last queued transaction unless a specific nonce was chosen,
+    // so concurrent proposals from different owners do not collide on the on-chain nonce.
+    // The next free nonce is worked out the same way as in the nonce selector, from a fresh queue.
+    // Without the service there is no queue, so nothing is reported as replaced
+    const [onChainNonce, pendingTxs] = await Promise.all([
+      safeSdk.getNonce(),
+      apiKit ? apiKit.getPendingTransactions(SAFE_ADDRESS) : { results: [] }
+    ]);
+    const queuedTxs = pendingTxs.results || [];
+    const nonce = proposalNonce === ""
+      ? getNextFreeNonce(Number(onChainNonce), queuedTxs)
+      : Number(proposalNonce);
+
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      throw new Error(`Invalid nonce: ${proposalNonce}`);
     }
 
-    setIsCreatingTx(true);
-    setTxStatus("Connecting to MetaMask...");
+    const nonceStatus = describeNonce(nonce, Number(onChainNonce), queuedTxs);
+    if (nonceStatus.isUsed) {
+      throw new Error(`Nonce ${nonce} has already been executed (current Safe nonce is ${onChainNonce})`);
+    }
+    if (nonceStatus.replaces.length > 0) {
+      const confirmed = window.confirm(
+        `${nonceStatus.replaces.length} transaction(s) are already queued at nonce ${nonce}. ` +
+        'Only one transaction per nonce can execute. Propose a replacement?'
+      );
+      if (!confirmed) {
+        throw new Error(`Proposal at nonce ${nonce} cancelled`);
+      }
+    }
 
-    try {
-      // Check if MetaMask is available
-      if (!isMetaMaskAvailable()) {
-        if (isPhantomInterfering()) {
-          throw new Error("Phantom wallet detected. Please disable Phantom or switch to MetaMask for Ethereum transactions.");
-        }
-        throw new Error("MetaMask is not installed. Please install MetaMask extension.");
+    // DelegateCall only into allow-listed libraries, and only after an explicit confirmation
+    const delegateCallLibraries = assertDelegateCallsAllowed(transactions);
+    if (delegateCallLibraries.length > 0) {
+      const confirmed = window.confirm(
+        `${DELEGATECALL_WARNING}\n\nPropose a DelegateCall to ${delegateCallLibraries.map(library => library.name).join(", ")}?`
+      );
+      if (!confirmed) {
+        throw new Error("DelegateCall proposal cancelled");
       }
-      
-      // Request MetaMask connection specifically
-      await window.ethereum.request({ method: "eth_requestAccounts" });
+    }
 
-      // Create ethers provider and signer from MetaMask
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
+    setStatus(`Creating Safe transaction at nonce ${nonce}...`);
+
+    const safeTransaction = await safeSdk.createTransaction({
+      transactions,
+      options: { onlyCalls: false, nonce }
+    });
 
-      setTxStatus("Connecting to Safe...");
+    if (simulationSettings.enabled) {
+      setStatus("Simulating transaction...");
+      await runSimulation(`Proposal at nonce ${nonce}`, safeTransaction.data);
+    }
 
-      const SAFE_ADDRESS = '0x023809b6039c7BD5f92350661354b708D37b07ab'; // Your Safe address
+    return { safeSdk, apiKit, signerAddress, safeTransaction, nonce };
+  };
 
-      setTxStatus("Initializing Safe SDK...");
-      console.log('Signer:', signer);
-      console.log('Signer Address:', signerAddress);
-      console.log('Provider:', provider);
-      console.log('Window Ethereum:', window.ethereum);
-      console.log('Safe Address:', SAFE_ADDRESS);
+  // Sign the given calls as one Safe transaction with the connected wallet and propose it
+  const proposeSafeTransaction = async (transactions, record, setStatus) => {
+    const { safeSdk, apiKit, signerAddress, safeTransaction } = await buildSafeTransaction(transactions, setStatus);
+    const SAFE_ADDRESS = safeAddress;
 
-      // Initialize Safe instances
-      const { safeSdk, apiKit } = await initializeSafeInstances(signerAddress);
-      
-      setTxStatus("Creating Safe transaction...");
+    setStatus("Getting transaction hash...");
+
+    // Get the Safe transaction hash
+    const safeTxHash = await safeSdk.getTransactionHash(safeTransaction);
+    console.log('Safe Transaction Hash:', safeTxHash);
+
+    setStatus("Signing transaction...");
+
+    // Sign the transaction hash with MetaMask
+    const signedTransaction = await safeSdk.signTransaction(safeTransaction);
+    const signatureData = signedTransaction.signatures.get(signerAddress.toLowerCase()).data;
+    console.log('Signature:', signatureData);
+
+    setStatus("Transaction signed successfully! Proposing to Safe...");
+
+    await apiKit.proposeTransaction({
+      safeAddress: SAFE_ADDRESS,
+      safeTransactionData: signedTransaction.data,
+      safeTxHash,
+      senderAddress: signerAddress,
+      senderSignature: signatureData
+    });
+
+    setStatus(`Transaction proposed successfully! Hash: ${safeTxHash}`);
+
+    // Store transaction data in localStorage for reference
+    const transactionData = {
+      timestamp: new Date().toISOString(),
+      safeTxHash: String(safeTxHash),
+      signature: String(signatureData),
+      safeAddress: String(SAFE_ADDRESS),
+      nonce: Number(signedTransaction.data.nonce),
+      to: String(signedTransaction.data.to),
+      value: String(signedTransaction.data.value),
+      data: String(signedTransaction.data.data),
+      function: String(record.function),
+      token: String(record.token),
+      parameters: Object.fromEntries(
+        Object.entries(record.parameters).map(([key, value]) => [String(key), formatParamValue(value)])
+      )
+    };
+
+    localStorage.setItem('lastSafeTransaction', JSON.stringify(transactionData));
+    setLastTransaction(transactionData);
+    setProposalNonce("");
 
+    return safeTxHash;
+  };
+
+  // Create the given calls as one Safe transaction and download it for offline signing, unsigned
+  // The service is only asked for the next free nonce, as by the CLI's create, so export works without it
+  const exportSafeTransaction = async (transactions, setStatus) => {
+    const { safeSdk, safeTransaction, nonce } = await buildSafeTransaction(transactions, setStatus, {
+      service: TRANSACTION_SERVICE_ENABLED && proposalNonce === ""
+    });
+
+    const file = createSafeTxFile({
+      chainId: await safeSdk.getChainId(),
+      safeAddress,
+      safeVersion: safeSdk.getContractVersion(),
+      tx: safeTransaction.data
+    });
+    // The file hash is computed independently of the protocol kit; both must agree
+    const safeTxHash = await safeSdk.getTransactionHash(safeTransaction);
+    if (safeTxHash.toLowerCase() !== file.safeTxHash.toLowerCase()) {
+      throw new Error(`File hash ${file.safeTxHash} does not match the Safe's ${safeTxHash}`);
+    }
+
+    downloadSafeTxFile(file);
+    setStatus(`Transaction exported successfully for offline signing! Nonce ${nonce}, hash: ${file.safeTxHash}`);
+    setProposalNonce("");
+  };
+
+  // Create and sign transaction using Safe SDK
+  const createSafeTransaction = async () => {
+    if (!encodedData || !selectedFunction || encodedData.startsWith("Error")) {
+      alert("Please select a function and ensure encoded data is generated");
+      return;
+    }
+    if (!isCallValueValid) {
+      alert("Please enter a valid ETH value");
+      return;
+    }
+    if (functionOperationError) {
+      alert(functionOperationError);
+      return;
+    }
+
+    setIsCreatingTx(true);
+
+    try {
       // Create a Safe transaction with the encoded data
       const safeTransactionData = {
         to: currentToken.address, // Contract address (ZUSD or USDC)
-        value: '0', // No ETH transfer
+        value: callValueConversion.raw, // ETH sent with the call, in wei
         data: encodedData, // The encoded function data
-        operation: OperationType.Call
+        operation
       };
 
-      const safeTransaction = await safeSdk.createTransaction({
-        transactions: [safeTransactionData],
-        options: { onlyCalls: false }
-      });
+      await proposeSafeTransaction(
+        [safeTransactionData],
+        { function: selectedFunction, token: currentToken.name, parameters: functionParams },
+        setTxStatus
+      );
+      fetchPendingTransactions();
+    } catch (error) {
+      console.error("Error creating Safe transaction:", error);
+      setTxStatus(`Error: ${error.message}`);
+    } finally {
+      setIsCreatingTx(false);
+    }
+  };
 
-      setTxStatus("Getting transaction hash...");
+  // Export the encoded call as an unsigned transaction file instead of signing it in the browser
+  const exportFunctionTransaction = async () => {
+    setIsCreatingTx(true);
+    try {
+      await exportSafeTransaction(
+        [{ to: currentToken.address, value: callValueConversion.raw, data: encodedData, operation }],
+        setTxStatus
+      );
+    } catch (error) {
+      console.error("Error exporting Safe transaction:", error);
+      setTxStatus(`Error: ${error.message}`);
+    } finally {
+      setIsCreatingTx(false);
+    }
+  };
 
-      // Get the Safe transaction hash
-      const safeTxHash = await safeSdk.getTransactionHash(safeTransaction);
-      console.log('Safe Transaction Hash:', safeTxHash);
+  // A read result belongs to the call it was made with
+  useEffect(() => {
+    setReadResult(null);
+  }, [encodedData, selectedToken]);
 
-      setTxStatus("Signing transaction...");
+  // Run the selected view / pure function with eth_call, from the Safe so msg.sender-dependent views match
+  const callReadOnlyFunction = async () => {
+    if (!encodedData || encodedData.startsWith("Error") || !isMetaMaskAvailable()) return;
 
-      // Sign the transaction hash with MetaMask
-      const signature = await safeSdk.signTransaction(safeTransaction);
-      console.log('Signature:', signature.data);
+    setReadResult({ isRunning: true });
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const result = await callReadFunction(provider, {
+        address: currentToken.address,
+        abi: currentToken.abi,
+        data: encodedData,
+        from: safeAddress || undefined,
+        decimals: currentDecimals
+      });
+      setReadResult({ isRunning: false, ...result });
+    } catch (error) {
+      console.error("Error calling read-only function:", error);
+      setReadResult({ isRunning: false, error: error.shortMessage || error.message });
+    }
+  };
 
-      setTxStatus("Transaction signed successfully! Proposing to Safe...");
+  // Custom data and Send ETH modes: the target, value and calldata are proposed as-is
+  const rawCallValidation = buildRawCall(rawCall);
+  const ethTransferValidation = buildRawCall(ethTransfer);
+  const rawCallOperationError = getOperationError(rawCallValidation.transaction);
 
-      await apiKit.proposeTransaction({
-        safeAddress: SAFE_ADDRESS,
-        safeTransactionData: safeTransaction.data,
-        safeTxHash,
-        senderAddress: await signer.getAddress(),
-        senderSignature: signature.signatures.data
-      });
+  const createRawTransaction = async (transaction, transactionOperation) => {
+    setIsCreatingTx(true);
+    try {
+      const decoded = reverseDecodeCall(transaction, { decimals: tokenDecimals });
+      await proposeSafeTransaction(
+        [{ ...transaction, operation: transactionOperation }],
+        {
+          function: decoded.signature || decoded.functionName || decoded.selector || "custom data",
+          token: decoded.contractName || transaction.to,
+          parameters: Object.fromEntries(decoded.args.map(arg => [arg.name, arg.value]))
+        },
+        setTxStatus
+      );
+      fetchPendingTransactions();
+    } catch (error) {
+      console.error("Error creating Safe transaction:", error);
+      setTxStatus(`Error: ${error.message}`);
+    } finally {
+      setIsCreatingTx(false);
+    }
+  };
 
-      setTxStatus(`Transaction proposed successfully! Hash: ${safeTxHash}, Signature: ${signature.data}`);
+  const addRawCallToBatch = (transaction, transactionOperation) => {
+    setBatch(prev => [...prev, {
+      id: `${Date.now()}-${prev.length}`,
+      ...transaction,
+      operation: transactionOperation
+    }]);
+    setBatchStatus("");
+  };
 
+  // Propose an owner or threshold change, built by the protocol kit's owner manager helpers
+  const proposeOwnerChange = async (change) => {
+    setIsProposingOwnerChange(true);
+    try {
+      const { safeSdk } = await connectSafe();
+      const ownerChangeTx = await createOwnerChangeTransaction(safeSdk, change);
+      const { to, value, data, operation } = ownerChangeTx.data;
+      await proposeSafeTransaction(
+        [{ to, value, data, operation }],
+        {
+          function: OWNER_CHANGE_TYPES[change.type],
+          token: "Safe",
+          parameters: Object.fromEntries(
+            [["owner", change.owner], ["newOwner", change.newOwner], ["threshold", change.type === "swap" ? "" : String(change.threshold)]]
+              .filter(([, value]) => value)
+          )
+        },
+        setOwnerChangeStatus
+      );
+      fetchPendingTransactions();
+    } catch (error) {
+      console.error("Error proposing owner change:", error);
+      setOwnerChangeStatus(`Error: ${error.message}`);
+    } finally {
+      setIsProposingOwnerChange(false);
+    }
+  };
 
+  // Queue the currently encoded call in the batch
+  const addToBatch = () => {
+    if (!encodedData || !selectedFunction || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError) return;
+
+    setBatch(prev => [...prev, {
+      id: `${Date.now()}-${prev.length}`,
+      to: currentToken.address,
+      value: callValueConversion.raw,
+      data: encodedData,
+      operation
+    }]);
+    setBatchStatus("");
+  };
 
-      // Store transaction data in localStorage for reference
-      const transactionData = {
-        timestamp: new Date().toISOString(),
-        safeTxHash: String(safeTxHash),
-        signature: String(signature.data),
-        safeAddress: String(SAFE_ADDRESS),
-        to: String(currentToken.address),
-        data: String(encodedData),
-        function: String(selectedFunction),
-        token: String(selectedToken),
-        parameters: Object.fromEntries(
-          Object.entries(functionParams).map(([key, value]) => [String(key), String(value)])
-        )
-      };
+  // Move a batch entry up (-1) or down (+1)
+  const moveBatchItem = (index, direction) => {
+    setBatch(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
 
-      localStorage.setItem('lastSafeTransaction', JSON.stringify(transactionData));
-      setLastTransaction(transactionData);
+  const removeBatchItem = (index) => {
+    setBatch(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const clearBatch = () => {
+    setBatch([]);
+    setBatchStatus("");
+  };
 
-      const signatureResponse = await apiKit.confirmTransaction(safeTxHash, signature.signatures.get(signerAddress.toLowerCase()).data)
-      console.log('Signature response:', signatureResponse);
+  // Propose every queued call as a single MultiSend Safe transaction
+  const proposeBatch = async () => {
+    if (batch.length === 0) return;
 
+    setIsProposingBatch(true);
+    try {
+      const transactions = batch.map(({ to, value, data, operation }) => ({ to, value, data, operation }));
+      await proposeSafeTransaction(
+        transactions,
+        {
+          function: transactions.length > 1 ? 'multiSend' : 'batch',
+          token: 'Batch',
+          parameters: Object.fromEntries(
+            batch.map((call, index) => {
+              const decoded = decodeCall(call);
+              return [`call ${index + 1}`, `${decoded.contractName || call.to}.${decoded.functionName || decoded.selector}`];
+            })
+          )
+        },
+        setBatchStatus
+      );
+      setBatch([]);
+      fetchPendingTransactions();
     } catch (error) {
-      console.error("Error creating Safe transaction:", error);
-      setTxStatus(`Error: ${error.message}`);
+      console.error("Error proposing batch:", error);
+      setBatchStatus(`Error: ${error.message}`);
     } finally {
-      setIsCreatingTx(false);
+      setIsProposingBatch(false);
+    }
+  };
+
+  // Export the queued calls as one unsigned transaction file; the batch is kept until it is proposed
+  const exportBatch = async () => {
+    if (batch.length === 0) return;
+
+    setIsProposingBatch(true);
+    try {
+      await exportSafeTransaction(batch.map(({ to, value, data, operation }) => ({ to, value, data, operation })), setBatchStatus);
+    } catch (error) {
+      console.error("Error exporting batch:", error);
+      setBatchStatus(`Error: ${error.message}`);
+    } finally {
+      setIsProposingBatch(false);
+    }
+  };
+
+  // Signatures collected offline: propose them to the service, or execute with them directly
+  const submitTransactionFile = async (file) => {
+    const { apiKit } = await connectSafe();
+    const result = await submitSafeTxFile({ apiKit, file });
+    await fetchPendingTransactions();
+    return result;
+  };
+
+  // Executing needs only the chain, so it also works without the Transaction Service
+  const executeTransactionFile = async (file) => {
+    const { provider, safeSdk } = await connectSafe({ service: false });
+    const safeTransaction = await toSafeTransaction(safeSdk, file);
+    if (!(await safeSdk.isValidTransaction(safeTransaction))) {
+      throw new Error('Execution would fail: not enough valid signatures, or the call reverts');
     }
+
+    const txResponse = await safeSdk.executeTransaction(safeTransaction);
+    const receipt = await provider.waitForTransaction(txResponse.hash);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Execution transaction ${txResponse.hash} failed`);
+    }
+    await Promise.all([fetchPendingTransactions(), fetchSafeInfo()]);
+    return txResponse.hash;
   };
 
   return (
@@ -709,11 +1467,11 @@ function App() {
               </svg>
             </button>
             
-            <div className="text-right">
-              <div className="text-sm text-gray-300">sep:0x9eCf...77ae</div>
-              <div className="text-xs text-gray-400">0.04992 ETH</div>
-              <div className="text-xs text-gray-400">Sepolia $0</div>
-            </div>
+            <SafeSelector
+              safeAddress={safeAddress}
+              chainId={chainId}
+              onSelect={handleSafeSelect}
+            />
             
             <a href="#" className="text-sm text-green-400 hover:text-green-300">(0) Your transaction library &gt;</a>
           </div>
@@ -724,290 +1482,593 @@ function App() {
       <div className="flex h-[calc(100vh-80px)]">
         {/* Left Panel - Transaction Builder */}
         <div className="flex-1 p-6 border-r border-gray-700 overflow-y-auto">
-          {/* Token Selection Section */}
-          <div className="mb-8">
-            <h3 className="text-lg font-semibold mb-4">Token Selection</h3>
-            <div className="grid grid-cols-2 gap-4">
-              {Object.keys(tokens).map((tokenKey) => (
-                <button
-                  key={tokenKey}
-                  onClick={() => setSelectedToken(tokenKey)}
-                  className={`p-4 rounded-lg border-2 transition-all ${
-                    selectedToken === tokenKey
-                      ? "border-green-500 bg-green-500/10"
-                      : "border-gray-600 hover:border-gray-500"
-                  }`}
-                >
-                  <div className="text-center">
-                    <div className="text-lg font-semibold">{tokens[tokenKey].name}</div>
-                    <div className="text-sm text-gray-400 mt-1 break-all">
-                      {tokens[tokenKey].address}
-                    </div>
-                  </div>
-                </button>
-              ))}
-            </div>
+          <SafeDashboard
+            info={safeInfo.info}
+            isLoading={safeInfo.isLoading}
+            error={safeInfo.error}
+            onRefresh={fetchSafeInfo}
+          />
+
+          {/* View Tabs */}
+          <div className="flex space-x-6 border-b border-gray-700 mb-6">
+            {[["builder", "Builder"], ["history", "History"], ["owners", "Owners"], ["messages", "Messages"], ["signer", "Signer"], ["offline", "Offline"]].map(([view, label]) => (
+              <button
+                key={view}
+                onClick={() => setActiveView(view)}
+                className={`pb-2 text-sm font-medium border-b-2 -mb-px transition-all ${
+                  activeView === view
+                    ? "border-green-500 text-green-400"
+                    : "border-transparent text-gray-400 hover:text-white"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
 
-          {/* Function Selection Section */}
-          <div className="mb-8">
-            <h3 className="text-lg font-semibold mb-4">Function Selection</h3>
-            <div className="grid grid-cols-3 gap-3">
-              {currentToken.functions.map((func) => (
-                <button
-                  key={func.name}
-                  onClick={() => handleFunctionSelect(func.name)}
-                  className={`p-3 rounded-lg border transition-all text-sm ${
-                    selectedFunction === func.name
-                      ? "border-green-500 bg-green-500/10"
-                      : "border-gray-600 hover:border-gray-500"
-                  }`}
-                >
-                  <div className="font-medium">{func.name}</div>
-                  <div className="text-xs text-gray-400 mt-1">
-                    {func.inputs.length > 0 ? `${func.inputs.length} params` : "No params"}
-                  </div>
-                </button>
-              ))}
-            </div>
-          </div>
+          {activeView === "history" && (
+            <TransactionHistory
+              reloadKey={`${chainId}:${safeAddress}:${safeStatus.nonce}`}
+              safeAddress={safeAddress}
+              safeNonce={safeStatus.nonce}
+              contracts={Object.values(tokens)}
+              decimals={tokenDecimals}
+              onLoadPage={fetchTransactionHistory}
+            />
+          )}
 
-          {/* Parameter Input Section */}
-          {selectedFunction && (
-            <div className="mb-8">
-              <h3 className="text-lg font-semibold mb-4">Function Parameters</h3>
-              <div className="space-y-4">
-                {currentToken.functions.find(f => f.name === selectedFunction)?.inputs.map((input, index) => {
-                  const [type, name] = input.split(" ");
-                  const isAmountParam = ['amount', 'value', 'quantity', 'tokens', 'balance'].some(amountName => 
-                    name.toLowerCase().includes(amountName)
-                  );
-                  const userValue = functionParams[name] || "";
-                  const willConvert = type === 'uint256' && isAmountParam && userValue && !isNaN(parseFloat(userValue));
-                  const convertedValue = willConvert ? convertTo18Decimals(userValue, name, type) : null;
-                  
-                  return (
-                    <div key={index}>
-                      <label className="block text-sm font-medium text-gray-300 mb-2">
-                        {name} ({type})
-                        {isAmountParam && type === 'uint256' && (
-                          <span className="ml-2 text-xs text-blue-400">
-                            (Auto-converts to 18 decimals)
-                          </span>
-                        )}
-                      </label>
-                      <input
-                        type="text"
-                        value={userValue}
-                        onChange={(e) => handleParamChange(name, e.target.value)}
-                        className={`w-full px-3 py-2 bg-gray-800 border rounded-md text-white focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent ${
-                          willConvert ? 'border-blue-500 bg-blue-500/10' : 'border-gray-600'
-                        }`}
-                        placeholder={`Enter ${type} value${isAmountParam && type === 'uint256' ? ' (will be converted to 18 decimals)' : ''}`}
-                      />
-                      {willConvert && convertedValue && convertedValue !== userValue && (
-                        <div className="mt-1 text-xs text-blue-400">
-                          ✓ Will encode as: {convertedValue} (18 decimal places)
-                        </div>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
+          {activeView === "owners" && (
+            <OwnersPanel
+              key={`${chainId}:${safeAddress}`}
+              owners={safeStatus.owners}
+              threshold={safeStatus.threshold}
+              signerAddress={safeStatus.signerAddress}
+              onPropose={proposeOwnerChange}
+              onRefresh={fetchPendingTransactions}
+              isProposing={isProposingOwnerChange}
+              status={ownerChangeStatus}
+            />
           )}
 
-          {/* Encoded Data Section */}
-          {encodedData && (
-            <div className="mb-8">
-              <h3 className="text-lg font-semibold mb-4">Encoded Data</h3>
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Encoded Data
-                  </label>
-                  <div className="p-3 bg-gray-800 border border-gray-600 rounded-md font-mono text-sm break-all">
-                    {encodedData}
-                  </div>
-                </div>
-                
-                {encodedDataHash && (
-                  <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-2">
-                      Data Hash (keccak256)
-                    </label>
-                    <div className="p-3 bg-gray-800 border border-gray-600 rounded-md font-mono text-sm break-all">
-                      {encodedDataHash}
-                    </div>
-                  </div>
-                )}
-
-                {/* Wallet Status Indicator */}
-                <div className="pt-4 mb-4">
-                  <div className={`p-3 rounded-lg border text-sm ${
-                    isMetaMaskAvailable() 
-                      ? "bg-green-900/20 border-green-700 text-green-300"
-                      : isPhantomInterfering()
-                      ? "bg-red-900/20 border-red-700 text-red-300"
-                      : "bg-yellow-900/20 border-yellow-700 text-yellow-300"
-                  }`}>
-                    {isMetaMaskAvailable() 
-                      ? "✅ MetaMask detected and ready"
-                      : isPhantomInterfering()
-                      ? "❌ Phantom detected - Please disable Phantom or switch to MetaMask"
-                      : "⚠️ MetaMask not detected - Please install MetaMask extension"
-                    }
-                    {isPhantomInterfering() && (
-                      <div className="mt-2 text-xs">
-                        💡 Tip: Right-click Phantom extension → Disable for this site, or switch to MetaMask
-                      </div>
-                    )}
-                  </div>
-                </div>
+          {activeView === "messages" && (
+            <SafeMessagesPanel
+              reloadKey={`${chainId}:${safeAddress}`}
+              threshold={safeStatus.threshold}
+              signerAddress={safeStatus.signerAddress}
+              onLoad={fetchSafeMessages}
+              onCreate={createMessage}
+              onConfirm={confirmMessage}
+              onVerify={verifyMessage}
+            />
+          )}
 
-                {/* Generate Encoded Data Button */}
-                <div className="pt-4">
-                  <button
-                    onClick={generateEncodedData}
-                    disabled={!selectedFunction || Object.values(functionParams).some(value => value === "")}
-                    className={`w-full px-4 py-2 rounded-lg font-medium transition-all mb-3 ${
-                      !selectedFunction || Object.values(functionParams).some(value => value === "")
-                        ? "bg-gray-600 text-gray-400 cursor-not-allowed"
-                        : "bg-blue-600 hover:bg-blue-700 text-white"
-                    }`}
-                  >
-                    Generate Encoded Data
-                  </button>
+          {activeView === "signer" && <SignerPanel />}
+
+          {activeView === "offline" && (
+            <OfflineSigningPanel
+              key={`${chainId}:${safeAddress}`}
+              safeAddress={safeAddress}
+              chainId={chainId}
+              owners={safeStatus.owners}
+              threshold={safeStatus.threshold}
+              decimals={tokenDecimals}
+              serviceEnabled={TRANSACTION_SERVICE_ENABLED}
+              onSubmit={submitTransactionFile}
+              onExecute={executeTransactionFile}
+            />
+          )}
 
-                  {/* Create Transaction Button */}
+          {activeView === "builder" && (
+            <>
+              {/* Builder Mode */}
+              <div className="flex rounded-lg border border-gray-600 overflow-hidden text-sm mb-6">
+                {[["function", "Contract Function"], ["custom", "Custom Data"], ["eth", "Send ETH"]].map(([mode, label]) => (
                   <button
-                    onClick={createSafeTransaction}
-                    disabled={isCreatingTx || !encodedData || !isMetaMaskAvailable()}
-                    className={`w-full px-6 py-3 rounded-lg font-semibold transition-all ${
-                      isCreatingTx || !encodedData || !isMetaMaskAvailable()
-                        ? "bg-gray-600 text-gray-400 cursor-not-allowed"
-                        : "bg-green-600 hover:bg-green-700 text-white"
-                    }`}
+                    key={mode}
+                    onClick={() => setBuilderMode(mode)}
+                    className={`flex-1 px-4 py-2 ${builderMode === mode ? "bg-green-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
                   >
-                    {isCreatingTx ? "Creating Safe Transaction..." : "Create & Sign Safe Transaction"}
+                    {label}
                   </button>
-                  
+                ))}
+              </div>
+
+              {builderMode !== "eth" && (
+                <OperationSelector
+                  operation={operation}
+                  onChange={handleOperationChange}
+                  target={builderMode === "custom" ? rawCallValidation.transaction.to : currentToken && currentToken.address}
+                  acknowledged={delegateCallAcknowledged}
+                  onAcknowledgedChange={setDelegateCallAcknowledged}
+                />
+              )}
+
+              {builderMode !== "function" ? (
+                <>
+                  {builderMode === "custom" ? (
+                    <RawCalldataForm
+                      values={rawCall}
+                      onChange={setRawCall}
+                      validation={rawCallValidation}
+                      decimals={tokenDecimals}
+                      safeBalance={safeStatus.balance}
+                      onPropose={() => createRawTransaction(rawCallValidation.transaction, operation)}
+                      onAddToBatch={() => addRawCallToBatch(rawCallValidation.transaction, operation)}
+                      isProposing={isCreatingTx}
+                      canPropose={rawCallValidation.isValid && isMetaMaskAvailable()}
+                      blockedReason={rawCallOperationError}
+                    />
+                  ) : (
+                    <SendEthForm
+                      values={ethTransfer}
+                      onChange={setEthTransfer}
+                      validation={ethTransferValidation}
+                      safeBalance={safeStatus.balance}
+                      onPropose={() => createRawTransaction(ethTransferValidation.transaction, OperationType.Call)}
+                      onAddToBatch={() => addRawCallToBatch(ethTransferValidation.transaction, OperationType.Call)}
+                      isProposing={isCreatingTx}
+                      canPropose={isMetaMaskAvailable()}
+                    />
+                  )}
                   {txStatus && (
-                    <div className={`mt-3 p-3 rounded-md text-sm ${
-                      txStatus.includes("Error") 
+                    <div className={`-mt-4 mb-8 p-3 rounded-md text-sm ${
+                      txStatus.includes("Error")
                         ? "bg-red-900/20 border border-red-700 text-red-300"
-                        : txStatus.includes("successfully") || txStatus.includes("executed")
+                        : txStatus.includes("successfully")
                         ? "bg-green-900/20 border border-green-700 text-green-300"
                         : "bg-blue-900/20 border border-blue-700 text-blue-300"
                     }`}>
                       {txStatus}
                     </div>
                   )}
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* Last Transaction Section */}
-          {lastTransaction && typeof lastTransaction === 'object' && (
-            <div className="mb-8">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold">Last Signed Transaction</h3>
-                <button
-                  onClick={clearStoredTransaction}
-                  className="text-red-400 hover:text-red-300 text-sm"
-                >
-                  Clear
-                </button>
-              </div>
-              <div className="space-y-4 p-4 bg-gray-800 rounded-lg border border-gray-700">
-                <div className="grid grid-cols-2 gap-4 text-sm">
-                  <div>
-                    <span className="text-gray-400">Safe Tx Hash:</span>
-                    <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.safeTxHash || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Signature:</span>
-                    <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.signature || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Safe Address:</span>
-                    <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.safeAddress || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Target Contract:</span>
-                    <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.to || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Function:</span>
-                    <div className="text-sm mt-1">{String(lastTransaction.function || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Token:</span>
-                    <div className="text-sm mt-1">{String(lastTransaction.token || 'N/A')}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Timestamp:</span>
-                    <div className="text-sm mt-1">{lastTransaction.timestamp ? new Date(lastTransaction.timestamp).toLocaleString() : 'N/A'}</div>
-                  </div>
-                  <div>
-                    <span className="text-gray-400">Data Length:</span>
-                    <div className="text-sm mt-1">{lastTransaction.data ? String(lastTransaction.data).length : 0} chars</div>
-                  </div>
-                </div>
-                {lastTransaction.parameters && Object.keys(lastTransaction.parameters).length > 0 && (
-                  <div>
-                    <span className="text-gray-400">Parameters:</span>
-                    <div className="mt-1">
-                      {Object.entries(lastTransaction.parameters).map(([key, value]) => (
-                        <div key={key} className="text-sm">
-                          <span className="text-gray-500">{String(key)}:</span> {String(value)}
+                </>
+              ) : (
+                <>
+                  {/* Contract Selection Section */}
+                  <div className="mb-8">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-lg font-semibold">Contract Selection</h3>
+                      <button
+                        onClick={() => setShowCustomContractForm(!showCustomContractForm)}
+                        className="text-sm text-green-400 hover:text-green-300"
+                      >
+                        + Custom Contract
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      {Object.keys(tokens).map((tokenKey) => (
+                        <div key={tokenKey} className="relative">
+                          <button
+                            onClick={() => handleTokenSelect(tokenKey)}
+                            className={`w-full h-full p-4 rounded-lg border-2 transition-all ${
+                              currentToken && currentToken.name === tokenKey
+                                ? "border-green-500 bg-green-500/10"
+                                : "border-gray-600 hover:border-gray-500"
+                            }`}
+                          >
+                            <div className="text-center">
+                              <div className="text-lg font-semibold">{tokens[tokenKey].name}</div>
+                              <div className="text-sm text-gray-400 mt-1 break-all">
+                                {tokens[tokenKey].address}
+                              </div>
+                              {tokens[tokenKey].isCustom && (
+                                <div className="text-xs text-blue-400 mt-1">Custom</div>
+                              )}
+                            </div>
+                          </button>
+                          {tokens[tokenKey].isCustom && (
+                            <button
+                              onClick={() => handleRemoveCustomContract(tokenKey)}
+                              className="absolute top-2 right-2 text-red-400 hover:text-red-300 text-xs"
+                            >
+                              ✕
+                            </button>
+                          )}
                         </div>
                       ))}
                     </div>
+                    {!currentToken && (
+                      <p className="text-sm text-gray-400">
+                        {chainId === null
+                          ? "Connect a wallet to see the contracts on its network."
+                          : `No contracts are known on ${getChainInfo(chainId).name}. Import one with "+ Custom Contract", or build the call with Custom Data.`}
+                      </p>
+                    )}
+                    {showCustomContractForm && (
+                      <div className="mt-4">
+                        <CustomContractForm
+                          chainId={chainId}
+                          onSaved={handleCustomContractSaved}
+                          onCancel={() => setShowCustomContractForm(false)}
+                        />
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
-            </div>
-          )}
 
-          
+                  {/* Function Selection Section */}
+                  <div className="mb-8">
+                    <h3 className="text-lg font-semibold mb-4">Function Selection</h3>
+                    {/* Grouped by state mutability: read-only functions run with eth_call, the rest go through the Safe */}
+                    {FUNCTION_GROUPS.map(group => {
+                      const groupFunctions = (currentToken ? currentToken.functions : []).filter(func => func.stateMutability === group.stateMutability);
+                      if (groupFunctions.length === 0) return null;
+                      return (
+                        <div key={group.stateMutability} className="mb-4">
+                          <div className="flex items-baseline justify-between mb-2">
+                            <h4 className="text-sm font-medium text-gray-300">{group.label}</h4>
+                            <span className="text-xs text-gray-500">{group.description}</span>
+                          </div>
+                          <div className="grid grid-cols-3 gap-3">
+                            {groupFunctions.map((func) => (
+                              <button
+                                key={func.signature}
+                                onClick={() => handleFunctionSelect(func.signature)}
+                                title={func.signature}
+                                className={`p-3 rounded-lg border transition-all text-sm ${
+                                  selectedFunction === func.signature
+                                    ? "border-green-500 bg-green-500/10"
+                                    : "border-gray-600 hover:border-gray-500"
+                                }`}
+                              >
+                                <div className="font-medium">{func.name}</div>
+                                {func.isOverloaded && (
+                                  <div className="text-xs text-blue-400 mt-1 font-mono break-all">{func.signature}</div>
+                                )}
+                                <div className="text-xs text-gray-400 mt-1">
+                                  {func.inputs.length > 0 ? `${func.inputs.length} params` : "No params"}
+                                </div>
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {/* Parameter Input Section */}
+                  {selectedFunction && (
+                    <div className="mb-8">
+                      <h3 className="text-lg font-semibold mb-4">Function Parameters</h3>
+                      <div className="space-y-4">
+                        {selectedFunctionDetails && selectedFunctionDetails.inputs.map((input, index) => {
+                          const key = getParamKey(input, index);
+                          return (
+                            <ParameterInput
+                              key={key}
+                              param={input}
+                              path={key}
+                              label={key}
+                              nameHint={input.name}
+                              value={functionParams[key]}
+                              onChange={(value) => handleParamChange(key, value)}
+                              units={paramUnits}
+                              onUnitsChange={handleUnitsChange}
+                              validation={paramValidation}
+                              decimals={currentDecimals}
+                              tokenName={currentToken.name}
+                            />
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Encoded Data Section */}
+                  {encodedData && (
+                    <div className="mb-8">
+                      <h3 className="text-lg font-semibold mb-4">Encoded Data</h3>
+                      <div className="space-y-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Encoded Data
+                          </label>
+                          <div className="p-3 bg-gray-800 border border-gray-600 rounded-md font-mono text-sm break-all">
+                            {encodedData}
+                          </div>
+                        </div>
 
+                        {encodedDataHash && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                              Data Hash (keccak256)
+                            </label>
+                            <div className="p-3 bg-gray-800 border border-gray-600 rounded-md font-mono text-sm break-all">
+                              {encodedDataHash}
+                            </div>
+                          </div>
+                        )}
+
+                        {/* ETH value sent with write calls */}
+                        {selectedFunctionDetails && !selectedFunctionDetails.isReadOnly && (
+                          <EthValueInput
+                            value={callValue.value}
+                            units={callValue.units}
+                            onChange={(value) => setCallValue(prev => ({ ...prev, value }))}
+                            onUnitsChange={(units) => setCallValue(prev => ({ ...prev, units }))}
+                            conversion={callValueConversion}
+                            safeBalance={safeStatus.balance}
+                            notPayableName={selectedFunctionDetails.stateMutability === "payable" ? null : selectedFunctionDetails.name}
+                          />
+                        )}
 
+                        {/* Wallet Status Indicator */}
+                        <div className="pt-4 mb-4">
+                          <div className={`p-3 rounded-lg border text-sm ${
+                            isMetaMaskAvailable() 
+                              ? "bg-green-900/20 border-green-700 text-green-300"
+                              : isPhantomInterfering()
+                              ? "bg-red-900/20 border-red-700 text-red-300"
+                              : "bg-yellow-900/20 border-yellow-700 text-yellow-300"
+                          }`}>
+                            {isMetaMaskAvailable() 
+                              ? "✅ MetaMask detected and ready"
+                              : isPhantomInterfering()
+                              ? "❌ Phantom detected - Please disable Phantom or switch to MetaMask"
+                              : "⚠️ MetaMask not detected - Please install MetaMask extension"
+                            }
+                            {isPhantomInterfering() && (
+                              <div className="mt-2 text-xs">
+                                💡 Tip: Right-click Phantom extension → Disable for this site, or switch to MetaMask
+                              </div>
+                            )}
+                          </div>
+                        </div>
+
+                        {/* Generate Encoded Data Button */}
+                        <div className="pt-4">
+                          <button
+                            onClick={generateEncodedData}
+                            disabled={!selectedFunction || !paramValidation.isValid}
+                            className={`w-full px-4 py-2 rounded-lg font-medium transition-all mb-3 ${
+                              !selectedFunction || !paramValidation.isValid
+                                ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                                : "bg-blue-600 hover:bg-blue-700 text-white"
+                            }`}
+                          >
+                            Generate Encoded Data
+                          </button>
+
+                          {selectedFunctionDetails && selectedFunctionDetails.isReadOnly ? (
+                            <>
+                              {/* Read-only functions are called directly, never proposed */}
+                              <button
+                                onClick={callReadOnlyFunction}
+                                disabled={(readResult && readResult.isRunning) || !encodedData || encodedData.startsWith("Error") || !isMetaMaskAvailable()}
+                                className={`w-full px-6 py-3 rounded-lg font-semibold transition-all ${
+                                  (readResult && readResult.isRunning) || !encodedData || encodedData.startsWith("Error") || !isMetaMaskAvailable()
+                                    ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                                    : "bg-green-600 hover:bg-green-700 text-white"
+                                }`}
+                              >
+                                {readResult && readResult.isRunning ? "Calling..." : "Call (eth_call)"}
+                              </button>
+
+                              {readResult && !readResult.isRunning && (
+                                <div className={`mt-3 p-3 rounded-md text-sm ${
+                                  readResult.error
+                                    ? "bg-red-900/20 border border-red-700 text-red-300"
+                                    : "bg-gray-800 border border-gray-600"
+                                }`}>
+                                  {readResult.error ? (
+                                    `Error: ${readResult.error}`
+                                  ) : (
+                                    <>
+                                      <div className="text-xs text-gray-400 mb-2">
+                                        {readResult.signature} at block {readResult.blockNumber}
+                                      </div>
+                                      {readResult.outputs.length === 0 && (
+                                        <div className="text-gray-400">No return values</div>
+                                      )}
+                                      {readResult.outputs.map((output, index) => (
+                                        <div key={index} className="mb-1">
+                                          <span className="text-gray-300">{output.name}</span>
+                                          <span className="text-gray-500"> ({output.type})</span>
+                                          <div className="font-mono break-all text-green-300">
+                                            {output.formatted !== undefined
+                                              ? `${output.formatted} ${currentToken.name} (${output.value})`
+                                              : output.value}
+                                          </div>
+                                        </div>
+                                      ))}
+                                    </>
+                                  )}
+                                </div>
+                              )}
+                            </>
+                          ) : (
+                            <>
+                            {functionOperationError && (
+                              <div className="mb-3 text-xs text-red-400">✕ {functionOperationError}</div>
+                            )}
+                            {/* Create Transaction Button */}
+                            <button
+                              onClick={createSafeTransaction}
+                              disabled={isCreatingTx || !encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null || !isMetaMaskAvailable()}
+                              className={`w-full px-6 py-3 rounded-lg font-semibold transition-all ${
+                                isCreatingTx || !encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null || !isMetaMaskAvailable()
+                                  ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                                  : "bg-green-600 hover:bg-green-700 text-white"
+                              }`}
+                            >
+                              {isCreatingTx ? "Creating Safe Transaction..." : "Create & Sign Safe Transaction"}
+                            </button>
+
+                            {/* Add to Batch Button */}
+                            <button
+                              onClick={addToBatch}
+                              disabled={!encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null}
+                              className={`w-full mt-3 px-6 py-2 rounded-lg font-medium transition-all ${
+                                !encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null
+                                  ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                                  : "border border-green-500 text-green-400 hover:bg-green-500/10"
+                              }`}
+                            >
+                              Add to Batch
+                            </button>
+
+                            {/* Export Button */}
+                            <button
+                              onClick={exportFunctionTransaction}
+                              disabled={isCreatingTx || !encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null || !isMetaMaskAvailable()}
+                              className={`w-full mt-3 px-6 py-2 rounded-lg text-sm transition-all ${
+                                isCreatingTx || !encodedData || encodedData.startsWith("Error") || !isCallValueValid || functionOperationError !== null || !isMetaMaskAvailable()
+                                  ? "text-gray-500 cursor-not-allowed"
+                                  : "text-gray-300 hover:text-white underline"
+                              }`}
+                            >
+                              Export for Offline Signing
+                            </button>
+                            </>
+                          )}
+
+                          {txStatus && (
+                            <div className={`mt-3 p-3 rounded-md text-sm ${
+                              txStatus.includes("Error") 
+                                ? "bg-red-900/20 border border-red-700 text-red-300"
+                                : txStatus.includes("successfully") || txStatus.includes("executed")
+                                ? "bg-green-900/20 border border-green-700 text-green-300"
+                                : "bg-blue-900/20 border border-blue-700 text-blue-300"
+                            }`}>
+                              {txStatus}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* Last Transaction Section */}
+              {lastTransaction && typeof lastTransaction === 'object' && (
+                <div className="mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">Last Signed Transaction</h3>
+                    <div className="flex items-center space-x-4">
+                      <button
+                        onClick={() => setActiveView("history")}
+                        className="text-green-400 hover:text-green-300 text-sm"
+                      >
+                        Full History
+                      </button>
+                      <button
+                        onClick={clearStoredTransaction}
+                        className="text-red-400 hover:text-red-300 text-sm"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                  <div className="space-y-4 p-4 bg-gray-800 rounded-lg border border-gray-700">
+                    <div className="grid grid-cols-2 gap-4 text-sm">
+                      <div>
+                        <span className="text-gray-400">Safe Tx Hash:</span>
+                        <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.safeTxHash || 'N/A')}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Signature:</span>
+                        <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.signature || 'N/A')}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Safe Address:</span>
+                        <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.safeAddress || 'N/A')}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Target Contract:</span>
+                        <div className="font-mono text-xs break-all mt-1">{String(lastTransaction.to || 'N/A')}</div>
+                      </div>
+                      {lastTransaction.value && lastTransaction.value !== '0' && (
+                        <div>
+                          <span className="text-gray-400">Value:</span>
+                          <div className="font-mono text-xs break-all mt-1">{ethers.formatEther(lastTransaction.value)} ETH</div>
+                        </div>
+                      )}
+                      <div>
+                        <span className="text-gray-400">Function:</span>
+                        <div className="text-sm mt-1">{String(lastTransaction.function || 'N/A')}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Token:</span>
+                        <div className="text-sm mt-1">{String(lastTransaction.token || 'N/A')}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Timestamp:</span>
+                        <div className="text-sm mt-1">{lastTransaction.timestamp ? new Date(lastTransaction.timestamp).toLocaleString() : 'N/A'}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-400">Data Length:</span>
+                        <div className="text-sm mt-1">{lastTransaction.data ? String(lastTransaction.data).length : 0} chars</div>
+                      </div>
+                    </div>
+                    {lastTransaction.parameters && Object.keys(lastTransaction.parameters).length > 0 && (
+                      <div>
+                        <span className="text-gray-400">Parameters:</span>
+                        <div className="mt-1">
+                          {Object.entries(lastTransaction.parameters).map(([key, value]) => (
+                            <div key={key} className="text-sm">
+                              <span className="text-gray-500">{String(key)}:</span> {String(value)}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
         </div>
 
         {/* Right Panel - Batch Creation & Pending Transactions */}
-        <div className="w-80 p-6 bg-gray-800 overflow-y-auto">
+        <div className="w-96 p-6 bg-gray-800 overflow-y-auto">
           <div className="text-center mb-6">
-            <div className="mb-6">
-              <div className="w-20 h-20 mx-auto mb-4 relative">
-                <div className="absolute inset-0 bg-gray-600 rounded-lg transform rotate-12"></div>
-                <div className="absolute inset-0 bg-gray-600 rounded-lg transform -rotate-6 translate-y-1"></div>
-                <div className="absolute inset-0 bg-gray-600 rounded-lg transform rotate-3 translate-y-2"></div>
-                <div className="absolute top-0 right-0 w-6 h-6 bg-green-500 rounded-full flex items-center justify-center transform translate-x-1 -translate-y-1">
-                  <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20">
-                    <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" />
-                  </svg>
+            {batch.length > 0 ? (
+              <BatchPanel
+                batch={batch}
+                onMove={moveBatchItem}
+                onRemove={removeBatchItem}
+                onClear={clearBatch}
+                onPropose={proposeBatch}
+                onExport={exportBatch}
+                isProposing={isProposingBatch}
+                decimals={tokenDecimals}
+                status={batchStatus}
+                canPropose={isMetaMaskAvailable()}
+              />
+            ) : (
+              <>
+                <div className="mb-6">
+                  <div className="w-20 h-20 mx-auto mb-4 relative">
+                    <div className="absolute inset-0 bg-gray-600 rounded-lg transform rotate-12"></div>
+                    <div className="absolute inset-0 bg-gray-600 rounded-lg transform -rotate-6 translate-y-1"></div>
+                    <div className="absolute inset-0 bg-gray-600 rounded-lg transform rotate-3 translate-y-2"></div>
+                    <div className="absolute top-0 right-0 w-6 h-6 bg-green-500 rounded-full flex items-center justify-center transform translate-x-1 -translate-y-1">
+                      <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" />
+                      </svg>
+                    </div>
+                  </div>
+                  <h3 className="text-lg font-semibold text-gray-200">Start creating a new batch</h3>
+                  <p className="text-sm text-gray-400 mt-2">Encode a call and use &quot;Add to Batch&quot; to queue it</p>
                 </div>
-              </div>
-              <h3 className="text-lg font-semibold text-gray-200">Start creating a new batch</h3>
-            </div>
-            
-            <div className="text-gray-400 mb-6">or</div>
-            
-            <div className="border-2 border-dashed border-green-500 rounded-lg p-6 hover:border-green-400 transition-colors cursor-pointer">
-              <p className="text-gray-300">
-                Drag and drop a JSON file or{" "}
-                <span className="text-green-400 font-medium">choose a file</span>
-              </p>
-            </div>
+
+                <div className="text-gray-400 mb-6">or</div>
+
+                <div className="border-2 border-dashed border-green-500 rounded-lg p-6 hover:border-green-400 transition-colors cursor-pointer">
+                  <p className="text-gray-300">
+                    Drag and drop a JSON file or{" "}
+                    <span className="text-green-400 font-medium">choose a file</span>
+                  </p>
+                </div>
+              </>
+            )}
 
             {/* Current Selection Summary */}
             {selectedToken && selectedFunction && (
               <div className="mt-6 p-4 bg-gray-700 rounded-lg text-left">
                 <h4 className="font-medium text-gray-200 mb-2">Current Selection:</h4>
                 <div className="text-sm text-gray-300 space-y-1">
-                  <div><span className="text-gray-400">Token:</span> {selectedToken}</div>
+                  <div><span className="text-gray-400">Contract:</span> {currentToken.name}</div>
                   <div><span className="text-gray-400">Function:</span> {selectedFunction}</div>
                   <div><span className="text-gray-400">Address:</span> {currentToken.address}</div>
                   {encodedData && (
@@ -1018,6 +2079,31 @@ function App() {
             )}
           </div>
 
+          {/* Simulation Section */}
+          <div className="border-t border-gray-700 pt-6 mb-6">
+            <h3 className="text-lg font-semibold text-gray-200 mb-4">Simulation</h3>
+            <SimulationPanel
+              settings={simulationSettings}
+              onSettingsChange={setSimulationSettings}
+              simulation={simulation}
+              onDismiss={() => setSimulation(null)}
+            />
+          </div>
+
+          {/* Proposal Nonce Section */}
+          <div className="border-t border-gray-700 pt-6 mb-6">
+            <h3 className="text-lg font-semibold text-gray-200 mb-4">Proposal Nonce</h3>
+            <NonceSelector
+              safeNonce={safeStatus.nonce}
+              pendingTransactions={pendingTransactions}
+              safeAddress={safeAddress}
+              decimals={tokenDecimals}
+              value={proposalNonce}
+              onChange={setProposalNonce}
+              disabled={isCreatingTx || isProposingBatch}
+            />
+          </div>
+
           {/* Pending Transactions Section */}
           <div className="border-t border-gray-700 pt-6">
             <div className="flex items-center justify-between mb-4">
@@ -1048,57 +2134,38 @@ function App() {
             ) : (
               <div className="space-y-3">
                 {pendingTransactions.map((tx, index) => {
-                  // Debug logging to identify problematic objects
-                  console.log('Rendering pending transaction:', tx);
-                  
                   // Additional validation before rendering
                   if (!tx || typeof tx !== 'object') {
                     console.error('Invalid transaction object at index', index, ':', tx);
                     return null;
                   }
-                  
-                  // Safely extract and stringify all transaction properties
+
                   const safeTxHash = tx.safeTxHash ? String(tx.safeTxHash) : 'N/A';
-                  const toAddress = tx.to ? String(tx.to) : 'N/A';
-                  const value = tx.value ? String(tx.value) : '0';
-                  const created = tx.created ? new Date(tx.created).toLocaleString() : 'Unknown';
-                  
+
+                  // Link proposals and rejections that compete for the same nonce
+                  const isRejection = isRejectionTransaction(tx, safeAddress);
+                  const competingTransactions = pendingTransactions.filter(other =>
+                    other !== tx &&
+                    Number(other.nonce) === Number(tx.nonce) &&
+                    isRejectionTransaction(other, safeAddress) !== isRejection
+                  );
+
                   return (
-                    <div key={safeTxHash !== 'N/A' ? safeTxHash : `pending-tx-${index}`} className="p-3 bg-gray-700 rounded-lg border border-gray-600">
-                      <div className="text-xs text-gray-400 mb-2">Safe Tx Hash:</div>
-                      <div className="font-mono text-xs break-all mb-2">{safeTxHash}</div>
-                      
-                      <div className="text-xs text-gray-400 mb-1">To:</div>
-                      <div className="font-mono text-xs break-all mb-2">{toAddress}</div>
-                      
-                      <div className="text-xs text-gray-400 mb-1">Value:</div>
-                      <div className="font-mono text-xs break-all mb-2">{value}</div>
-                      
-                      <div className="text-xs text-gray-400 mb-1">Created:</div>
-                      <div className="text-xs mb-3">{created}</div>
-                      
-                      <button
-                        onClick={() => signPendingTransaction(tx)}
-                        disabled={signingTransactions.has(safeTxHash)}
-                        className={`w-full px-3 py-1 rounded text-xs font-medium transition-all flex items-center justify-center space-x-2 ${
-                          signingTransactions.has(safeTxHash)
-                            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
-                            : "bg-green-600 hover:bg-green-700 text-white"
-                        }`}
-                      >
-                        {signingTransactions.has(safeTxHash) ? (
-                          <>
-                            <svg className="animate-spin h-3 w-3" fill="none" viewBox="0 0 24 24">
-                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                            </svg>
-                            <span>Processing...</span>
-                          </>
-                        ) : (
-                          <span>Sign & Confirm</span>
-                        )}
-                      </button>
-                    </div>
+                    <PendingTransactionCard
+                      key={safeTxHash !== 'N/A' ? safeTxHash : `pending-tx-${index}`}
+                      tx={tx}
+                      safeAddress={safeAddress}
+                      competingTransactions={competingTransactions}
+                      decimals={tokenDecimals}
+                      threshold={safeStatus.threshold}
+                      safeNonce={safeStatus.nonce}
+                      signerAddress={safeStatus.signerAddress}
+                      isBusy={signingTransactions.has(safeTxHash)}
+                      onConfirm={confirmPendingTransaction}
+                      onPrepareExecute={prepareExecution}
+                      onExecute={executePendingTransaction}
+                      onReject={rejectPendingTransaction}
+                    />
                   );
                 })}
               </div>
@@ -0,0 +1,41 @@
+import { ethers } from 'ethers'
+import { OperationType } from '@safe-global/types-kit'
+import { CliError, EXIT_CODES } from './output.js'
+
+// Options of the commands that build a call from the Safe
+export const TRANSACTION_OPTIONS = {
+  value: { type: 'string', default: '0' },
+  operation: { type: 'string', default: 'call' },
+  nonce: { type: 'string' }
+}
+
+export const TRANSACTION_USAGE = '<to> [data] [--value <wei>] [--operation call|delegatecall] [--nonce <n>]'
+
+// Validate the positional target / calldata and the flags into a MetaTransactionData
+export function parseTransaction([to, data = '0x'], options) {
+  if (!to || !ethers.isAddress(to)) throw new CliError('A valid target address is required', EXIT_CODES.USAGE)
+  if (!ethers.isHexString(data)) throw new CliError('Calldata must be 0x-prefixed hex', EXIT_CODES.USAGE)
+  if (!/^\d+$/.test(options.value)) throw new CliError('--value must be a whole number of wei', EXIT_CODES.USAGE)
+
+  const name = options.operation.toLowerCase()
+  if (name !== 'call' && name !== 'delegatecall') {
+    throw new CliError(`Unknown operation "${options.operation}"`, EXIT_CODES.USAGE)
+  }
+  const operation = name === 'delegatecall' ? OperationType.DelegateCall : OperationType.Call
+  if (operation === OperationType.DelegateCall && options.value !== '0') {
+    throw new CliError('ETH value cannot be sent with a DelegateCall', EXIT_CODES.USAGE)
+  }
+  return { to: ethers.getAddress(to), value: options.value, data, operation }
+}
+
+// --nonce, or the next free nonce from the service (after the queued transactions), or the Safe's nonce without it
+export async function resolveNonce({ config, safeSdk, apiKit }, options) {
+  let nonce
+  if (options.nonce !== undefined) {
+    nonce = Number(options.nonce)
+  } else {
+    nonce = Number(apiKit ? await apiKit.getNextNonce(config.safeAddress) : await safeSdk.getNonce())
+  }
+  if (!Number.isInteger(nonce) || nonce < 0) throw new CliError('--nonce must be a whole number', EXIT_CODES.USAGE)
+  return nonce
+}
@@ -0,0 +1,79 @@
+import { ethers } from 'ethers'
+import { ABI as SafeABI } from '../../Contracts/Safe.js'
+import { toSafeTransaction } from '../../Helper/SafeTxFile.js'
+import { CliError, EXIT_CODES, confirm } from '../output.js'
+import { confirmDelegateCalls } from '../guards.js'
+import { assertNotExecuted, selectTransaction, selectTransactionFile } from '../selection.js'
+import { GAS_OPTIONS, GAS_USAGE, countApprovals, parseGasOptions } from '../executor.js'
+
+export default {
+  name: 'approve',
+  usage: `approve <safeTxHash|nonce> | --file <file> [--yes] ${GAS_USAGE}`,
+  description: 'Approve a Safe transaction on-chain with approveHash, as a signature that needs no service or file',
+  options: {
+    file: { type: 'string' },
+    yes: { type: 'boolean', default: false },
+    ...GAS_OPTIONS
+  },
+  // A transaction file needs no service
+  needs: options => ({ signer: true, service: !options.file }),
+
+  async run(context, { positionals, options }, out) {
+    const { config, provider, safeSdk, wallet, signerAddress } = context
+    const gas = parseGasOptions(options)
+    if (options.file && positionals.length > 0) {
+      throw new CliError('Pass either a safeTxHash / nonce or --file, not both', EXIT_CODES.USAGE)
+    }
+
+    // ✅ Load the transaction and show what is being approved
+    const selection = options.file
+      ? await selectTransactionFile(context, options.file, out)
+      : await selectTransaction(context, positionals[0], out)
+    const { summary } = selection
+    assertNotExecuted(selection)
+
+    // ✅ The approved hash is computed from the transaction, never taken from the file or the service
+    const safeTransaction = options.file
+      ? await toSafeTransaction(safeSdk, selection.file)
+      : await safeSdk.toSafeTransactionType(selection.tx)
+    const safeTxHash = await safeSdk.getTransactionHash(safeTransaction)
+    if (safeTxHash.toLowerCase() !== summary.safeTxHash.toLowerCase()) {
+      throw new CliError(`The Safe computes ${safeTxHash} for this transaction, not ${summary.safeTxHash}`, EXIT_CODES.REFUSED)
+    }
+
+    if (!(await safeSdk.isOwner(signerAddress))) {
+      throw new CliError(`${signerAddress} is not an owner of the Safe`, EXIT_CODES.REFUSED)
+    }
+    const approvedBy = await safeSdk.getOwnersWhoApprovedTx(safeTxHash)
+    if (approvedBy.some(owner => owner.toLowerCase() === signerAddress.toLowerCase())) {
+      throw new CliError(`${signerAddress} has already approved ${safeTxHash} on-chain`, EXIT_CODES.REFUSED)
+    }
+
+    // ✅ Refuse DelegateCalls outside the allow-list
+    await confirmDelegateCalls(out, [safeTransaction.data], { config, assumeYes: options.yes, action: 'Approve' })
+    await confirm(`Approve ${safeTxHash} on-chain from ${signerAddress}?`, { assumeYes: options.yes })
+
+    // ✅ Send approveHash and wait for the receipt
+    const safe = new ethers.Contract(config.safeAddress, SafeABI, wallet)
+    const txResponse = await safe.approveHash(safeTxHash, gas)
+    out.log('Transaction submitted:', txResponse.hash)
+    const receipt = await provider.waitForTransaction(txResponse.hash)
+    if (!receipt || receipt.status !== 1) {
+      throw new CliError(`Approval transaction ${txResponse.hash} reverted`)
+    }
+    out.log(`Mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`)
+
+    const approvals = await countApprovals({ safeSdk }, safeTransaction, safeTxHash)
+    out.log(`✅ Approved. Signatures: ${approvals.count}/${approvals.threshold}`)
+
+    return {
+      safeTxHash,
+      owner: signerAddress,
+      transactionHash: txResponse.hash,
+      blockNumber: receipt.blockNumber,
+      approvals: approvals.count,
+      threshold: approvals.threshold,
+      summary
+    }
+  }
+}
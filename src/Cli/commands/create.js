@@ -0,0 +1,42 @@
+import { confirmDelegateCalls } from '../guards.js'
+import { TRANSACTION_OPTIONS, TRANSACTION_USAGE, parseTransaction, resolveNonce } from '../args.js'
+import { OUTPUT_OPTIONS, toTxFile, writeTxFile } from '../files.js'
+import { CliError, EXIT_CODES } from '../output.js'
+
+export default {
+  name: 'create',
+  usage: `create ${TRANSACTION_USAGE} --out <file> [--force] [--yes]`,
+  description: 'Write a new, unsigned Safe transaction to a file for offline signing',
+  options: {
+    ...TRANSACTION_OPTIONS,
+    ...OUTPUT_OPTIONS,
+    yes: { type: 'boolean', default: false }
+  },
+  // The service is only asked for the next free nonce, which is the on-chain nonce in --direct mode
+  needs: (options, config) => ({ signer: false, service: options.nonce === undefined && !config.direct }),
+
+  async run(context, { positionals, options }, out) {
+    const transaction = parseTransaction(positionals, options)
+    if (!options.out) throw new CliError('--out <file> is required', EXIT_CODES.USAGE)
+    const { config, safeSdk } = context
+
+    // ✅ DelegateCall only into allow-listed libraries, after a typed confirmation
+    await confirmDelegateCalls(out, [transaction], { config, assumeYes: options.yes, action: 'Export' })
+
+    const nonce = await resolveNonce(context, options)
+    const safeTransaction = await safeSdk.createTransaction({
+      transactions: [transaction],
+      options: { onlyCalls: false, nonce }
+    })
+
+    // ✅ Write the unsigned transaction file
+    const file = await toTxFile(context, safeTransaction)
+    writeTxFile(options.out, file, options)
+
+    out.log('Nonce:', file.tx.nonce)
+    out.log('Safe Tx Hash:', file.safeTxHash)
+    out.log(`Transaction written to ${options.out}. Owners can sign it offline with: safe sign-file ${options.out}`)
+
+    return { file: options.out, safeTxHash: file.safeTxHash, nonce: file.tx.nonce, chainId: file.chainId, safeAddress: file.safeAddress }
+  }
+}
@@ -0,0 +1,53 @@
+import { toSafeTransaction } from '../../Helper/SafeTxFile.js'
+import { CliError, EXIT_CODES, confirm } from '../output.js'
+import { assertNotExecuted, selectTransaction, selectTransactionFile } from '../selection.js'
+import { GAS_OPTIONS, GAS_USAGE, executeSafeTransaction, parseGasOptions } from '../executor.js'
+
+export default {
+  name: 'execute',
+  usage: `execute <safeTxHash|nonce> | --file <file> [--yes] ${GAS_USAGE}`,
+  description: 'Execute a queued Safe transaction, or a signed transaction file, once its signatures reach the threshold, and report ExecutionSuccess / ExecutionFailure',
+  options: {
+    file: { type: 'string' },
+    yes: { type: 'boolean', default: false },
+    ...GAS_OPTIONS
+  },
+  // Signatures from a file need no service
+  needs: options => ({ signer: true, service: !options.file }),
+
+  async run(context, { positionals, options }, out) {
+    const { safeSdk, apiKit, signerAddress } = context
+    const gas = parseGasOptions(options)
+    if (options.file && positionals.length > 0) {
+      throw new CliError('Pass either a safeTxHash / nonce or --file, not both', EXIT_CODES.USAGE)
+    }
+
+    // ✅ Load the transaction and show what is being executed
+    const selection = options.file
+      ? await selectTransactionFile(context, options.file, out)
+      : await selectTransaction(context, positionals[0], out)
+    const { summary, safeNonce } = selection
+    const { safeTxHash } = summary
+
+    assertNotExecuted(selection)
+    if (summary.nonce !== safeNonce) {
+      throw new CliError(`Nonce ${summary.nonce} is not next: execute nonce ${safeNonce} first`, EXIT_CODES.REFUSED)
+    }
+    await confirm(`Execute ${safeTxHash} from ${signerAddress}?`, { assumeYes: options.yes })
+
+    let safeTransaction
+    if (options.file) {
+      safeTransaction = await toSafeTransaction(safeSdk, selection.file)
+    } else {
+      // ✅ Re-fetch with the latest confirmations, in case it was signed or executed meanwhile
+      const latestTx = await apiKit.getTransaction(safeTxHash)
+      if (latestTx.isExecuted) {
+        throw new CliError(`Transaction ${safeTxHash} has already been executed`, EXIT_CODES.REFUSED)
+      }
+      safeTransaction = await safeSdk.toSafeTransactionType(latestTx)
+    }
+
+    const execution = await executeSafeTransaction(context, safeTransaction, { safeTxHash, gas }, out)
+    return { ...execution, summary }
+  }
+}
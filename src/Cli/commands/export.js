@@ -0,0 +1,28 @@
+import { assertNotExecuted, selectTransaction } from '../selection.js'
+import { OUTPUT_OPTIONS, toTxFile, writeTxFile } from '../files.js'
+import { CliError, EXIT_CODES } from '../output.js'
+
+export default {
+  name: 'export',
+  usage: 'export <safeTxHash|nonce> --out <file> [--force]',
+  description: 'Write a queued Safe transaction and its confirmations to a file for offline signing',
+  options: {
+    ...OUTPUT_OPTIONS
+  },
+  needs: { signer: false, service: true },
+
+  async run(context, { positionals, options }, out) {
+    if (!options.out) throw new CliError('--out <file> is required', EXIT_CODES.USAGE)
+
+    const selection = await selectTransaction(context, positionals[0], out)
+    assertNotExecuted(selection)
+
+    // ✅ The service confirmations become the file's signatures
+    const safeTransaction = await context.safeSdk.toSafeTransactionType(selection.tx)
+    const file = await toTxFile(context, safeTransaction)
+    writeTxFile(options.out, file, options)
+
+    out.log(`Transaction written to ${options.out} with ${file.signatures.length} signature(s)`)
+    return { file: options.out, safeTxHash: file.safeTxHash, nonce: file.tx.nonce, signers: file.signatures.map(signature => signature.signer) }
+  }
+}
@@ -0,0 +1,28 @@
+import { ethers } from 'ethers'
+import { loadSafeInfo } from '../../Helper/SafeInfo.js'
+
+export default {
+  name: 'info',
+  usage: 'info',
+  description: 'Show the Safe version, owners, threshold, nonce, modules, guard, fallback handler and balances',
+  options: {},
+  needs: { signer: false, service: false },
+
+  async run({ config, provider, chainId }, args, out) {
+    const info = await loadSafeInfo(provider, config.safeAddress)
+
+    out.log(`Safe ${config.safeAddress} (chain ${chainId}, v${info.version})`)
+    out.log(`Threshold: ${info.threshold} of ${info.owners.length}`)
+    out.log(`Nonce: ${info.nonce}`)
+    out.log('Owners:')
+    info.owners.forEach(owner => out.log(`  ${owner}`))
+    out.log(`Modules: ${info.modules.length ? '' : 'none'}`)
+    info.modules.forEach(module => out.log(`  ${module}`))
+    out.log(`Guard: ${info.guard || 'none'}`)
+    out.log(`Fallback handler: ${info.fallbackHandler || 'none'}`)
+    out.log(`ETH: ${ethers.formatEther(info.balance)}`)
+    info.tokens.forEach(token => out.log(`${token.symbol}: ${token.error || token.formatted}`))
+
+    return { safeAddress: config.safeAddress, chainId, ...info }
+  }
+}
@@ -0,0 +1,29 @@
+import { loadDecimals, printSummary, summarizeTransaction } from '../format.js'
+
+export default {
+  name: 'list-pending',
+  usage: 'list-pending',
+  description: 'List the queued Safe transactions with their decoded calls and confirmations',
+  options: {},
+  needs: { signer: false, service: true },
+
+  async run({ config, provider, chainId, apiKit, safeSdk }, args, out) {
+    const [pendingTxs, nonce, decimals] = await Promise.all([
+      apiKit.getPendingTransactions(config.safeAddress),
+      safeSdk.getNonce(),
+      loadDecimals(provider, chainId)
+    ])
+
+    const transactions = (pendingTxs.results || [])
+      .map(tx => summarizeTransaction(tx, { chainId, safeAddress: config.safeAddress, decimals }))
+      .sort((a, b) => a.nonce - b.nonce)
+
+    out.log(`Safe nonce: ${nonce}`)
+    if (transactions.length === 0) {
+      out.log('No pending transactions')
+    }
+    transactions.forEach(summary => printSummary(out, summary))
+
+    return { safeNonce: Number(nonce), transactions }
+  }
+}
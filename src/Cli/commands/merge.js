@@ -0,0 +1,33 @@
+import { mergeSafeTxFiles } from '../../Helper/SafeTxFile.js'
+import { OUTPUT_OPTIONS, readTxFile, writeTxFile } from '../files.js'
+import { CliError, EXIT_CODES } from '../output.js'
+
+export default {
+  name: 'merge',
+  usage: 'merge <file> <file...> --out <file> [--force]',
+  description: 'Combine the signatures of signed copies of the same transaction file',
+  options: {
+    ...OUTPUT_OPTIONS
+  },
+  needs: { offline: true },
+
+  async run(context, { positionals, options }, out) {
+    if (positionals.length === 0) throw new CliError('At least one transaction file is required', EXIT_CODES.USAGE)
+    if (!options.out) throw new CliError('--out <file> is required', EXIT_CODES.USAGE)
+
+    let merged
+    try {
+      merged = mergeSafeTxFiles(positionals.map(readTxFile))
+    } catch (error) {
+      if (error instanceof CliError) throw error
+      throw new CliError(error.message, EXIT_CODES.REFUSED)
+    }
+    writeTxFile(options.out, merged, options)
+
+    out.log(`Safe Tx Hash: ${merged.safeTxHash}`)
+    merged.signatures.forEach(signature => out.log(`  Signed by ${signature.signer} (${signature.type})`))
+    out.log(`${merged.signatures.length} signature(s) written to ${options.out}. The threshold is checked when executing`)
+
+    return { file: options.out, safeTxHash: merged.safeTxHash, signers: merged.signatures.map(signature => signature.signer) }
+  }
+}
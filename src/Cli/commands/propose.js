@@ -0,0 +1,39 @@
+import { OperationType } from '@safe-global/types-kit'
+import { signAndPropose } from '../context.js'
+import { confirmDelegateCalls } from '../guards.js'
+import { TRANSACTION_OPTIONS, TRANSACTION_USAGE, parseTransaction, resolveNonce } from '../args.js'
+
+export default {
+  name: 'propose',
+  usage: `propose ${TRANSACTION_USAGE} [--yes]`,
+  description: 'Sign and propose a call from the Safe to the Transaction Service',
+  options: {
+    ...TRANSACTION_OPTIONS,
+    yes: { type: 'boolean', default: false }
+  },
+  needs: { signer: true, service: true },
+
+  async run(context, { positionals, options }, out) {
+    const transaction = parseTransaction(positionals, options)
+    const { config, safeSdk } = context
+
+    // ✅ DelegateCall only into allow-listed libraries, after a typed confirmation
+    await confirmDelegateCalls(out, [transaction], { config, assumeYes: options.yes, action: 'Propose' })
+
+    // ✅ Propose after the last queued transaction unless a nonce is given
+    const nonce = await resolveNonce(context, options)
+
+    const safeTransaction = await safeSdk.createTransaction({
+      transactions: [transaction],
+      options: { onlyCalls: false, nonce }
+    })
+    const proposal = await signAndPropose(context, safeTransaction)
+
+    out.log('Operation:', transaction.operation === OperationType.DelegateCall ? 'DELEGATECALL' : 'CALL')
+    out.log('Nonce:', proposal.nonce)
+    out.log('Safe Tx Hash:', proposal.safeTxHash)
+    out.log('Transaction proposed!')
+
+    return { ...transaction, safeTxHash: proposal.safeTxHash, nonce: proposal.nonce, proposer: context.signerAddress }
+  }
+}
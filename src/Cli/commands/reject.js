@@ -0,0 +1,36 @@
+import { CliError, EXIT_CODES } from '../output.js'
+import { signAndPropose } from '../context.js'
+
+export default {
+  name: 'reject',
+  usage: 'reject <nonce>',
+  description: 'Propose the standard rejection (a zero-value call from the Safe to itself) at a queued nonce',
+  options: {},
+  needs: { signer: true, service: true },
+
+  async run(context, { positionals }, out) {
+    const nonce = Number(positionals[0])
+    if (positionals[0] === undefined || !Number.isInteger(nonce) || nonce < 0) {
+      throw new CliError('A nonce is required', EXIT_CODES.USAGE)
+    }
+    const { config, safeSdk, apiKit } = context
+
+    // ✅ Make sure the nonce is still queued
+    const currentNonce = await safeSdk.getNonce()
+    if (nonce < currentNonce) {
+      throw new CliError(`Nonce ${nonce} has already been used (current Safe nonce is ${currentNonce})`, EXIT_CODES.REFUSED)
+    }
+
+    const pendingTxs = await apiKit.getPendingTransactions(config.safeAddress)
+    const rejected = pendingTxs.results.filter(tx => Number(tx.nonce) === nonce).map(tx => tx.safeTxHash)
+    out.log(`Transactions queued at nonce ${nonce}:`, rejected)
+
+    // ✅ Create, sign and propose the rejection at the same nonce
+    const rejectionTx = await safeSdk.createRejectionTransaction(nonce)
+    const proposal = await signAndPropose(context, rejectionTx)
+
+    out.log('Rejection Safe Tx Hash:', proposal.safeTxHash)
+    out.log(`Rejection for nonce ${nonce} proposed!`)
+    return { nonce, safeTxHash: proposal.safeTxHash, rejects: rejected }
+  }
+}
@@ -0,0 +1,66 @@
+import { simulateSafeTransaction } from '../../Helper/TransactionSimulator.js'
+import { CliError, EXIT_CODES, confirm } from '../output.js'
+import { confirmDelegateCalls } from '../guards.js'
+import { assertNotExecuted, selectTransaction } from '../selection.js'
+
+export default {
+  name: 'sign',
+  usage: 'sign <safeTxHash|nonce> [--yes]',
+  description: 'Add the owner signature to a queued Safe transaction. Never executes',
+  options: {
+    yes: { type: 'boolean', default: false }
+  },
+  needs: { signer: true, service: true },
+
+  async run(context, { positionals, options }, out) {
+    const { config, safeSdk, apiKit, signerAddress } = context
+
+    // ✅ Load the transaction by hash or nonce and show what is being signed
+    const selection = await selectTransaction(context, positionals[0], out)
+    const { tx: pendingTx, summary } = selection
+    const { safeTxHash } = summary
+
+    assertNotExecuted(selection)
+    if (summary.confirmations.some(owner => owner.toLowerCase() === signerAddress.toLowerCase())) {
+      throw new CliError(`${signerAddress} has already signed ${safeTxHash}`, EXIT_CODES.REFUSED)
+    }
+
+    // ✅ Refuse DelegateCalls outside the allow-list
+    await confirmDelegateCalls(out, [pendingTx], { config, assumeYes: options.yes, action: 'Sign' })
+
+    // ✅ Simulate on a local Hardhat node first when SIMULATION_RPC_URL is set
+    let simulation = null
+    if (config.simulationRpcUrl) {
+      simulation = await simulateSafeTransaction({
+        rpcUrl: config.simulationRpcUrl,
+        safeAddress: config.safeAddress,
+        transaction: pendingTx
+      })
+      out.log('Simulation:', simulation.success ? 'success' : `reverted (${simulation.revertReason})`)
+      out.log('Gas used:', simulation.gasUsed !== null ? simulation.gasUsed.toString() : 'n/a')
+      simulation.events.forEach(event => out.log('Event:', `${event.contractName || event.address}.${event.name || 'unknown'}`))
+      simulation.balanceChanges.forEach(change => out.log('Balance change:', change.label || change.address, `${change.formatted} ${change.token}`))
+      if (!simulation.success) {
+        throw new CliError('Simulation reverted, not signing', EXIT_CODES.REFUSED)
+      }
+    }
+
+    await confirm(`Sign ${safeTxHash} as ${signerAddress}?`, { assumeYes: options.yes })
+
+    // ✅ Sign and confirm on the Safe Transaction Service
+    const signedTx = await safeSdk.signTransaction(pendingTx)
+    const signature = signedTx.getSignature(signerAddress.toLowerCase()).data
+    await apiKit.confirmTransaction(safeTxHash, signature)
+
+    out.log('Signature Data:', signature)
+    out.log('Transaction signed and confirmed!')
+
+    return {
+      safeTxHash,
+      summary,
+      signer: signerAddress,
+      signature,
+      simulation: simulation && { success: simulation.success, revertReason: simulation.revertReason, gasUsed: simulation.gasUsed }
+    }
+  }
+}
@@ -0,0 +1,71 @@
+import fs from 'fs'
+import { ethers } from 'ethers'
+import { signSafeTxFile, toServiceTransaction } from '../../Helper/SafeTxFile.js'
+import { printReview, summarizeTransaction } from '../format.js'
+import { OUTPUT_OPTIONS, readTxFile, writeTxFile } from '../files.js'
+import { confirmDelegateCalls } from '../guards.js'
+import { CliError, EXIT_CODES, confirm, promptSecret } from '../output.js'
+
+// Owner key from an encrypted JSON keystore, or from PRIVATE_KEY / --key-env
+async function loadSigner(config, options) {
+  if (!options.keystore) {
+    if (!config.privateKey) throw new CliError(`${config.keyEnv} is not set, and no --keystore given`, EXIT_CODES.CONFIG)
+    try {
+      return new ethers.Wallet(config.privateKey)
+    } catch (error) {
+      throw new CliError(`${config.keyEnv} is not a valid private key`, EXIT_CODES.CONFIG)
+    }
+  }
+
+  let keystore
+  try {
+    keystore = fs.readFileSync(options.keystore, 'utf8')
+  } catch (error) {
+    throw new CliError(`Cannot read ${options.keystore}: ${error.message}`, EXIT_CODES.CONFIG)
+  }
+  const password = process.env[options['password-env']] ?? await promptSecret(`Password for ${options.keystore}: `)
+  try {
+    return await ethers.Wallet.fromEncryptedJson(keystore, password)
+  } catch (error) {
+    throw new CliError(`Cannot decrypt ${options.keystore}: ${error.message}`, EXIT_CODES.CONFIG)
+  }
+}
+
+export default {
+  name: 'sign-file',
+  usage: 'sign-file <file> [--out <file>] [--keystore <path>] [--password-env <name>] [--force] [--yes]',
+  description: 'Sign a transaction file offline with the owner key or a keystore, without any network access',
+  options: {
+    ...OUTPUT_OPTIONS,
+    keystore: { type: 'string' },
+    'password-env': { type: 'string', default: 'KEYSTORE_PASSWORD' },
+    yes: { type: 'boolean', default: false }
+  },
+  needs: { offline: true },
+
+  async run({ config }, { positionals, options }, out) {
+    const [path] = positionals
+    if (!path) throw new CliError('A transaction file is required', EXIT_CODES.USAGE)
+    const file = readTxFile(path)
+
+    // ✅ Show what is being signed; token amounts are raw, decimals cannot be read offline
+    out.log(`Safe ${file.safeAddress} (v${file.safeVersion}) on chain ${file.chainId}`)
+    const summary = summarizeTransaction(toServiceTransaction(file), { chainId: file.chainId, safeAddress: file.safeAddress })
+    printReview(out, summary)
+    await confirmDelegateCalls(out, [file.tx], { config, assumeYes: options.yes, action: 'Sign' })
+
+    const signer = await loadSigner(config, options)
+    if (file.signatures.some(signature => signature.signer === signer.address)) {
+      throw new CliError(`${signer.address} has already signed ${file.safeTxHash}`, EXIT_CODES.REFUSED)
+    }
+    await confirm(`Sign ${file.safeTxHash} as ${signer.address}?`, { assumeYes: options.yes })
+
+    // ✅ Sign the EIP-712 SafeTx and write the signed copy
+    const signed = await signSafeTxFile(file, signer)
+    const outPath = options.out || path.replace(/(\.json)?$/, `.${signer.address}.json`)
+    writeTxFile(outPath, signed, options)
+
+    out.log(`Signed copy written to ${outPath} (${signed.signatures.length} signature(s))`)
+    return { file: outPath, safeTxHash: signed.safeTxHash, signer: signer.address, signers: signed.signatures.map(signature => signature.signer) }
+  }
+}
@@ -0,0 +1,27 @@
+import { submitSafeTxFile } from '../../Helper/SafeTxFile.js'
+import { assertFileMatches, readTxFile } from '../files.js'
+import { CliError, EXIT_CODES } from '../output.js'
+
+export default {
+  name: 'submit',
+  usage: 'submit <file>',
+  description: 'Propose a signed transaction file to the Transaction Service and add its signatures',
+  options: {},
+  needs: { signer: false, service: true },
+
+  async run(context, { positionals }, out) {
+    const [path] = positionals
+    if (!path) throw new CliError('A transaction file is required', EXIT_CODES.USAGE)
+    const file = readTxFile(path)
+    assertFileMatches(context, file)
+
+    const { proposed, confirmed, skipped } = await submitSafeTxFile({ apiKit: context.apiKit, file })
+
+    if (proposed) out.log(`Proposed ${file.safeTxHash} at nonce ${file.tx.nonce}`)
+    confirmed.forEach(signer => out.log(`  Added the signature of ${signer}`))
+    if (confirmed.length === 0) out.log('The service already has every signature in the file')
+    skipped.forEach(signer => out.log(`  Left out the on-chain approval of ${signer}, it only counts at execution`))
+
+    return { safeTxHash: file.safeTxHash, nonce: file.tx.nonce, proposed, confirmed, skipped }
+  }
+}
@@ -0,0 +1,120 @@
+import { ethers } from 'ethers'
+import { OperationType } from '@safe-global/types-kit'
+import { Address as DCOLockAddress } from '../../Contracts/DCOLock.js'
+import { compileContract } from '../../Scripts/CompileContract.js'
+import { CliError, EXIT_CODES, confirm } from '../output.js'
+import { signAndPropose } from '../context.js'
+
+const UPGRADE_ABI = [
+  'function upgradeToAndCall(address newImplementation, bytes data) payable',
+  'function proxiableUUID() view returns (bytes32)'
+]
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+
+// Compile the contract with Hardhat and deploy it from the owner wallet
+async function deployImplementation(wallet, contractName, out) {
+  out.log(`Compiling ${contractName} with Hardhat...`)
+  const compilation = await compileContract(contractName, { log: out.log })
+  if (!compilation.success) {
+    throw new CliError(`Failed to compile ${contractName}: ${compilation.error}`)
+  }
+
+  const deployResponse = await wallet.sendTransaction({ data: compilation.bytecode })
+  out.log('Deployment transaction sent:', deployResponse.hash)
+  const receipt = await deployResponse.wait()
+  if (!receipt || !receipt.contractAddress) {
+    throw new CliError('Implementation deployment failed - no contract address in receipt')
+  }
+  out.log('New implementation deployed at:', receipt.contractAddress)
+  return { address: receipt.contractAddress, deploymentTxHash: deployResponse.hash }
+}
+
+export default {
+  name: 'upgrade',
+  usage: 'upgrade [implementation] [--deploy] [--contract <name>] [--proxy <address>] [--init-data <hex>] [--nonce <n>] [--yes]',
+  description: 'Propose upgradeToAndCall on the UUPS proxy, optionally compiling and deploying the implementation first',
+  options: {
+    deploy: { type: 'boolean', default: false },
+    contract: { type: 'string' },
+    proxy: { type: 'string' },
+    'init-data': { type: 'string' },
+    nonce: { type: 'string' },
+    yes: { type: 'boolean', default: false }
+  },
+  needs: { signer: true, service: true },
+
+  async run(context, { positionals, options }, out) {
+    const { config, provider, wallet, safeSdk, apiKit, signerAddress } = context
+    const proxyAddress = options.proxy || process.env.PROXY_ADDRESS || DCOLockAddress
+    const initData = options['init-data'] || process.env.INIT_DATA || '0x'
+    const contractName = options.contract || process.env.CONTRACT_NAME || 'DCOLock'
+    let implementation = positionals[0] || process.env.NEW_IMPLEMENTATION_ADDRESS
+
+    if (!ethers.isAddress(proxyAddress)) throw new CliError('Invalid proxy address', EXIT_CODES.USAGE)
+    if (!ethers.isHexString(initData)) throw new CliError('--init-data must be 0x-prefixed hex', EXIT_CODES.USAGE)
+    if (options.deploy && implementation) {
+      throw new CliError('Pass either an implementation address or --deploy, not both', EXIT_CODES.USAGE)
+    }
+    if (!options.deploy && (!implementation || !ethers.isAddress(implementation))) {
+      throw new CliError('A valid implementation address (or --deploy) is required', EXIT_CODES.USAGE)
+    }
+
+    // ✅ Only owners can propose
+    if (!(await safeSdk.isOwner(signerAddress))) {
+      throw new CliError(`Signer ${signerAddress} is not an owner of the Safe ${config.safeAddress}`, EXIT_CODES.REFUSED)
+    }
+
+    const currentImplementation = ethers.getAddress(ethers.dataSlice(await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT), 12))
+    out.log('Proxy:', proxyAddress)
+    out.log('Current implementation:', currentImplementation)
+
+    // ✅ Deploy the new implementation from the owner wallet (costs gas, so confirm first)
+    let deployment = null
+    if (options.deploy) {
+      await confirm(`Compile ${contractName} and deploy it from ${signerAddress}?`, { assumeYes: options.yes })
+      deployment = await deployImplementation(wallet, contractName, out)
+      implementation = deployment.address
+    }
+    implementation = ethers.getAddress(implementation)
+
+    // ✅ The new implementation must be a UUPS implementation, or upgradeToAndCall reverts
+    const candidate = new ethers.Contract(implementation, UPGRADE_ABI, provider)
+    let uuid
+    try {
+      uuid = await candidate.proxiableUUID()
+    } catch (error) {
+      throw new CliError(`${implementation} does not implement proxiableUUID(); is it a UUPS implementation?`, EXIT_CODES.REFUSED)
+    }
+    if (uuid !== IMPLEMENTATION_SLOT) {
+      throw new CliError(`${implementation} reports an unsupported proxiableUUID ${uuid}`, EXIT_CODES.REFUSED)
+    }
+
+    // ✅ Propose upgradeToAndCall on the proxy
+    const nonce = options.nonce !== undefined ? Number(options.nonce) : Number(await apiKit.getNextNonce(config.safeAddress))
+    if (!Number.isInteger(nonce) || nonce < 0) throw new CliError('--nonce must be a whole number', EXIT_CODES.USAGE)
+
+    const data = new ethers.Interface(UPGRADE_ABI).encodeFunctionData('upgradeToAndCall', [implementation, initData])
+    const safeTransaction = await safeSdk.createTransaction({
+      transactions: [{ to: ethers.getAddress(proxyAddress), value: '0', data, operation: OperationType.Call }],
+      options: { onlyCalls: false, nonce }
+    })
+    const proposal = await signAndPropose(context, safeTransaction)
+
+    out.log('New implementation:', implementation)
+    out.log('Nonce:', proposal.nonce)
+    out.log('Safe Tx Hash:', proposal.safeTxHash)
+    out.log('Upgrade proposed! Other owners can now sign it with: safe sign', proposal.safeTxHash)
+
+    return {
+      proxyAddress: ethers.getAddress(proxyAddress),
+      currentImplementation,
+      newImplementation: implementation,
+      initData,
+      deploymentTxHash: deployment ? deployment.deploymentTxHash : null,
+      safeTxHash: proposal.safeTxHash,
+      nonce: proposal.nonce
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import Safe from '@safe-global/protocol-kit'
+import SafeApiKit from '@safe-global/api-kit'
+import { ethers } from 'ethers'
+import fs from 'fs'
+import dotenv from 'dotenv'
+import { CliError, EXIT_CODES } from './output.js'
+
+// quiet: dotenv would otherwise log to stdout, ahead of the --json result
+dotenv.config({ quiet: true })
+
+// Options every subcommand accepts on top of its own
+export const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  safe: { type: 'string' },
+  'rpc-url': { type: 'string' },
+  'key-env': { type: 'string' },
+  direct: { type: 'boolean', default: false }
+}
+
+/**
+ * Shared configuration, from .env with per-run overrides
+ * RPC_URL, SAFE_ADDRESS, CHAIN_ID (optional, read from the RPC otherwise), PRIVATE_KEY (or the variable
+ * named by --key-env, e.g. SECOND_OWNER_PRIVATE_KEY), SAFE_API_KEY, SAFE_TX_SERVICE_URL,
+ * SIMULATION_RPC_URL, DELEGATECALL_ALLOWLIST, SAFE_DIRECT (or --direct: never use the Transaction Service)
+ * and SAFE_CONTRACT_NETWORKS (JSON file of Safe contract addresses for chains without official deployments)
+ */
+export function loadConfig(options = {}) {
+  const env = process.env
+  const keyEnv = options['key-env'] || 'PRIVATE_KEY'
+  return {
+    rpcUrl: options['rpc-url'] || env.RPC_URL,
+    safeAddress: options.safe || env.SAFE_ADDRESS,
+    chainId: env.CHAIN_ID ? Number(env.CHAIN_ID) : null,
+    keyEnv,
+    privateKey: env[keyEnv],
+    apiKey: env.SAFE_API_KEY,
+    txServiceUrl: env.SAFE_TX_SERVICE_URL,
+    simulationRpcUrl: env.SIMULATION_RPC_URL,
+    delegateCallAllowList: env.DELEGATECALL_ALLOWLIST || '',
+    direct: Boolean(options.direct) || env.SAFE_DIRECT === 'true',
+    contractNetworksPath: env.SAFE_CONTRACT_NETWORKS
+  }
+}
+
+// Protocol kit contractNetworks, keyed by chain id, e.g. for a Safe deployed on a local Hardhat node
+function loadContractNetworks(path) {
+  if (!path) return undefined
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'))
+  } catch (error) {
+    throw new CliError(`SAFE_CONTRACT_NETWORKS: cannot load ${path}: ${error.message}`, EXIT_CODES.CONFIG)
+  }
+}
+
+/**
+ * Connect to the chain, and optionally the owner wallet, the protocol kit and the Transaction Service
+ * @param {Object} config - See loadConfig
+ * @param {Object} needs - { signer, service, offline } flags of the subcommand. Offline commands get the
+ *   configuration only and never touch the network
+ * @returns {Promise<Object>} { config, provider, chainId, wallet, signerAddress, safeSdk, apiKit }
+ */
+export async function createContext(config, { signer = false, service = false, offline = false } = {}) {
+  if (offline) {
+    return { config }
+  }
+  if (!config.rpcUrl) {
+    throw new CliError('RPC_URL is not set', EXIT_CODES.CONFIG)
+  }
+  if (!config.safeAddress || !ethers.isAddress(config.safeAddress)) {
+    throw new CliError('SAFE_ADDRESS is not set to a valid address', EXIT_CODES.CONFIG)
+  }
+  if (service && config.direct) {
+    throw new CliError('The Safe Transaction Service is needed here, but --direct (SAFE_DIRECT) turns it off. Work with transaction files instead: create, sign-file, approve --file, execute --file', EXIT_CODES.USAGE)
+  }
+  if (signer && !config.privateKey) {
+    throw new CliError(`${config.keyEnv} is not set`, EXIT_CODES.CONFIG)
+  }
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl)
+  const chainId = config.chainId || Number((await provider.getNetwork()).chainId)
+  const safeAddress = ethers.getAddress(config.safeAddress)
+  const context = { config: { ...config, safeAddress }, provider, chainId }
+
+  if (signer) {
+    try {
+      context.wallet = new ethers.Wallet(config.privateKey, provider)
+    } catch (error) {
+      throw new CliError(`${config.keyEnv} is not a valid private key`, EXIT_CODES.CONFIG)
+    }
+    context.signerAddress = context.wallet.address
+  }
+
+  // ✅ Initialize Safe SDK
+  const contractNetworks = loadContractNetworks(config.contractNetworksPath)
+  try {
+    context.safeSdk = await Safe.init({
+      provider: config.rpcUrl,
+      signer: signer ? config.privateKey : undefined,
+      safeAddress,
+      contractNetworks
+    })
+  } catch (error) {
+    if (contractNetworks || !/contract address/i.test(error.message)) throw error
+    throw new CliError(`${error.message}: no Safe deployments are known for chain ${chainId}, set SAFE_CONTRACT_NETWORKS`, EXIT_CODES.CONFIG)
+  }
+
+  // ✅ Initialize Safe API Kit
+  if (service) {
+    context.apiKit = new SafeApiKit({
+      chainId: BigInt(chainId),
+      apiKey: config.apiKey,
+      ...(config.txServiceUrl ? { txServiceUrl: config.txServiceUrl } : {})
+    })
+  }
+
+  return context
+}
+
+/**
+ * Sign a Safe transaction with the owner wallet and propose it to the Transaction Service
+ * @param {Object} context - From createContext with signer and service
+ * @param {SafeTransaction} safeTransaction - Transaction created by the protocol kit
+ * @returns {Promise<Object>} { safeTxHash, nonce, signature }
+ */
+export async function signAndPropose({ config, safeSdk, apiKit, signerAddress }, safeTransaction) {
+  const safeTxHash = await safeSdk.getTransactionHash(safeTransaction)
+  const signedTx = await safeSdk.signTransaction(safeTransaction)
+  const signature = signedTx.getSignature(signerAddress.toLowerCase()).data
+
+  await apiKit.proposeTransaction({
+    safeAddress: config.safeAddress,
+    safeTransactionData: signedTx.data,
+    safeTxHash,
+    senderAddress: signerAddress,
+    senderSignature: signature
+  })
+
+  return { safeTxHash, nonce: Number(signedTx.data.nonce), signature }
+}
@@ -0,0 +1,217 @@
+import { ethers } from 'ethers'
+import { ABI as SafeABI } from '../Contracts/Safe.js'
+import { CliError, EXIT_CODES } from './output.js'
+
+// Gas settings accepted by every command that submits execTransaction. Fees are in gwei
+export const GAS_OPTIONS = {
+  'gas-limit': { type: 'string' },
+  'gas-price': { type: 'string' },
+  'max-fee-per-gas': { type: 'string' },
+  'max-priority-fee-per-gas': { type: 'string' }
+}
+
+export const GAS_USAGE = '[--gas-limit <gas>] [--max-fee-per-gas <gwei>] [--max-priority-fee-per-gas <gwei>] [--gas-price <gwei>]'
+
+const safeInterface = new ethers.Interface(SafeABI)
+
+function parseGwei(value, name) {
+  try {
+    return ethers.parseUnits(value, 'gwei').toString()
+  } catch (error) {
+    throw new CliError(`--${name} must be an amount in gwei`, EXIT_CODES.USAGE)
+  }
+}
+
+// Protocol kit TransactionOptions from the gas flags; anything unset is estimated by the node
+export function parseGasOptions(options) {
+  const gas = {}
+  if (options['gas-limit'] !== undefined) {
+    if (!/^\d+$/.test(options['gas-limit'])) throw new CliError('--gas-limit must be a whole number', EXIT_CODES.USAGE)
+    gas.gasLimit = options['gas-limit']
+  }
+  if (options['gas-price'] !== undefined) {
+    if (options['max-fee-per-gas'] !== undefined || options['max-priority-fee-per-gas'] !== undefined) {
+      throw new CliError('--gas-price cannot be combined with the EIP-1559 fee options', EXIT_CODES.USAGE)
+    }
+    gas.gasPrice = parseGwei(options['gas-price'], 'gas-price')
+  }
+  if (options['max-fee-per-gas'] !== undefined) {
+    gas.maxFeePerGas = parseGwei(options['max-fee-per-gas'], 'max-fee-per-gas')
+  }
+  if (options['max-priority-fee-per-gas'] !== undefined) {
+    gas.maxPriorityFeePerGas = parseGwei(options['max-priority-fee-per-gas'], 'max-priority-fee-per-gas')
+  }
+  return gas
+}
+
+/**
+ * Count the owners whose signatures the Safe will accept for a transaction
+ * Signatures attached to the transaction and hashes approved on-chain (approveHash) count once per owner,
+ * plus the executing owner, whose approval the protocol kit adds when the threshold is not reached yet
+ * @param {Object} context - From createContext with a signer
+ * @param {SafeTransaction} safeTransaction - Transaction with its signatures
+ * @param {string} safeTxHash - Its Safe transaction hash
+ * @returns {Promise<Object>} { threshold, signers, approvedOnChain, ignored, executorApproves, count }
+ */
+export async function countApprovals({ safeSdk, signerAddress }, safeTransaction, safeTxHash) {
+  const [owners, threshold, approvedOnChain] = await Promise.all([
+    safeSdk.getOwners(),
+    safeSdk.getThreshold(),
+    safeSdk.getOwnersWhoApprovedTx(safeTxHash)
+  ])
+  const isOwner = address => owners.some(owner => owner.toLowerCase() === address.toLowerCase())
+
+  const attached = [...safeTransaction.signatures.values()].map(signature => ethers.getAddress(signature.signer))
+  const signers = attached.filter(isOwner)
+  const ignored = attached.filter(address => !isOwner(address))
+  const approvers = new Set([...signers, ...approvedOnChain].map(address => address.toLowerCase()))
+  const executorApproves = Boolean(signerAddress) && isOwner(signerAddress) &&
+    !approvers.has(signerAddress.toLowerCase()) && approvers.size < threshold
+  const count = approvers.size + (executorApproves ? 1 : 0)
+
+  return { threshold, signers, approvedOnChain, ignored, executorApproves, count }
+}
+
+// Safe revert codes the direct dry-run can hit
+const SAFE_ERRORS = {
+  GS010: 'not enough gas to execute the Safe transaction',
+  GS013: 'the call failed and neither safeTxGas nor gasPrice is set',
+  GS020: 'signatures data too short',
+  GS025: 'hash not approved by the owner',
+  GS026: 'invalid owner, or signatures not sorted by owner'
+}
+
+function revertReason(error) {
+  const reason = error.reason || error.shortMessage || error.message
+  return SAFE_ERRORS[reason] ? `${reason} (${SAFE_ERRORS[reason]})` : reason
+}
+
+// Pre-validated signature of an owner who approved the hash on-chain or sends execTransaction: r = owner, s = 0, v = 1
+function preValidatedSignature(owner) {
+  return ethers.concat([ethers.zeroPadValue(owner, 32), ethers.ZeroHash, '0x01'])
+}
+
+/**
+ * Pack the owners' approvals into the signatures bytes execTransaction checks, sorted by owner address
+ * Attached signatures are used as signed; owners who approved the hash on-chain, and the executing owner
+ * when countApprovals counts it, get a pre-validated signature
+ * @param {SafeTransaction} safeTransaction - Transaction with its signatures
+ * @param {Object} approvals - From countApprovals
+ * @param {string} executor - Address sending execTransaction
+ * @returns {string} Packed signatures
+ */
+export function packSignatures(safeTransaction, approvals, executor) {
+  const byOwner = new Map()
+  const isSigner = address => approvals.signers.some(signer => signer.toLowerCase() === address.toLowerCase())
+  for (const signature of safeTransaction.signatures.values()) {
+    if (!isSigner(signature.signer)) continue
+    if (ethers.dataLength(signature.data) !== 65) {
+      throw new CliError(`The signature of ${signature.signer} is not a 65-byte owner signature, which direct execution cannot pack`, EXIT_CODES.REFUSED)
+    }
+    byOwner.set(ethers.getAddress(signature.signer), signature.data)
+  }
+  approvals.approvedOnChain.forEach(owner => byOwner.set(ethers.getAddress(owner), preValidatedSignature(owner)))
+  if (approvals.executorApproves) byOwner.set(ethers.getAddress(executor), preValidatedSignature(executor))
+
+  const owners = [...byOwner.keys()].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+  return ethers.concat(owners.map(owner => byOwner.get(owner)))
+}
+
+// execTransaction on the Safe contract with our own packed signatures, dry-run first with the same settings
+async function execTransactionDirect({ config, wallet }, safeTransaction, signatures, gas) {
+  const safe = new ethers.Contract(config.safeAddress, SafeABI, wallet)
+  const { to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver } = safeTransaction.data
+  const args = [to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, signatures]
+
+  let success
+  try {
+    success = await safe.execTransaction.staticCall(...args, gas)
+  } catch (error) {
+    throw new CliError(`execTransaction would revert: ${revertReason(error)}, not executing`, EXIT_CODES.REFUSED)
+  }
+  if (!success) {
+    throw new CliError('execTransaction would emit ExecutionFailure: its call fails, not executing', EXIT_CODES.REFUSED)
+  }
+  return safe.execTransaction(...args, gas)
+}
+
+// Protocol kit execution, which adds the executing owner's approval itself
+async function executeWithProtocolKit(safeSdk, safeTransaction, gas) {
+  if (!(await safeSdk.isValidTransaction(safeTransaction, gas))) {
+    throw new CliError('isValidTransaction failed: execTransaction would revert or its call would fail, not executing', EXIT_CODES.REFUSED)
+  }
+  return safeSdk.executeTransaction(safeTransaction, gas)
+}
+
+// ExecutionSuccess / ExecutionFailure emitted by the Safe for this safeTxHash
+function findExecutionEvent(receipt, safeAddress, safeTxHash) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== safeAddress.toLowerCase()) continue
+    let parsed
+    try {
+      parsed = safeInterface.parseLog(log)
+    } catch (error) {
+      continue
+    }
+    if (parsed && (parsed.name === 'ExecutionSuccess' || parsed.name === 'ExecutionFailure') &&
+      parsed.args.txHash.toLowerCase() === safeTxHash.toLowerCase()) {
+      return { name: parsed.name, payment: parsed.args.payment }
+    }
+  }
+  return null
+}
+
+/**
+ * Check the signatures against the on-chain threshold, dry-run execTransaction, then submit it and wait for the receipt
+ * In --direct mode the signatures are packed here and execTransaction is called on the Safe contract;
+ * otherwise the protocol kit dry-runs it with isValidTransaction and submits it
+ * @param {Object} context - From createContext with a signer
+ * @param {SafeTransaction} safeTransaction - Transaction with the collected signatures
+ * @param {Object} options - { safeTxHash, gas } where gas comes from parseGasOptions
+ * @param {Object} out - From createOutput
+ * @returns {Promise<Object>} { safeTxHash, transactionHash, blockNumber, gasUsed, event, payment, approvals }
+ */
+export async function executeSafeTransaction(context, safeTransaction, { safeTxHash, gas = {} }, out) {
+  const { config, provider, safeSdk, signerAddress } = context
+
+  // ✅ Signatures must reach the Safe's current threshold
+  const approvals = await countApprovals(context, safeTransaction, safeTxHash)
+  out.log(`Signatures: ${approvals.signers.length} attached, ${approvals.approvedOnChain.length} approved on-chain${approvals.executorApproves ? ', 1 from the executing owner' : ''} (${approvals.count}/${approvals.threshold})`)
+  approvals.ignored.forEach(address => out.warn(`⚠️  Signature from ${address} ignored: not an owner of the Safe`))
+  if (approvals.count < approvals.threshold) {
+    throw new CliError(`Not enough signatures: ${approvals.count} of ${approvals.threshold} required`, EXIT_CODES.REFUSED)
+  }
+
+  // ✅ Dry-run execTransaction with the same gas settings, then submit it and wait for the receipt
+  const txResponse = config.direct
+    ? await execTransactionDirect(context, safeTransaction, packSignatures(safeTransaction, approvals, signerAddress), gas)
+    : await executeWithProtocolKit(safeSdk, safeTransaction, gas)
+  out.log('Transaction submitted:', txResponse.hash)
+  const receipt = await provider.waitForTransaction(txResponse.hash)
+  if (!receipt || receipt.status !== 1) {
+    throw new CliError(`Execution transaction ${txResponse.hash} reverted`)
+  }
+
+  out.log(`Mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`)
+
+  const event = findExecutionEvent(receipt, config.safeAddress, safeTxHash)
+  if (!event) {
+    throw new CliError(`No ExecutionSuccess or ExecutionFailure event for ${safeTxHash} in ${txResponse.hash}`)
+  }
+  if (event.name === 'ExecutionFailure') {
+    throw new CliError(`The Safe emitted ExecutionFailure: the inner call of ${safeTxHash} failed in ${txResponse.hash}`)
+  }
+  out.log('✅ ExecutionSuccess')
+
+  return {
+    safeTxHash,
+    executor: signerAddress,
+    transactionHash: txResponse.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    event: event.name,
+    payment: event.payment,
+    approvals: approvals.count,
+    threshold: approvals.threshold
+  }
+}
@@ -0,0 +1,68 @@
+import fs from 'fs'
+import { createSafeTxFile, parseSafeTxFile, serializeSafeTxFile } from '../Helper/SafeTxFile.js'
+import { CliError, EXIT_CODES } from './output.js'
+
+// Read a transaction file, checking its safeTxHash and signatures
+export function readTxFile(path) {
+  let contents
+  try {
+    contents = fs.readFileSync(path, 'utf8')
+  } catch (error) {
+    throw new CliError(`Cannot read ${path}: ${error.message}`, EXIT_CODES.USAGE)
+  }
+  try {
+    return parseSafeTxFile(contents)
+  } catch (error) {
+    throw new CliError(`${path}: ${error.message}`, EXIT_CODES.REFUSED)
+  }
+}
+
+// Write a transaction file without silently replacing another one (and the signatures in it)
+export function writeTxFile(path, file, { force = false } = {}) {
+  if (!path) throw new CliError('--out <file> is required', EXIT_CODES.USAGE)
+  try {
+    fs.writeFileSync(path, serializeSafeTxFile(file), { flag: force ? 'w' : 'wx' })
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new CliError(`${path} already exists, pass --force to replace it`, EXIT_CODES.REFUSED)
+    }
+    throw new CliError(`Cannot write ${path}: ${error.message}`)
+  }
+  return path
+}
+
+// Options shared by the commands that write a transaction file
+export const OUTPUT_OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  force: { type: 'boolean', default: false }
+}
+
+/**
+ * Export a protocol kit transaction, with its signatures, to a transaction file
+ * @param {Object} context - From createContext
+ * @param {SafeTransaction} safeTransaction - Transaction created or loaded by the protocol kit
+ * @returns {Promise<Object>} Transaction file
+ */
+export async function toTxFile({ config, chainId, safeSdk }, safeTransaction) {
+  const file = createSafeTxFile({
+    chainId,
+    safeAddress: config.safeAddress,
+    safeVersion: safeSdk.getContractVersion(),
+    tx: safeTransaction.data,
+    signatures: [...safeTransaction.signatures.values()].map(signature => ({ signer: signature.signer, data: signature.data }))
+  })
+
+  // The file hash is computed independently of the protocol kit; both must agree
+  const safeTxHash = await safeSdk.getTransactionHash(safeTransaction)
+  if (safeTxHash.toLowerCase() !== file.safeTxHash.toLowerCase()) {
+    throw new CliError(`The file hash ${file.safeTxHash} does not match the Safe's ${safeTxHash}`)
+  }
+  return file
+}
+
+// A file can only be submitted or executed for the configured Safe and chain
+export function assertFileMatches({ config, chainId }, file) {
+  if (file.safeAddress !== config.safeAddress || file.chainId !== String(chainId)) {
+    throw new CliError(`The file is for the Safe ${file.safeAddress} on chain ${file.chainId}, not ${config.safeAddress} on chain ${chainId}`, EXIT_CODES.REFUSED)
+  }
+}
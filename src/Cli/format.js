@@ -0,0 +1,65 @@
+import { ethers } from 'ethers'
+import { OperationType } from '@safe-global/types-kit'
+import { decodeSafeTransaction } from '../Helper/TransactionDecoder.js'
+import { loadBuiltInContracts } from '../Helper/ContractRegistry.js'
+import { loadTokenDecimals } from '../Helper/TokenMetadata.js'
+
+// Decimals of the built-in tokens on the chain, for formatting amounts in decoded calls
+export function loadDecimals(provider, chainId) {
+  return loadTokenDecimals(provider, loadBuiltInContracts(chainId))
+}
+
+// Contract.function(name=value, ...) for one decoded call
+function formatCall(call) {
+  const target = call.contractName || call.to
+  if (!call.isDecoded) {
+    return `${target} ${call.error || 'undecoded'} (${call.data.length > 66 ? `${call.data.slice(0, 66)}...` : call.data})`
+  }
+  if (call.isRejection) {
+    return `${target}.${call.functionName}`
+  }
+  const args = call.args.map(arg => `${arg.name || arg.type}=${arg.formatted ?? arg.value}`).join(', ')
+  const value = call.value && call.value !== '0' ? ` + ${ethers.formatEther(call.value)} ETH` : ''
+  const operation = Number(call.operation) === OperationType.DelegateCall ? 'DELEGATECALL ' : ''
+  return `${operation}${target}.${call.functionName}(${args})${value}`
+}
+
+/**
+ * Decode a Transaction Service multisig transaction into a printable summary
+ * @param {Object} tx - Multisig transaction from the API kit
+ * @param {Object} options - { chainId, safeAddress, decimals }, calls are only named after contracts on chainId
+ * @returns {Object} { safeTxHash, nonce, to, value, operation, call, innerCalls, hasUnknownCalls,
+ *   confirmations, confirmationsRequired, isExecuted }
+ */
+export function summarizeTransaction(tx, { chainId, safeAddress, decimals = {} }) {
+  const decoded = decodeSafeTransaction(tx, { contracts: loadBuiltInContracts(chainId), decimals, safeAddress })
+  return {
+    safeTxHash: tx.safeTxHash,
+    nonce: Number(tx.nonce),
+    to: tx.to,
+    value: String(tx.value || '0'),
+    operation: Number(tx.operation || 0),
+    call: formatCall(decoded),
+    innerCalls: decoded.innerCalls.map(formatCall),
+    hasUnknownCalls: decoded.hasUnknownCalls,
+    confirmations: (tx.confirmations || []).map(confirmation => confirmation.owner),
+    confirmationsRequired: tx.confirmationsRequired,
+    isExecuted: Boolean(tx.isExecuted)
+  }
+}
+
+// Multi-line human-readable form of summarizeTransaction
+export function printSummary(out, summary) {
+  out.log(`Nonce ${summary.nonce}  ${summary.safeTxHash}`)
+  out.log(`  ${summary.call}`)
+  summary.innerCalls.forEach((call, index) => out.log(`    ${index + 1}. ${call}`))
+  if (summary.hasUnknownCalls) {
+    out.log('  ⚠️  Contains calls that could not be decoded')
+  }
+  out.log(`  Confirmations: ${summary.confirmations.length}/${summary.confirmationsRequired ?? '?'}${summary.isExecuted ? ' (executed)' : ''}`)
+}
+
+// The summary shown before a confirmation prompt; in --json mode it goes to stderr, next to the prompt
+export function printReview(out, summary) {
+  printSummary(out.json ? { log: out.warn } : out, summary)
+}
@@ -0,0 +1,18 @@
+import { DELEGATECALL_WARNING, assertDelegateCallsAllowed, getDelegateCallAllowList } from '../Helper/DelegateCallPolicy.js'
+import { CliError, EXIT_CODES, confirm } from './output.js'
+
+// Refuse DelegateCalls outside the allow-list; allow-listed ones need a typed "delegatecall"
+// on a terminal, or --yes when not interactive
+export async function confirmDelegateCalls(out, transactions, { config, assumeYes, action }) {
+  let libraries
+  try {
+    libraries = assertDelegateCallsAllowed(transactions, getDelegateCallAllowList(config.delegateCallAllowList))
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.REFUSED)
+  }
+  if (libraries.length === 0) return
+
+  out.warn(`⚠️  ${DELEGATECALL_WARNING}`)
+  out.warn(`Target: ${libraries.map(library => `${library.name} (${library.address})`).join(', ')}`)
+  await confirm(`${action} this DelegateCall?`, { assumeYes, expected: 'delegatecall' })
+}
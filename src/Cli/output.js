@@ -0,0 +1,82 @@
+import readline from 'readline/promises'
+
+// Exit codes shared by every subcommand
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // RPC, service or transaction errors
+  USAGE: 2, // Unknown command, bad arguments
+  CONFIG: 3, // Missing or invalid .env configuration
+  REFUSED: 4 // Safety check refused, or the user did not confirm
+}
+
+export class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message)
+    this.name = 'CliError'
+    this.exitCode = exitCode
+  }
+}
+
+// BigInts (nonces, gas, balances) are printed as strings in --json mode
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+
+export function toJson(value) {
+  return JSON.stringify(value, jsonReplacer, 2)
+}
+
+// Human-readable progress goes to stdout, or nowhere in --json mode so stdout only carries the result.
+// Warnings always go to stderr.
+export function createOutput({ json = false } = {}) {
+  const writeJson = (value) => process.stdout.write(`${toJson(value)}\n`)
+  return {
+    json,
+    log: (...args) => {
+      if (!json) console.log(...args)
+    },
+    warn: (...args) => console.error(...args),
+    result: (command, result) => {
+      if (json) writeJson({ ok: true, command, result })
+    },
+    error: (command, error) => {
+      const exitCode = error.exitCode ?? EXIT_CODES.FAILURE
+      if (json) {
+        writeJson({ ok: false, command, error: { message: error.message, exitCode } })
+      } else {
+        console.error(`Error: ${error.message}`)
+      }
+      return exitCode
+    }
+  }
+}
+
+// Ask for an exact answer on the terminal. Without a terminal, assumeYes (--yes) decides.
+export async function confirm(question, { assumeYes = false, expected = 'yes' } = {}) {
+  if (!process.stdin.isTTY) {
+    if (!assumeYes) {
+      throw new CliError('Confirmation required: run interactively or pass --yes', EXIT_CODES.REFUSED)
+    }
+    return
+  }
+  if (assumeYes && expected === 'yes') return
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr })
+  const answer = await prompt.question(`${question} Type "${expected}" to continue: `)
+  prompt.close()
+  if (answer.trim().toLowerCase() !== expected) {
+    throw new CliError('Cancelled', EXIT_CODES.REFUSED)
+  }
+}
+
+// Read a password on the terminal without echoing it
+export async function promptSecret(question) {
+  if (!process.stdin.isTTY) {
+    throw new CliError('No terminal to read the password from', EXIT_CODES.CONFIG)
+  }
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true })
+  process.stderr.write(question)
+  prompt._writeToOutput = () => {}
+  const answer = await prompt.question('')
+  prompt.close()
+  process.stderr.write('\n')
+  return answer
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util'
+import { CliError, EXIT_CODES, createOutput } from './output.js'
+import { GLOBAL_OPTIONS, createContext, loadConfig } from './context.js'
+import info from './commands/info.js'
+import propose from './commands/propose.js'
+import listPending from './commands/listPending.js'
+import sign from './commands/sign.js'
+import execute from './commands/execute.js'
+import reject from './commands/reject.js'
+import upgrade from './commands/upgrade.js'
+import create from './commands/create.js'
+import exportTx from './commands/export.js'
+import signFile from './commands/signFile.js'
+import merge from './commands/merge.js'
+import submit from './commands/submit.js'
+import approve from './commands/approve.js'
+
+// Safe operations CLI: node src/Cli/safe.js <command> [args] [--json]
+const COMMANDS = [info, propose, listPending, sign, execute, reject, upgrade, create, exportTx, signFile, merge, submit, approve]
+
+function usage() {
+  return [
+    'Usage: node src/Cli/safe.js <command> [options]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(command => `  ${command.usage}\n      ${command.description}`),
+    '',
+    'Global options:',
+    '  --json              Print a single JSON result on stdout',
+    '  --safe <address>    Safe to operate on (default SAFE_ADDRESS)',
+    '  --rpc-url <url>     RPC endpoint (default RPC_URL)',
+    '  --key-env <name>    Environment variable holding the owner key (default PRIVATE_KEY)',
+    '  --direct            Never use the Transaction Service: transaction files and on-chain approvals only (SAFE_DIRECT=true)',
+    '',
+    `Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name.toLowerCase()}`).join(', ')}`
+  ].join('\n')
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv
+  const command = COMMANDS.find(entry => entry.name === name)
+  const json = rest.includes('--json')
+  const out = createOutput({ json })
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.error(usage())
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE
+  }
+  if (!command) {
+    return out.error(name, new CliError(`Unknown command "${name}"\n\n${usage()}`, EXIT_CODES.USAGE))
+  }
+
+  try {
+    let args
+    try {
+      args = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true })
+    } catch (error) {
+      throw new CliError(`${error.message}\nUsage: safe ${command.usage}`, EXIT_CODES.USAGE)
+    }
+    if (args.values.help) {
+      console.error(`Usage: safe ${command.usage}\n\n${command.description}`)
+      return EXIT_CODES.OK
+    }
+
+    // Some commands only need the chain or the service for some of their options
+    const config = loadConfig(args.values)
+    const needs = typeof command.needs === 'function' ? command.needs(args.values, config) : command.needs
+    const context = await createContext(config, needs)
+    const result = await command.run(context, { positionals: args.positionals, options: args.values }, out)
+    out.result(command.name, result)
+    return EXIT_CODES.OK
+  } catch (error) {
+    if (!(error instanceof CliError) && process.env.DEBUG) {
+      console.error(error)
+    }
+    return out.error(command.name, error)
+  }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode
+})
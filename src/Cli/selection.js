@@ -0,0 +1,92 @@
+import { ethers } from 'ethers'
+import { toServiceTransaction } from '../Helper/SafeTxFile.js'
+import { CliError, EXIT_CODES } from './output.js'
+import { assertFileMatches, readTxFile } from './files.js'
+import { loadDecimals, printReview, summarizeTransaction } from './format.js'
+
+// A 32-byte safeTxHash, or a whole number taken as the Safe nonce
+export function parseTransactionRef(value) {
+  if (value && ethers.isHexString(value, 32)) {
+    return { safeTxHash: value.toLowerCase() }
+  }
+  if (value && /^\d+$/.test(value)) {
+    return { nonce: Number(value) }
+  }
+  throw new CliError('A safeTxHash (0x + 64 hex characters) or a nonce is required', EXIT_CODES.USAGE)
+}
+
+// One transaction by hash, or the only one proposed at a nonce (the executed one if the nonce is used)
+async function findTransaction({ config, apiKit }, ref) {
+  if (ref.safeTxHash) {
+    let tx
+    try {
+      tx = await apiKit.getTransaction(ref.safeTxHash)
+    } catch (error) {
+      throw new CliError(`Could not load transaction ${ref.safeTxHash}: ${error.message}`)
+    }
+    if (ethers.getAddress(tx.safe) !== config.safeAddress) {
+      throw new CliError(`Transaction ${ref.safeTxHash} belongs to the Safe ${tx.safe}, not ${config.safeAddress}`, EXIT_CODES.REFUSED)
+    }
+    return tx
+  }
+
+  const { results = [] } = await apiKit.getMultisigTransactions(config.safeAddress, { nonce: String(ref.nonce) })
+  const executed = results.find(tx => tx.isExecuted)
+  if (executed) return executed
+  if (results.length === 0) {
+    throw new CliError(`No transaction is proposed at nonce ${ref.nonce}`)
+  }
+  if (results.length > 1) {
+    const hashes = results.map(tx => `  ${tx.safeTxHash}`).join('\n')
+    throw new CliError(`${results.length} transactions are proposed at nonce ${ref.nonce}, pass the safeTxHash of one of them:\n${hashes}`, EXIT_CODES.USAGE)
+  }
+  return results[0]
+}
+
+/**
+ * Load a Safe transaction by safeTxHash or nonce and print its decoded summary for review
+ * @param {Object} context - From createContext with the service
+ * @param {string} value - safeTxHash or nonce from the command line
+ * @param {Object} out - From createOutput
+ * @returns {Promise<Object>} { tx, summary, safeNonce }
+ */
+export async function selectTransaction(context, value, out) {
+  const { config, provider, chainId, safeSdk } = context
+  const ref = parseTransactionRef(value)
+  const [tx, safeNonce, decimals] = await Promise.all([
+    findTransaction(context, ref),
+    safeSdk.getNonce(),
+    loadDecimals(provider, chainId)
+  ])
+
+  const summary = summarizeTransaction(tx, { chainId, safeAddress: config.safeAddress, decimals })
+  printReview(out, summary)
+  return { tx, summary, safeNonce: Number(safeNonce) }
+}
+
+/**
+ * Load a signed transaction file instead of asking the service, and print its decoded summary for review
+ * @param {Object} context - From createContext
+ * @param {string} path - Transaction file
+ * @param {Object} out - From createOutput
+ * @returns {Promise<Object>} { file, summary, safeNonce }
+ */
+export async function selectTransactionFile(context, path, out) {
+  const file = readTxFile(path)
+  assertFileMatches(context, file)
+
+  const [safeNonce, decimals] = await Promise.all([context.safeSdk.getNonce(), loadDecimals(context.provider, context.chainId)])
+  const summary = summarizeTransaction(toServiceTransaction(file), { chainId: context.chainId, safeAddress: file.safeAddress, decimals })
+  printReview(out, summary)
+  return { file, summary, safeNonce: Number(safeNonce) }
+}
+
+// Executed transactions, and transactions whose nonce another transaction already used, can never run
+export function assertNotExecuted({ summary, safeNonce }) {
+  if (summary.isExecuted) {
+    throw new CliError(`Transaction ${summary.safeTxHash} has already been executed`, EXIT_CODES.REFUSED)
+  }
+  if (summary.nonce < safeNonce) {
+    throw new CliError(`Nonce ${summary.nonce} has already been used by another transaction (Safe nonce is ${safeNonce})`, EXIT_CODES.REFUSED)
+  }
+}
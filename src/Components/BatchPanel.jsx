@@ -0,0 +1,108 @@
+import DecodedCall from "./DecodedCall.jsx";
+import { decodeCall } from "../Helper/TransactionDecoder.js";
+import PropTypes from "prop-types";
+
+// Queue of calls proposed together as one MultiSend Safe transaction
+function BatchPanel({ batch, decimals, onMove, onRemove, onClear, onPropose, onExport, isProposing, status, canPropose }) {
+  return (
+    <div className="text-left">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-200">
+          Batch ({batch.length} {batch.length === 1 ? "call" : "calls"})
+        </h3>
+        <button
+          onClick={onClear}
+          disabled={isProposing}
+          className="text-red-400 hover:text-red-300 text-sm"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {batch.map((call, index) => (
+          <div key={call.id} className="p-3 bg-gray-700 rounded-lg border border-gray-600">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-xs text-gray-400">#{index + 1}</span>
+              <div className="flex items-center space-x-2 text-xs">
+                <button
+                  onClick={() => onMove(index, -1)}
+                  disabled={index === 0 || isProposing}
+                  className={index === 0 ? "text-gray-600" : "text-gray-300 hover:text-white"}
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => onMove(index, 1)}
+                  disabled={index === batch.length - 1 || isProposing}
+                  className={index === batch.length - 1 ? "text-gray-600" : "text-gray-300 hover:text-white"}
+                >
+                  ▼
+                </button>
+                <button
+                  onClick={() => onRemove(index)}
+                  disabled={isProposing}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+            <DecodedCall call={{ ...decodeCall(call, { decimals }), operation: call.operation }} />
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={onPropose}
+        disabled={isProposing || !canPropose}
+        className={`w-full px-4 py-2 rounded-lg font-semibold transition-all ${
+          isProposing || !canPropose
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isProposing
+          ? "Proposing Batch..."
+          : batch.length > 1 ? "Sign & Propose Batch (MultiSend)" : "Sign & Propose"}
+      </button>
+
+      <button
+        onClick={onExport}
+        disabled={isProposing || !canPropose}
+        className={`w-full mt-2 px-4 py-1 text-sm transition-all ${
+          isProposing || !canPropose ? "text-gray-500 cursor-not-allowed" : "text-gray-300 hover:text-white underline"
+        }`}
+      >
+        Export for Offline Signing
+      </button>
+
+      {status && (
+        <div className={`mt-3 p-3 rounded-md text-sm break-all ${
+          status.includes("Error")
+            ? "bg-red-900/20 border border-red-700 text-red-300"
+            : status.includes("successfully")
+            ? "bg-green-900/20 border border-green-700 text-green-300"
+            : "bg-blue-900/20 border border-blue-700 text-blue-300"
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+BatchPanel.propTypes = {
+  batch: PropTypes.arrayOf(PropTypes.object).isRequired,
+  decimals: PropTypes.object,
+  onMove: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onPropose: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  isProposing: PropTypes.bool,
+  status: PropTypes.string,
+  canPropose: PropTypes.bool
+};
+
+export default BatchPanel;
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { ethers } from "ethers";
+import { parseAbiInput, saveCustomContract } from "../Helper/ContractRegistry.js";
+import { getChainInfo } from "../Helper/SafeConfig.js";
+import PropTypes from "prop-types";
+
+// Form for importing an arbitrary contract (address + JSON or human-readable ABI) into the registry,
+// for the connected chain only
+function CustomContractForm({ chainId, onSaved, onCancel }) {
+  const [name, setName] = useState("");
+  const [address, setAddress] = useState("");
+  const [abiText, setAbiText] = useState("");
+  const [error, setError] = useState("");
+  const [warning, setWarning] = useState("");
+  const [savedName, setSavedName] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    setError("");
+    setWarning("");
+    setSavedName("");
+    setIsSaving(true);
+
+    try {
+      const abi = parseAbiInput(abiText);
+      const contracts = saveCustomContract({ name, address: address.trim(), abi, chainId });
+
+      // Saving still succeeds, but flag addresses without code on the chain the contract is saved for
+      if (window.ethereum) {
+        try {
+          const provider = new ethers.BrowserProvider(window.ethereum);
+          const code = await provider.getCode(address.trim());
+          if (!code || code === "0x") {
+            setWarning("Saved, but no contract is deployed at this address on the connected chain");
+          }
+        } catch (codeError) {
+          console.warn('Could not check contract code:', codeError);
+        }
+      }
+
+      onSaved(contracts, name.trim());
+      setSavedName(name.trim());
+      setName("");
+      setAddress("");
+      setAbiText("");
+    } catch (saveError) {
+      console.error('Error saving custom contract:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const canSave = name.trim() && address.trim() && abiText.trim() && chainId !== null && !isSaving;
+
+  return (
+    <div className="p-4 bg-gray-800 border border-gray-600 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-200">
+          Custom Contract
+          <span className="ml-2 text-xs text-gray-400">
+            {chainId !== null ? `for ${getChainInfo(chainId).name}` : "connect a wallet to choose the network"}
+          </span>
+        </h4>
+        <button onClick={onCancel} className="text-gray-400 hover:text-white text-sm">
+          ✕
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name (e.g. Treasury)"
+        className="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-white text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+      />
+      <input
+        type="text"
+        value={address}
+        onChange={(e) => setAddress(e.target.value)}
+        placeholder="Contract address (0x...)"
+        className="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+      />
+      <textarea
+        value={abiText}
+        onChange={(e) => setAbiText(e.target.value)}
+        rows={6}
+        placeholder={'JSON ABI, artifact JSON, or one signature per line:\nfunction transfer(address to, uint256 amount)\nfunction balanceOf(address owner) view returns (uint256)'}
+        className="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-white text-xs font-mono focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+      />
+
+      <button
+        onClick={handleSave}
+        disabled={!canSave}
+        className={`w-full px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+          !canSave
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isSaving ? "Saving..." : "Save Contract"}
+      </button>
+
+      {error && (
+        <div className="p-2 rounded-md text-xs bg-red-900/20 border border-red-700 text-red-300">
+          {error}
+        </div>
+      )}
+      {savedName && (
+        <div className="p-2 rounded-md text-xs bg-green-900/20 border border-green-700 text-green-300">
+          ✓ {savedName} saved to the contract registry
+        </div>
+      )}
+      {warning && (
+        <div className="p-2 rounded-md text-xs bg-yellow-900/20 border border-yellow-700 text-yellow-300">
+          ⚠️ {warning}
+        </div>
+      )}
+    </div>
+  );
+}
+
+CustomContractForm.propTypes = {
+  chainId: PropTypes.number,
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default CustomContractForm;
@@ -0,0 +1,91 @@
+import { ethers } from "ethers";
+import PropTypes from "prop-types";
+
+// Renders a call returned by decodeCall/decodeSafeTransaction (see Helper/TransactionDecoder.js)
+function DecodedCall({ call }) {
+  const renderValue = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (Array.isArray(item) ? `[${item.join(", ")}]` : String(item))).join(", ")}]`;
+    }
+    return String(value);
+  };
+
+  const innerCalls = call.innerCalls || [];
+
+  return (
+    <div className="text-xs space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="font-medium text-gray-200">
+          {call.functionName || call.selector || "Unknown call"}
+          {call.operation === 1 && (
+            <span className="ml-2 px-1 rounded bg-red-900/40 border border-red-700 text-red-300">DELEGATECALL</span>
+          )}
+        </span>
+        {call.contractName && (
+          <span className="text-gray-400">{call.contractName}</span>
+        )}
+      </div>
+
+      <div className="font-mono text-gray-400 break-all">to: {call.to}</div>
+      {call.value && call.value !== "0" && (
+        <div className="font-mono text-gray-400 break-all">
+          value: {ethers.formatEther(call.value)} ETH ({call.value} wei)
+        </div>
+      )}
+
+      {call.args.length > 0 && (
+        <div className="pl-2 border-l border-gray-600 space-y-0.5">
+          {call.args.map((arg, index) => (
+            <div key={index} className="break-all">
+              <span className="text-gray-500">{arg.name} ({arg.type}):</span>{" "}
+              {arg.formatted !== undefined ? (
+                <>
+                  <span className="font-mono text-gray-200">{arg.formatted}</span>{" "}
+                  <span className="font-mono text-gray-500">({renderValue(arg.value)})</span>
+                </>
+              ) : (
+                <span className="font-mono text-gray-200">{renderValue(arg.value)}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!call.isDecoded && (
+        <div className="p-2 rounded bg-yellow-900/20 border border-yellow-700 text-yellow-300">
+          ⚠️ {call.error || "Could not decode this call"}
+          <div className="font-mono break-all mt-1 text-yellow-200/70">{call.data}</div>
+        </div>
+      )}
+
+      {innerCalls.length > 0 && (
+        <div className="space-y-2 mt-2">
+          {innerCalls.map((innerCall, index) => (
+            <div key={index} className="p-2 rounded border border-gray-600 bg-gray-800">
+              <div className="text-gray-500 mb-1">Call {index + 1} of {innerCalls.length}</div>
+              <DecodedCall call={innerCall} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+DecodedCall.propTypes = {
+  call: PropTypes.shape({
+    to: PropTypes.string,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bigint]),
+    data: PropTypes.string,
+    operation: PropTypes.number,
+    selector: PropTypes.string,
+    contractName: PropTypes.string,
+    functionName: PropTypes.string,
+    args: PropTypes.arrayOf(PropTypes.object),
+    innerCalls: PropTypes.arrayOf(PropTypes.object),
+    isDecoded: PropTypes.bool,
+    error: PropTypes.string
+  }).isRequired
+};
+
+export default DecodedCall;
@@ -0,0 +1,71 @@
+import { ethers } from "ethers";
+import PropTypes from "prop-types";
+
+// ETH value sent with a proposal, typed in ETH or wei. `conversion` is the convertEthValue result
+// and `safeBalance` the Safe's ETH balance in wei (null while unknown).
+function EthValueInput({ value, units, onChange, onUnitsChange, conversion, safeBalance, notPayableName }) {
+  const wei = conversion.error ? null : BigInt(conversion.raw);
+  const balance = safeBalance !== null && safeBalance !== undefined ? BigInt(safeBalance) : null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-300">Value</label>
+        <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs">
+          {["eth", "wei"].map(option => (
+            <button
+              key={option}
+              onClick={() => onUnitsChange(option)}
+              className={`px-2 py-1 ${units === option ? "bg-blue-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+            >
+              {option === "eth" ? "ETH" : "Wei"}
+            </button>
+          ))}
+        </div>
+      </div>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={units === "eth" ? "0.0 ETH" : "0 wei"}
+        className={`w-full px-3 py-2 bg-gray-800 border rounded-md text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent ${
+          conversion.error ? "border-red-500" : "border-gray-600"
+        }`}
+      />
+      {conversion.error && (
+        <div className="mt-1 text-xs text-red-400">✕ {conversion.error}</div>
+      )}
+      {wei !== null && wei > 0n && (
+        <div className="mt-1 text-xs text-blue-400 font-mono break-all">
+          ✓ Sends {ethers.formatEther(wei)} ETH ({wei.toString()} wei)
+        </div>
+      )}
+      {wei !== null && wei > 0n && notPayableName && (
+        <div className="mt-1 text-xs text-red-400">✕ {notPayableName} is not payable; it cannot receive ETH</div>
+      )}
+      <div className="mt-1 text-xs text-gray-400">
+        Safe balance: {balance !== null ? `${ethers.formatEther(balance)} ETH` : "unknown"}
+      </div>
+      {wei !== null && balance !== null && wei > balance && (
+        <div className="mt-1 p-2 rounded bg-yellow-900/20 border border-yellow-700 text-xs text-yellow-300">
+          ⚠️ Value exceeds the Safe&apos;s balance of {ethers.formatEther(balance)} ETH. Execution will fail unless the Safe is funded first
+        </div>
+      )}
+    </div>
+  );
+}
+
+EthValueInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  units: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onUnitsChange: PropTypes.func.isRequired,
+  conversion: PropTypes.shape({
+    raw: PropTypes.string,
+    error: PropTypes.string
+  }).isRequired,
+  safeBalance: PropTypes.string,
+  notPayableName: PropTypes.string
+};
+
+export default EthValueInput;
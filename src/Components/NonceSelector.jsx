@@ -0,0 +1,131 @@
+import { decodeSafeTransaction } from "../Helper/TransactionDecoder.js";
+import { getQueuedNonces, getNextFreeNonce, describeNonce } from "../Helper/NonceQueue.js";
+import PropTypes from "prop-types";
+
+// Nonce used for the next proposal: the next free nonce by default, or a specific one to fill a gap
+// or replace a queued proposal. An empty value means "next free".
+function NonceSelector({ safeNonce, pendingTransactions, safeAddress, decimals, value, onChange, disabled }) {
+  if (safeNonce === null) {
+    return (
+      <div className="p-3 bg-gray-700 rounded-lg text-xs text-gray-400">
+        Refresh pending transactions to load the Safe nonce
+      </div>
+    );
+  }
+
+  const queued = getQueuedNonces(pendingTransactions);
+  const nextFree = getNextFreeNonce(safeNonce, pendingTransactions);
+  const nonce = value === "" ? nextFree : Number(value);
+  const isValid = Number.isInteger(nonce) && nonce >= 0;
+  const status = isValid ? describeNonce(nonce, safeNonce, pendingTransactions) : null;
+
+  const describeTransaction = (tx) => {
+    const decoded = decodeSafeTransaction(tx, { decimals, safeAddress });
+    const label = `${decoded.contractName || tx.to}.${decoded.functionName || decoded.selector || "call"}`;
+    return `${label} (${(tx.confirmations || []).length} confirmation(s))`;
+  };
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-lg text-left text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-400">On-chain nonce</span>
+        <span className="font-mono text-gray-200">{safeNonce}</span>
+      </div>
+
+      <div>
+        <div className="text-gray-400 mb-1">Queued nonces</div>
+        {queued.length === 0 ? (
+          <div className="text-gray-500">Nothing queued</div>
+        ) : (
+          <div className="flex flex-wrap gap-1">
+            {queued.map(entry => (
+              <button
+                key={entry.nonce}
+                onClick={() => onChange(String(entry.nonce))}
+                disabled={disabled}
+                title="Propose a replacement at this nonce"
+                className={`px-2 py-0.5 rounded font-mono border ${
+                  entry.nonce === nonce
+                    ? "border-orange-500 text-orange-300"
+                    : "border-gray-500 text-gray-300 hover:border-gray-300"
+                }`}
+              >
+                {entry.nonce}{entry.transactions.length > 1 ? ` ×${entry.transactions.length}` : ""}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-gray-400 mb-1">Propose at nonce</label>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min={safeNonce}
+            step="1"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            disabled={disabled}
+            placeholder={`Next free (${nextFree})`}
+            className="flex-1 px-2 py-1 bg-gray-800 border border-gray-600 rounded-md text-white font-mono"
+          />
+          {value !== "" && (
+            <button
+              onClick={() => onChange("")}
+              disabled={disabled}
+              className="text-green-400 hover:text-green-300"
+            >
+              Next free
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!isValid && (
+        <div className="p-2 rounded bg-red-900/20 border border-red-700 text-red-300">
+          Nonce must be a non-negative integer
+        </div>
+      )}
+
+      {status && status.isUsed && (
+        <div className="p-2 rounded bg-red-900/20 border border-red-700 text-red-300">
+          Nonce {nonce} has already been executed. The Safe only accepts nonce {safeNonce} or later.
+        </div>
+      )}
+
+      {status && status.replaces.length > 0 && (
+        <div className="p-2 rounded bg-orange-900/20 border border-orange-700 text-orange-300">
+          Replaces {status.replaces.length} queued proposal(s) at nonce {nonce}. Only one transaction per nonce can execute:
+          {status.replaces.map(tx => (
+            <div key={tx.safeTxHash} className="mt-1">↳ {describeTransaction(tx)}</div>
+          ))}
+        </div>
+      )}
+
+      {status && (status.blockedBy.length > 0 || status.missing.length > 0) && (
+        <div className="p-2 rounded bg-yellow-900/20 border border-yellow-700 text-yellow-300">
+          Blocked until earlier nonces execute.
+          {status.blockedBy.length > 0 && (
+            <div className="mt-1">Queued and unexecuted: {status.blockedBy.join(", ")}</div>
+          )}
+          {status.missing.length > 0 && (
+            <div className="mt-1">Nothing proposed yet for: {status.missing.join(", ")}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+NonceSelector.propTypes = {
+  safeNonce: PropTypes.number,
+  pendingTransactions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  safeAddress: PropTypes.string,
+  decimals: PropTypes.object,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default NonceSelector;
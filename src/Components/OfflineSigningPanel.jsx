@@ -0,0 +1,189 @@
+import { useState } from "react";
+import DecodedCall from "./DecodedCall.jsx";
+import { decodeSafeTransaction } from "../Helper/TransactionDecoder.js";
+import { downloadSafeTxFile, mergeSafeTxFiles, parseSafeTxFile, toServiceTransaction } from "../Helper/SafeTxFile.js";
+import PropTypes from "prop-types";
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Transaction files signed offline: load and merge the signed copies, then propose them to the
+// Transaction Service or execute the transaction directly with the collected signatures
+function OfflineSigningPanel({ safeAddress, chainId, owners, threshold, decimals, serviceEnabled = true, onSubmit, onExecute }) {
+  const [file, setFile] = useState(null);
+  const [fileNames, setFileNames] = useState([]);
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleFiles = async (event) => {
+    const selected = [...event.target.files];
+    event.target.value = "";
+    if (selected.length === 0) return;
+
+    setError("");
+    setStatus("");
+    try {
+      const parsed = await Promise.all(selected.map(async (selectedFile) => {
+        try {
+          return parseSafeTxFile(await selectedFile.text());
+        } catch (parseError) {
+          throw new Error(`${selectedFile.name}: ${parseError.message}`);
+        }
+      }));
+      // Files added later are merged into the ones already loaded
+      setFile(mergeSafeTxFiles(file ? [file, ...parsed] : parsed));
+      setFileNames(prev => [...prev, ...selected.map(selectedFile => selectedFile.name)]);
+    } catch (loadError) {
+      console.error('Error loading transaction files:', loadError);
+      setError(loadError.message);
+    }
+  };
+
+  const clear = () => {
+    setFile(null);
+    setFileNames([]);
+    setError("");
+    setStatus("");
+  };
+
+  const run = async (action, message) => {
+    setIsBusy(true);
+    setStatus(message);
+    try {
+      setStatus(await action());
+    } catch (actionError) {
+      console.error('Error with transaction file:', actionError);
+      setStatus(`Error: ${actionError.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSubmit = () => run(async () => {
+    const { proposed, confirmed } = await onSubmit(file);
+    if (confirmed.length === 0) return "The service already has every signature in the file";
+    return `${proposed ? "Proposed and signed" : "Signatures added"} successfully: ${confirmed.map(shorten).join(", ")}`;
+  }, "Submitting to the Transaction Service...");
+
+  const handleExecute = () => run(async () => {
+    const hash = await onExecute(file);
+    return `Transaction executed successfully! Hash: ${hash}`;
+  }, "Executing...");
+
+  const isOwner = (address) => Boolean(owners) && owners.some(owner => owner.toLowerCase() === address.toLowerCase());
+  const matchesSafe = file && safeAddress && file.safeAddress.toLowerCase() === safeAddress.toLowerCase() &&
+    (!chainId || file.chainId === String(chainId));
+  const ownerSignatures = file ? file.signatures.filter(signature => isOwner(signature.signer)).length : 0;
+
+  return (
+    <div className="text-left space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold">Offline Signing</h3>
+        <p className="text-sm text-gray-400 mt-1">
+          Export a transaction with &quot;Export for Offline Signing&quot; in the builder or <code>safe create</code> / <code>safe export</code>,
+          sign it on a cold machine with <code>safe sign-file</code>, then load the signed copies here.
+        </p>
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <label className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm cursor-pointer">
+          {file ? "Add Signed Copies" : "Load Transaction Files"}
+          <input type="file" accept=".json,application/json" multiple onChange={handleFiles} className="hidden" />
+        </label>
+        {file && (
+          <button onClick={clear} disabled={isBusy} className="text-red-400 hover:text-red-300 text-sm">
+            Clear
+          </button>
+        )}
+      </div>
+      {error && <div className="text-xs text-red-400">✕ {error}</div>}
+
+      {file && (
+        <div className="p-3 bg-gray-700 rounded-lg text-xs space-y-2">
+          <div className="text-gray-400">Loaded: {fileNames.join(", ")}</div>
+          <div className="font-mono text-gray-300 break-all">Safe: {file.safeAddress} (v{file.safeVersion}, chain {file.chainId})</div>
+          <div className="font-mono text-gray-300 break-all">Nonce {file.tx.nonce} · {file.safeTxHash}</div>
+          {!matchesSafe && (
+            <div className="text-yellow-300">⚠️ This file is not for the active Safe and network. Select its Safe to submit or execute it</div>
+          )}
+
+          <DecodedCall call={decodeSafeTransaction(toServiceTransaction(file), { decimals, safeAddress: file.safeAddress })} />
+
+          <div>
+            <div className="text-gray-300 mb-1">
+              Signatures: {ownerSignatures} of {threshold ?? "?"} required
+            </div>
+            {file.signatures.length === 0 && <div className="text-gray-400">Not signed yet</div>}
+            {file.signatures.map(signature => (
+              <div key={signature.signer} className="font-mono">
+                {isOwner(signature.signer) ? (
+                  <span className="text-green-400">✓ {signature.signer}</span>
+                ) : (
+                  <span className="text-red-400">✕ {signature.signer} (not an owner)</span>
+                )}
+                <span className="text-gray-500"> {signature.type}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {file && (
+        <div className="grid grid-cols-3 gap-3">
+          <button
+            onClick={() => downloadSafeTxFile(file)}
+            className="px-4 py-2 rounded-lg border border-gray-500 text-gray-200 hover:bg-gray-700 text-sm"
+          >
+            Download Merged File
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isBusy || !serviceEnabled || !matchesSafe || file.signatures.length === 0}
+            title={serviceEnabled ? undefined : "The Transaction Service is turned off (VITE_SAFE_DIRECT)"}
+            className={`px-4 py-2 rounded-lg text-sm font-medium ${
+              isBusy || !serviceEnabled || !matchesSafe || file.signatures.length === 0
+                ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                : "border border-green-500 text-green-400 hover:bg-green-500/10"
+            }`}
+          >
+            Submit to Service
+          </button>
+          <button
+            onClick={handleExecute}
+            disabled={isBusy || !matchesSafe}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+              isBusy || !matchesSafe ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-green-600 hover:bg-green-700 text-white"
+            }`}
+          >
+            Execute Directly
+          </button>
+        </div>
+      )}
+
+      {status && (
+        <div className={`p-3 rounded-md text-sm break-all ${
+          status.includes("Error")
+            ? "bg-red-900/20 border border-red-700 text-red-300"
+            : status.includes("successfully")
+            ? "bg-green-900/20 border border-green-700 text-green-300"
+            : "bg-blue-900/20 border border-blue-700 text-blue-300"
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+OfflineSigningPanel.propTypes = {
+  safeAddress: PropTypes.string,
+  chainId: PropTypes.number,
+  owners: PropTypes.arrayOf(PropTypes.string),
+  threshold: PropTypes.number,
+  decimals: PropTypes.object,
+  serviceEnabled: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  onExecute: PropTypes.func.isRequired
+};
+
+export default OfflineSigningPanel;
@@ -0,0 +1,71 @@
+import { OperationType } from "@safe-global/types-kit";
+import { DELEGATECALL_WARNING, findDelegateCallLibrary, getDelegateCallAllowList } from "../Helper/DelegateCallPolicy.js";
+import PropTypes from "prop-types";
+
+// Call / DelegateCall picker for a proposal. DelegateCall is only usable for allow-listed libraries
+// and after the risk has been acknowledged.
+function OperationSelector({ operation, onChange, target, acknowledged, onAcknowledgedChange }) {
+  const isDelegateCall = operation === OperationType.DelegateCall;
+  const library = isDelegateCall ? findDelegateCallLibrary(target) : null;
+
+  return (
+    <div className="mb-6 text-left">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-300">Operation</label>
+        <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs">
+          <button
+            onClick={() => onChange(OperationType.Call)}
+            className={`px-3 py-1 ${!isDelegateCall ? "bg-green-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+          >
+            Call
+          </button>
+          <button
+            onClick={() => onChange(OperationType.DelegateCall)}
+            className={`px-3 py-1 ${isDelegateCall ? "bg-red-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+          >
+            DelegateCall
+          </button>
+        </div>
+      </div>
+
+      {isDelegateCall && (
+        <div className="p-3 rounded-lg bg-red-900/30 border-2 border-red-600 text-sm text-red-200 space-y-2">
+          <div className="font-semibold text-red-300">⚠️ DELEGATECALL</div>
+          <div>{DELEGATECALL_WARNING}</div>
+          {!target ? (
+            <div className="text-xs text-red-300">Enter a target to check it against the allow-list</div>
+          ) : library ? (
+            <div className="text-xs text-green-300">✓ {target} is the allow-listed library {library.name}</div>
+          ) : (
+            <div className="text-xs">
+              ✕ {target} is not an allow-listed library. Allowed targets:
+              <ul className="mt-1 font-mono text-red-300/80">
+                {getDelegateCallAllowList().map(entry => (
+                  <li key={entry.address}>{entry.name}: {entry.address}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <label className="flex items-center space-x-2 text-xs">
+            <input
+              type="checkbox"
+              checked={acknowledged}
+              onChange={(e) => onAcknowledgedChange(e.target.checked)}
+            />
+            <span>I have verified the target and calldata and want to propose a DelegateCall</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+OperationSelector.propTypes = {
+  operation: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  target: PropTypes.string,
+  acknowledged: PropTypes.bool,
+  onAcknowledgedChange: PropTypes.func.isRequired
+};
+
+export default OperationSelector;
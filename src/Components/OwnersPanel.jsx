@@ -0,0 +1,207 @@
+import { useState } from "react";
+import { OWNER_CHANGE_TYPES, describeQuorumChange } from "../Helper/OwnerManagement.js";
+import PropTypes from "prop-types";
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Owners and threshold of the active Safe, with a form that proposes owner changes
+// after previewing how they affect the quorum
+function OwnersPanel({ owners, threshold, signerAddress, onPropose, onRefresh, isProposing, status }) {
+  const [change, setChange] = useState({ type: "add", owner: "", newOwner: "", threshold: "" });
+
+  if (!owners) {
+    return (
+      <div className="text-sm text-gray-400">
+        Owners are loaded with the pending queue.{" "}
+        <button onClick={onRefresh} className="text-green-400 hover:text-green-300">Load owners</button>
+      </div>
+    );
+  }
+
+  // Remove and add default to keeping the threshold, capped by the owner count after the change
+  const defaultThreshold = change.type === "remove" ? Math.min(threshold, Math.max(owners.length - 1, 1)) : threshold;
+  const request = { ...change, threshold: change.threshold === "" ? defaultThreshold : Number(change.threshold) };
+  const hasInput = change.type === "threshold" ? change.threshold !== "" : change.owner !== "";
+  const preview = hasInput ? describeQuorumChange({ owners, threshold }, request, signerAddress) : null;
+  const canPropose = preview && preview.errors.length === 0 && !isProposing;
+
+  const update = (fields) => setChange(prev => ({ ...prev, ...fields }));
+  const isSigner = (address) => signerAddress && address.toLowerCase() === signerAddress.toLowerCase();
+
+  return (
+    <div className="text-left space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Owners</h3>
+          <span className="text-sm text-gray-300">
+            Threshold: <span className="font-semibold text-white">{threshold} of {owners.length}</span>
+          </span>
+        </div>
+        <div className="space-y-1">
+          {owners.map(owner => (
+            <div key={owner} className="flex items-center justify-between p-2 bg-gray-700 rounded text-xs">
+              <span className="font-mono break-all">{owner}</span>
+              <div className="flex items-center space-x-3 ml-2">
+                {isSigner(owner) && <span className="text-green-400">You</span>}
+                <button
+                  onClick={() => update({ type: "remove", owner, threshold: "" })}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  Remove
+                </button>
+                <button
+                  onClick={() => update({ type: "swap", owner, newOwner: "" })}
+                  className="text-blue-400 hover:text-blue-300"
+                >
+                  Swap
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold mb-3">Change</h3>
+        <div className="grid grid-cols-4 gap-2 mb-4">
+          {Object.entries(OWNER_CHANGE_TYPES).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => setChange({ type, owner: "", newOwner: "", threshold: "" })}
+              className={`px-2 py-2 rounded-lg border text-xs ${
+                change.type === type ? "border-green-500 bg-green-500/10" : "border-gray-600 hover:border-gray-500"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          {change.type !== "threshold" && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                {change.type === "add" ? "New owner" : change.type === "swap" ? "Old owner" : "Owner to remove"}
+              </label>
+              {change.type === "add" ? (
+                <input
+                  type="text"
+                  value={change.owner}
+                  onChange={(e) => update({ owner: e.target.value })}
+                  placeholder="0x..."
+                  className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+                />
+              ) : (
+                <select
+                  value={change.owner}
+                  onChange={(e) => update({ owner: e.target.value })}
+                  className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+                >
+                  <option value="">Select an owner</option>
+                  {owners.map(owner => <option key={owner} value={owner}>{owner}</option>)}
+                </select>
+              )}
+            </div>
+          )}
+
+          {change.type === "swap" && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">New owner</label>
+              <input
+                type="text"
+                value={change.newOwner}
+                onChange={(e) => update({ newOwner: e.target.value })}
+                placeholder="0x..."
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+              />
+            </div>
+          )}
+
+          {change.type !== "swap" && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                {change.type === "threshold" ? "New threshold" : "Threshold after the change"}
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={change.threshold === "" && change.type !== "threshold" ? defaultThreshold : change.threshold}
+                onChange={(e) => update({ threshold: e.target.value })}
+                className="w-32 px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {preview && (
+        <div className="p-3 bg-gray-700 rounded-lg text-xs space-y-2">
+          <div className="font-medium text-gray-200">Quorum impact</div>
+          <div className="grid grid-cols-2 gap-3">
+            {[["Before", preview.before], ["After", preview.after]].map(([label, quorum]) => (
+              <div key={label}>
+                <div className="text-gray-400 mb-1">
+                  {label}: <span className="text-white font-semibold">{quorum.threshold} of {quorum.owners.length}</span>
+                </div>
+                {quorum.owners.map(owner => (
+                  <div
+                    key={owner}
+                    className={`font-mono ${
+                      label === "After" && !preview.before.owners.includes(owner)
+                        ? "text-green-300"
+                        : label === "Before" && !preview.after.owners.includes(owner)
+                        ? "text-red-300 line-through"
+                        : "text-gray-300"
+                    }`}
+                  >
+                    {shorten(owner)}{isSigner(owner) ? " (you)" : ""}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+          {preview.errors.map(error => (
+            <div key={error} className="text-red-400">✕ {error}</div>
+          ))}
+          {preview.warnings.map(warning => (
+            <div key={warning} className="text-yellow-300">⚠️ {warning}</div>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={() => onPropose(request)}
+        disabled={!canPropose}
+        className={`w-full px-6 py-3 rounded-lg font-semibold transition-all ${
+          !canPropose ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isProposing ? "Creating Safe Transaction..." : `Propose: ${OWNER_CHANGE_TYPES[change.type]}`}
+      </button>
+
+      {status && (
+        <div className={`p-3 rounded-md text-sm ${
+          status.includes("Error")
+            ? "bg-red-900/20 border border-red-700 text-red-300"
+            : status.includes("successfully")
+            ? "bg-green-900/20 border border-green-700 text-green-300"
+            : "bg-blue-900/20 border border-blue-700 text-blue-300"
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
+
+OwnersPanel.propTypes = {
+  owners: PropTypes.arrayOf(PropTypes.string),
+  threshold: PropTypes.number,
+  signerAddress: PropTypes.string,
+  onPropose: PropTypes.func.isRequired,
+  onRefresh: PropTypes.func.isRequired,
+  isProposing: PropTypes.bool,
+  status: PropTypes.string
+};
+
+export default OwnersPanel;
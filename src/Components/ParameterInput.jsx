@@ -0,0 +1,224 @@
+import { isUintType, getDefaultUnits } from "../Helper/ParameterEncoding.js";
+import { getParamKey, createEmptyValue } from "../Helper/ParameterSchema.js";
+import PropTypes from "prop-types";
+
+// Placeholder text for a scalar ABI type
+const getPlaceholder = (param) => {
+  if (param.baseType === "address") return "0x... address or ENS name";
+  if (param.baseType === "bytes") return "0x-prefixed hex";
+  if (/^bytes\d+$/.test(param.baseType)) {
+    const length = Number(param.baseType.slice(5));
+    return `0x + ${length * 2} hex characters (${length} bytes)`;
+  }
+  if (/^int\d*$/.test(param.type)) return `Whole number (${param.type})`;
+  return `Enter ${param.type} value`;
+};
+
+// Form input for one ABI parameter, rendering nested inputs for tuples and add/remove rows for arrays.
+// `validation` is the buildFunctionArgs result for the whole form; entries are looked up by path.
+function ParameterInput({
+  param,
+  path,
+  label,
+  nameHint,
+  value,
+  onChange,
+  units,
+  onUnitsChange,
+  validation,
+  decimals,
+  tokenName
+}) {
+  const error = validation.errors[path];
+  const childProps = { units, onUnitsChange, validation, decimals, tokenName };
+
+  const header = (
+    <label className="block text-sm font-medium text-gray-300">
+      {label} <span className="text-gray-500">({param.type})</span>
+    </label>
+  );
+
+  if (param.baseType === "tuple") {
+    const tupleValue = value || createEmptyValue(param);
+    return (
+      <div className="p-3 border border-gray-700 rounded-lg space-y-3">
+        {header}
+        {param.components.map((component, index) => {
+          const key = getParamKey(component, index);
+          return (
+            <ParameterInput
+              key={key}
+              param={component}
+              path={`${path}.${key}`}
+              label={key}
+              nameHint={component.name}
+              value={tupleValue[key]}
+              onChange={(componentValue) => onChange({ ...tupleValue, [key]: componentValue })}
+              {...childProps}
+            />
+          );
+        })}
+      </div>
+    );
+  }
+
+  if (param.baseType === "array") {
+    const items = Array.isArray(value) ? value : [];
+    const isDynamic = !(param.arrayLength > 0);
+    return (
+      <div className="p-3 border border-gray-700 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          {header}
+          {isDynamic && (
+            <button
+              onClick={() => onChange([...items, createEmptyValue(param.arrayChildren)])}
+              className="text-xs text-green-400 hover:text-green-300"
+            >
+              + Add item
+            </button>
+          )}
+        </div>
+        {items.length === 0 && (
+          <div className="text-xs text-gray-500">Empty array</div>
+        )}
+        {items.map((item, index) => (
+          <div key={index} className="flex items-start space-x-2">
+            <div className="flex-1">
+              <ParameterInput
+                param={param.arrayChildren}
+                path={`${path}[${index}]`}
+                label={`[${index}]`}
+                nameHint={nameHint}
+                value={item}
+                onChange={(itemValue) => onChange(items.map((existing, i) => (i === index ? itemValue : existing)))}
+                {...childProps}
+              />
+            </div>
+            {isDynamic && (
+              <button
+                onClick={() => onChange(items.filter((_, i) => i !== index))}
+                className="mt-1 text-red-400 hover:text-red-300 text-xs"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {error && <div className="text-xs text-red-400">✕ {error}</div>}
+      </div>
+    );
+  }
+
+  if (param.baseType === "bool") {
+    return (
+      <div className="flex items-center justify-between">
+        {header}
+        <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs">
+          {[true, false].map(option => (
+            <button
+              key={String(option)}
+              onClick={() => onChange(option)}
+              className={`px-3 py-1 ${value === option ? "bg-green-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+            >
+              {String(option)}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const text = value || "";
+  const isUint = isUintType(param.type);
+  const selectedUnits = units[path] || getDefaultUnits(nameHint, param.type, decimals);
+  const conversion = validation.conversions[path];
+  const resolvedName = validation.resolvedNames[path];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        {header}
+        {isUint && (
+          <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs">
+            <button
+              onClick={() => onUnitsChange(path, "human")}
+              disabled={decimals === undefined}
+              title={decimals === undefined ? "This contract has no decimals()" : `Scaled by ${decimals} decimals`}
+              className={`px-2 py-1 ${
+                selectedUnits === "human"
+                  ? "bg-blue-600 text-white"
+                  : decimals === undefined
+                  ? "text-gray-600 cursor-not-allowed"
+                  : "text-gray-300 hover:bg-gray-700"
+              }`}
+            >
+              Human units
+            </button>
+            <button
+              onClick={() => onUnitsChange(path, "raw")}
+              className={`px-2 py-1 ${selectedUnits === "raw" ? "bg-blue-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+            >
+              Raw units
+            </button>
+          </div>
+        )}
+      </div>
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => onChange(e.target.value)}
+        className={`w-full px-3 py-2 bg-gray-800 border rounded-md text-white focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent ${
+          error
+            ? "border-red-500"
+            : isUint && selectedUnits === "human" ? "border-blue-500 bg-blue-500/10" : "border-gray-600"
+        } ${param.baseType === "address" || param.baseType.startsWith("bytes") ? "font-mono" : ""}`}
+        placeholder={isUint
+          ? selectedUnits === "human" ? `Amount in ${tokenName} (${decimals} decimals)` : `Raw ${param.type} integer`
+          : getPlaceholder(param)}
+      />
+      {error && (
+        <div className="mt-1 text-xs text-red-400">✕ {error}</div>
+      )}
+      {conversion !== undefined && (
+        <div className="mt-1 text-xs text-blue-400 font-mono break-all">
+          ✓ Will encode as: {conversion}
+          {selectedUnits === "human" && ` (${text.trim()} × 10^${decimals})`}
+        </div>
+      )}
+      {resolvedName && (
+        <div className="mt-1 text-xs text-blue-400 font-mono break-all">
+          ✓ {resolvedName.name} → {resolvedName.address}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ParameterInput.propTypes = {
+  param: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    baseType: PropTypes.string,
+    components: PropTypes.arrayOf(PropTypes.object),
+    arrayChildren: PropTypes.object,
+    arrayLength: PropTypes.number
+  }).isRequired,
+  path: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  nameHint: PropTypes.string,
+  value: PropTypes.any,
+  onChange: PropTypes.func.isRequired,
+  units: PropTypes.object.isRequired,
+  onUnitsChange: PropTypes.func.isRequired,
+  validation: PropTypes.shape({
+    errors: PropTypes.object,
+    conversions: PropTypes.object,
+    resolvedNames: PropTypes.objectOf(PropTypes.shape({
+      name: PropTypes.string,
+      address: PropTypes.string
+    }))
+  }).isRequired,
+  decimals: PropTypes.number,
+  tokenName: PropTypes.string
+};
+
+export default ParameterInput;
@@ -0,0 +1,231 @@
+import { useState } from "react";
+import { ethers } from "ethers";
+import DecodedCall from "./DecodedCall.jsx";
+import { decodeSafeTransaction } from "../Helper/TransactionDecoder.js";
+import PropTypes from "prop-types";
+
+// A pending Safe transaction from the Transaction Service, decoded against the known ABIs,
+// with separate Confirm (sign), Execute (submit on-chain) and Reject (cancel the nonce) actions
+function PendingTransactionCard({
+  tx,
+  safeAddress,
+  competingTransactions,
+  decimals,
+  threshold,
+  safeNonce,
+  signerAddress,
+  isBusy,
+  onConfirm,
+  onPrepareExecute,
+  onExecute,
+  onReject
+}) {
+  const [executionPreview, setExecutionPreview] = useState(null);
+  const [executionError, setExecutionError] = useState("");
+  const [isPreparing, setIsPreparing] = useState(false);
+
+  // Safely extract and stringify all transaction properties
+  const safeTxHash = tx.safeTxHash ? String(tx.safeTxHash) : 'N/A';
+  const created = tx.submissionDate || tx.created;
+  const confirmations = tx.confirmations || [];
+  const decoded = decodeSafeTransaction(tx, { decimals, safeAddress });
+  const shortHash = (hash) => `${String(hash).slice(0, 10)}...${String(hash).slice(-6)}`;
+
+  const hasConfirmed = Boolean(signerAddress) && confirmations.some(
+    confirmation => confirmation.owner && confirmation.owner.toLowerCase() === signerAddress.toLowerCase()
+  );
+  const reachesThreshold = threshold !== null && confirmations.length >= threshold;
+  const isNextNonce = safeNonce !== null && Number(tx.nonce) === safeNonce;
+  const canExecute = reachesThreshold && isNextNonce && !isBusy && !isPreparing;
+
+  let executeHint = "";
+  if (threshold === null) {
+    executeHint = "Loading Safe threshold...";
+  } else if (!reachesThreshold) {
+    executeHint = `Needs ${threshold - confirmations.length} more confirmation(s)`;
+  } else if (!isNextNonce) {
+    executeHint = `Waiting for nonce ${safeNonce} to be executed first`;
+  }
+
+  const handlePrepareExecute = async () => {
+    setExecutionError("");
+    setExecutionPreview(null);
+    setIsPreparing(true);
+    try {
+      setExecutionPreview(await onPrepareExecute(tx));
+    } catch (error) {
+      console.error('Error preparing execution:', error);
+      setExecutionError(error.message);
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    const preview = executionPreview;
+    setExecutionPreview(null);
+    await onExecute(preview);
+  };
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-lg border border-gray-600">
+      <div className="flex items-center justify-between mb-2 text-xs">
+        <span className="text-gray-400">Nonce {tx.nonce !== undefined ? String(tx.nonce) : '?'}</span>
+        <span className={reachesThreshold ? "text-green-400" : "text-gray-400"}>
+          {confirmations.length}/{threshold ?? tx.confirmationsRequired ?? '?'} confirmations
+        </span>
+      </div>
+
+      {decoded.isRejection && (
+        <div className="mb-2 p-2 rounded text-xs bg-orange-900/20 border border-orange-700 text-orange-300">
+          Rejection: executing this cancels every other transaction queued at nonce {String(tx.nonce)}
+          {competingTransactions.map(other => (
+            <div key={other.safeTxHash} className="font-mono mt-1">↳ rejects {shortHash(other.safeTxHash)}</div>
+          ))}
+        </div>
+      )}
+
+      {!decoded.isRejection && competingTransactions.length > 0 && (
+        <div className="mb-2 p-2 rounded text-xs bg-orange-900/20 border border-orange-700 text-orange-300">
+          Rejection proposed for this nonce
+          {competingTransactions.map(other => (
+            <div key={other.safeTxHash} className="font-mono mt-1">↳ {shortHash(other.safeTxHash)}</div>
+          ))}
+        </div>
+      )}
+
+      {decoded.hasUnknownCalls && (
+        <div className="mb-2 p-2 rounded text-xs bg-red-900/20 border border-red-700 text-red-300">
+          ⚠️ Contains calls that could not be decoded. Verify the raw calldata before signing.
+        </div>
+      )}
+
+      <div className="mb-3">
+        <DecodedCall call={decoded} />
+      </div>
+
+      <div className="text-xs text-gray-400 mb-1">Safe Tx Hash:</div>
+      <div className="font-mono text-xs break-all mb-2">{safeTxHash}</div>
+
+      <div className="text-xs text-gray-400 mb-1">Created:</div>
+      <div className="text-xs mb-3">{created ? new Date(created).toLocaleString() : 'Unknown'}</div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => onConfirm(tx)}
+          disabled={isBusy || hasConfirmed}
+          className={`px-3 py-1 rounded text-xs font-medium transition-all flex items-center justify-center space-x-2 ${
+            isBusy || hasConfirmed
+              ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+              : "bg-green-600 hover:bg-green-700 text-white"
+          }`}
+        >
+          {isBusy ? (
+            <>
+              <svg className="animate-spin h-3 w-3" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+              <span>Processing...</span>
+            </>
+          ) : (
+            <span>{hasConfirmed ? "Confirmed" : "Confirm"}</span>
+          )}
+        </button>
+
+        <button
+          onClick={handlePrepareExecute}
+          disabled={!canExecute}
+          className={`px-3 py-1 rounded text-xs font-medium transition-all ${
+            !canExecute
+              ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+              : "bg-blue-600 hover:bg-blue-700 text-white"
+          }`}
+        >
+          {isPreparing ? "Estimating..." : "Execute"}
+        </button>
+      </div>
+
+      {!decoded.isRejection && (
+        <button
+          onClick={() => onReject(tx)}
+          disabled={isBusy || competingTransactions.length > 0}
+          className={`w-full mt-2 px-3 py-1 rounded text-xs font-medium transition-all ${
+            isBusy || competingTransactions.length > 0
+              ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+              : "border border-red-500 text-red-400 hover:bg-red-500/10"
+          }`}
+        >
+          Reject
+        </button>
+      )}
+
+      {executeHint && (
+        <div className="mt-2 text-xs text-gray-400">{executeHint}</div>
+      )}
+
+      {executionError && (
+        <div className="mt-2 p-2 rounded text-xs bg-red-900/20 border border-red-700 text-red-300">
+          {executionError}
+        </div>
+      )}
+
+      {executionPreview && (
+        <div className="mt-2 p-2 rounded text-xs bg-blue-900/20 border border-blue-700 text-blue-200 space-y-1">
+          <div className="font-medium">Execution Preview</div>
+          <div>Confirmations: {executionPreview.confirmations}/{executionPreview.threshold}</div>
+          <div>Estimated gas: {executionPreview.gasLimit.toString()}</div>
+          <div>Max fee: {ethers.formatUnits(executionPreview.feePerGas, "gwei")} gwei</div>
+          <div>
+            Estimated cost: {ethers.formatEther(executionPreview.estimatedCost)} ETH
+            <span className="text-blue-300/70"> (paid by {executionPreview.executor.slice(0, 6)}...{executionPreview.executor.slice(-4)})</span>
+          </div>
+          {executionPreview.balance < executionPreview.estimatedCost && (
+            <div className="text-red-300">
+              ⚠️ Wallet balance {ethers.formatEther(executionPreview.balance)} ETH is below the estimated cost
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2 pt-1">
+            <button
+              onClick={() => setExecutionPreview(null)}
+              className="px-3 py-1 rounded text-xs font-medium border border-gray-500 text-gray-300 hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleExecute}
+              disabled={isBusy}
+              className="px-3 py-1 rounded text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              Execute in Wallet
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+PendingTransactionCard.propTypes = {
+  tx: PropTypes.shape({
+    safeTxHash: PropTypes.string,
+    nonce: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    confirmations: PropTypes.arrayOf(PropTypes.object),
+    confirmationsRequired: PropTypes.number,
+    submissionDate: PropTypes.string,
+    created: PropTypes.string
+  }).isRequired,
+  safeAddress: PropTypes.string,
+  competingTransactions: PropTypes.arrayOf(PropTypes.object),
+  decimals: PropTypes.object,
+  threshold: PropTypes.number,
+  safeNonce: PropTypes.number,
+  signerAddress: PropTypes.string,
+  isBusy: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onPrepareExecute: PropTypes.func.isRequired,
+  onExecute: PropTypes.func.isRequired,
+  onReject: PropTypes.func.isRequired
+};
+
+export default PendingTransactionCard;
@@ -0,0 +1,151 @@
+import DecodedCall from "./DecodedCall.jsx";
+import EthValueInput from "./EthValueInput.jsx";
+import { reverseDecodeCall } from "../Helper/TransactionDecoder.js";
+import PropTypes from "prop-types";
+
+const SOURCE_LABELS = {
+  "target": "Decoded with the target contract's ABI",
+  "known-abi": "Decoded by selector with another known ABI",
+  "selector-table": "Decoded by selector with the local signature table"
+};
+
+// Custom data mode: target, ETH value and raw calldata proposed as-is, with the reverse-decoded call
+// shown next to the inputs. `validation` is the buildRawCall result for `values`; `blockedReason`
+// explains why the chosen operation cannot be proposed (e.g. a DelegateCall to a non-allow-listed target).
+function RawCalldataForm({ values, onChange, validation, decimals, safeBalance, onPropose, onAddToBatch, isProposing, canPropose, blockedReason }) {
+  const { transaction, errors } = validation;
+  const decoded = transaction.to && !errors.data
+    ? reverseDecodeCall(transaction, { decimals })
+    : null;
+  const hasData = transaction.data !== "0x";
+  const canSubmit = validation.isValid && !blockedReason;
+
+  const field = (name, label, input) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+      {input}
+      {errors[name] && <div className="mt-1 text-xs text-red-400">✕ {errors[name]}</div>}
+    </div>
+  );
+
+  const inputClass = (name) =>
+    `w-full px-3 py-2 bg-gray-800 border rounded-md text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent ${
+      errors[name] ? "border-red-500" : "border-gray-600"
+    }`;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4">Custom Data</h3>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-4">
+          {field("to", "Target Address", (
+            <input
+              type="text"
+              value={values.to}
+              onChange={(e) => onChange({ ...values, to: e.target.value })}
+              placeholder="0x..."
+              className={inputClass("to")}
+            />
+          ))}
+          <EthValueInput
+            value={values.value}
+            units={values.valueUnits}
+            onChange={(value) => onChange({ ...values, value })}
+            onUnitsChange={(valueUnits) => onChange({ ...values, valueUnits })}
+            conversion={{ raw: transaction.value, error: errors.value || null }}
+            safeBalance={safeBalance}
+          />
+          {field("data", "Calldata", (
+            <textarea
+              value={values.data}
+              onChange={(e) => onChange({ ...values, data: e.target.value })}
+              placeholder="0x..."
+              rows={8}
+              className={inputClass("data")}
+            />
+          ))}
+        </div>
+
+        <div className="p-3 bg-gray-800 border border-gray-600 rounded-lg text-left">
+          <div className="text-sm font-medium text-gray-300 mb-2">Decoded</div>
+          {!decoded ? (
+            <div className="text-xs text-gray-500">Enter a target address and calldata to decode them</div>
+          ) : (
+            <>
+              <DecodedCall call={decoded} />
+              {decoded.source && hasData && (
+                <div className={`mt-2 text-xs ${decoded.source === "target" ? "text-green-400" : "text-yellow-300"}`}>
+                  {decoded.source === "target" ? "✓" : "⚠️"} {SOURCE_LABELS[decoded.source]}
+                  {decoded.source === "known-abi" && ` (${decoded.sourceName})`}
+                  {decoded.source !== "target" && ". The target is not known to have this function; confirm it is the intended contract."}
+                </div>
+              )}
+              {decoded.alternatives.length > 0 && (
+                <div className="mt-2 text-xs text-yellow-300">
+                  Also matches: {decoded.alternatives.join(", ")}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {blockedReason && validation.isValid && (
+        <div className="mt-4 text-xs text-red-400">✕ {blockedReason}</div>
+      )}
+      <button
+        onClick={onPropose}
+        disabled={!canSubmit || !canPropose || isProposing}
+        className={`w-full mt-4 px-6 py-3 rounded-lg font-semibold transition-all ${
+          !canSubmit || !canPropose || isProposing
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isProposing ? "Creating Safe Transaction..." : "Create & Sign Safe Transaction"}
+      </button>
+      <button
+        onClick={onAddToBatch}
+        disabled={!canSubmit}
+        className={`w-full mt-3 px-6 py-2 rounded-lg font-medium transition-all ${
+          !canSubmit
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "border border-green-500 text-green-400 hover:bg-green-500/10"
+        }`}
+      >
+        Add to Batch
+      </button>
+    </div>
+  );
+}
+
+RawCalldataForm.propTypes = {
+  values: PropTypes.shape({
+    to: PropTypes.string,
+    value: PropTypes.string,
+    valueUnits: PropTypes.string,
+    data: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  validation: PropTypes.shape({
+    isValid: PropTypes.bool,
+    errors: PropTypes.shape({
+      value: PropTypes.string,
+      data: PropTypes.string
+    }),
+    transaction: PropTypes.shape({
+      to: PropTypes.string,
+      value: PropTypes.string,
+      data: PropTypes.string
+    })
+  }).isRequired,
+  decimals: PropTypes.object,
+  safeBalance: PropTypes.string,
+  onPropose: PropTypes.func.isRequired,
+  onAddToBatch: PropTypes.func.isRequired,
+  isProposing: PropTypes.bool,
+  canPropose: PropTypes.bool,
+  blockedReason: PropTypes.string
+};
+
+export default RawCalldataForm;
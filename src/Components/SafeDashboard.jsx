@@ -0,0 +1,121 @@
+import { ethers } from "ethers";
+import { SAFE_INFO_REFRESH_MS } from "../Helper/SafeInfo.js";
+import PropTypes from "prop-types";
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+function AddressList({ addresses, empty }) {
+  if (addresses.length === 0) {
+    return <div className="text-gray-500">{empty}</div>;
+  }
+  return addresses.map(address => (
+    <div key={address} className="font-mono text-gray-300" title={address}>{shorten(address)}</div>
+  ));
+}
+
+AddressList.propTypes = {
+  addresses: PropTypes.arrayOf(PropTypes.string).isRequired,
+  empty: PropTypes.string.isRequired
+};
+
+// Overview card of the active Safe: configuration, modules and balances. Refreshed by the parent
+// on a timer and after executions.
+function SafeDashboard({ info, isLoading, error, onRefresh }) {
+  if (!info) {
+    return (
+      <div className="mb-6 p-4 bg-gray-800 border border-gray-700 rounded-lg text-sm text-gray-400 text-left">
+        {error ? <span className="text-red-400">Could not load the Safe: {error}</span> : isLoading ? "Loading Safe..." : "Connect a wallet to load the Safe"}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800 border border-gray-700 rounded-lg text-left">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-200">
+          Safe <span className="text-gray-400 font-normal">v{info.version}</span>
+        </h3>
+        <div className="flex items-center space-x-3 text-xs text-gray-500">
+          <span>Block {info.blockNumber} · every {SAFE_INFO_REFRESH_MS / 1000}s</span>
+          <button
+            onClick={onRefresh}
+            disabled={isLoading}
+            className="text-green-400 hover:text-green-300 disabled:text-gray-500"
+          >
+            {isLoading ? "Refreshing..." : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mb-3 text-xs text-red-400">Last refresh failed: {error}</div>}
+
+      <div className="grid grid-cols-4 gap-3 text-xs mb-4">
+        <div className="p-2 bg-gray-700 rounded">
+          <div className="text-gray-400">Threshold</div>
+          <div className="text-white font-semibold">{info.threshold} of {info.owners.length}</div>
+        </div>
+        <div className="p-2 bg-gray-700 rounded">
+          <div className="text-gray-400">Nonce</div>
+          <div className="text-white font-semibold">{info.nonce}</div>
+        </div>
+        <div className="p-2 bg-gray-700 rounded col-span-2">
+          <div className="text-gray-400">ETH</div>
+          <div className="text-white font-semibold">{ethers.formatEther(info.balance)}</div>
+        </div>
+        {info.tokens.map(token => (
+          <div key={token.symbol} className="p-2 bg-gray-700 rounded" title={token.address || undefined}>
+            <div className="text-gray-400">{token.symbol}</div>
+            {token.error ? (
+              <div className="text-yellow-300">{token.error}</div>
+            ) : (
+              <div className="text-white font-semibold break-all">{token.formatted}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 text-xs">
+        <div>
+          <div className="text-gray-400 mb-1">Owners</div>
+          <AddressList addresses={info.owners} empty="None" />
+        </div>
+        <div>
+          <div className="text-gray-400 mb-1">Modules</div>
+          <AddressList addresses={info.modules} empty="None enabled" />
+          {info.hasMoreModules && <div className="text-yellow-300">More modules not shown</div>}
+        </div>
+        <div className="space-y-2">
+          <div>
+            <div className="text-gray-400 mb-1">Guard</div>
+            <AddressList addresses={info.guard ? [info.guard] : []} empty="None" />
+          </div>
+          <div>
+            <div className="text-gray-400 mb-1">Fallback handler</div>
+            <AddressList addresses={info.fallbackHandler ? [info.fallbackHandler] : []} empty="None" />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SafeDashboard.propTypes = {
+  info: PropTypes.shape({
+    version: PropTypes.string,
+    blockNumber: PropTypes.number,
+    threshold: PropTypes.number,
+    nonce: PropTypes.number,
+    owners: PropTypes.arrayOf(PropTypes.string),
+    modules: PropTypes.arrayOf(PropTypes.string),
+    hasMoreModules: PropTypes.bool,
+    guard: PropTypes.string,
+    fallbackHandler: PropTypes.string,
+    balance: PropTypes.oneOfType([PropTypes.string, PropTypes.bigint]),
+    tokens: PropTypes.arrayOf(PropTypes.object)
+  }),
+  isLoading: PropTypes.bool,
+  error: PropTypes.string,
+  onRefresh: PropTypes.func.isRequired
+};
+
+export default SafeDashboard;
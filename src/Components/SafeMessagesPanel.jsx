@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from "react";
+import { MESSAGE_KINDS, parseMessageInput, hasSignedMessage } from "../Helper/SafeMessages.js";
+import PropTypes from "prop-types";
+
+const EXAMPLE_TYPED_DATA = JSON.stringify({
+  domain: { name: "Example", version: "1", chainId: 11155111 },
+  types: { Mail: [{ name: "contents", type: "string" }] },
+  primaryType: "Mail",
+  message: { contents: "Hello" }
+}, null, 2);
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Off-chain Safe messages (EIP-1271): create and sign a message, add signatures from other owners,
+// and check the combined signature with isValidSignature on the Safe
+function SafeMessagesPanel({ reloadKey, threshold, signerAddress, onLoad, onCreate, onConfirm, onVerify }) {
+  const [kind, setKind] = useState("text");
+  const [input, setInput] = useState("");
+  const [messages, setMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [busyMessages, setBusyMessages] = useState(new Set());
+  const [verifications, setVerifications] = useState({});
+  const [status, setStatus] = useState("");
+  const [loadCount, setLoadCount] = useState(0);
+
+  const parsed = input ? parseMessageInput(input, kind) : { message: null, error: null };
+
+  // isCancelled tells a load that a newer one replaced it, so its result is dropped
+  const loadMessages = useCallback(async (isCancelled) => {
+    setIsLoading(true);
+    try {
+      const response = await onLoad();
+      if (!isCancelled()) setMessages(response.results || []);
+    } catch (loadError) {
+      console.error('Error loading Safe messages:', loadError);
+      if (!isCancelled()) {
+        setMessages([]);
+        setStatus(`Error loading messages: ${loadError.message}`);
+      }
+    } finally {
+      if (!isCancelled()) setIsLoading(false);
+    }
+  }, [onLoad]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadMessages(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey, loadCount, loadMessages]);
+
+  const reload = () => setLoadCount(count => count + 1);
+
+  const markBusy = (messageHash, isBusy) => {
+    setBusyMessages(prev => {
+      const next = new Set(prev);
+      if (isBusy) next.add(messageHash); else next.delete(messageHash);
+      return next;
+    });
+  };
+
+  const handleCreate = async () => {
+    if (!parsed.message) return;
+    setIsCreating(true);
+    setStatus("Signing message...");
+    try {
+      const messageHash = await onCreate(parsed.message);
+      setStatus(`Message created successfully: ${messageHash}`);
+      setInput("");
+      reload();
+    } catch (error) {
+      console.error('Error creating Safe message:', error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleConfirm = async (safeMessage) => {
+    markBusy(safeMessage.messageHash, true);
+    try {
+      await onConfirm(safeMessage);
+      setStatus("Signature added successfully");
+      setVerifications(prev => ({ ...prev, [safeMessage.messageHash]: null }));
+      reload();
+    } catch (error) {
+      console.error('Error signing Safe message:', error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      markBusy(safeMessage.messageHash, false);
+    }
+  };
+
+  const handleVerify = async (safeMessage) => {
+    markBusy(safeMessage.messageHash, true);
+    try {
+      const result = await onVerify(safeMessage);
+      setVerifications(prev => ({ ...prev, [safeMessage.messageHash]: result }));
+    } catch (error) {
+      console.error('Error verifying Safe message:', error);
+      setVerifications(prev => ({ ...prev, [safeMessage.messageHash]: { error: error.message } }));
+    } finally {
+      markBusy(safeMessage.messageHash, false);
+    }
+  };
+
+  const renderVerification = (result) => {
+    if (!result) return null;
+    if (result.error) {
+      return <div className="text-red-400">Verification failed: {result.error}</div>;
+    }
+    return result.isValid ? (
+      <div className="text-green-400">✓ isValidSignature accepted the combined signature</div>
+    ) : (
+      <div className="text-red-400">✕ isValidSignature rejected the combined signature</div>
+    );
+  };
+
+  return (
+    <div className="text-left space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold mb-3">New Message</h3>
+        <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs mb-3 w-fit">
+          {Object.entries(MESSAGE_KINDS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setKind(value)}
+              className={`px-3 py-1 ${kind === value ? "bg-green-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          rows={kind === "typed" ? 10 : 4}
+          placeholder={kind === "typed" ? EXAMPLE_TYPED_DATA : "Message to sign"}
+          className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+        />
+        {parsed.error && <div className="mt-1 text-xs text-red-400">{parsed.error}</div>}
+        <button
+          onClick={handleCreate}
+          disabled={!parsed.message || isCreating}
+          className={`mt-3 w-full px-6 py-3 rounded-lg font-semibold transition-all ${
+            !parsed.message || isCreating ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-green-600 hover:bg-green-700 text-white"
+          }`}
+        >
+          {isCreating ? "Creating Safe Message..." : "Sign and Create Safe Message"}
+        </button>
+      </div>
+
+      {status && (
+        <div className={`p-3 rounded-md text-sm break-all ${
+          status.includes("Error")
+            ? "bg-red-900/20 border border-red-700 text-red-300"
+            : status.includes("successfully")
+            ? "bg-green-900/20 border border-green-700 text-green-300"
+            : "bg-blue-900/20 border border-blue-700 text-blue-300"
+        }`}>
+          {status}
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Messages</h3>
+          <button onClick={reload} disabled={isLoading} className="text-sm text-green-400 hover:text-green-300">
+            {isLoading ? "Loading..." : "Refresh"}
+          </button>
+        </div>
+        {!isLoading && messages.length === 0 && (
+          <div className="text-sm text-gray-400">No messages for this Safe</div>
+        )}
+        <div className="space-y-3">
+          {messages.map(safeMessage => {
+            const confirmations = safeMessage.confirmations || [];
+            const isBusy = busyMessages.has(safeMessage.messageHash);
+            const alreadySigned = hasSignedMessage(safeMessage, signerAddress);
+            const isComplete = threshold !== null && confirmations.length >= threshold;
+            return (
+              <div key={safeMessage.messageHash} className="p-3 bg-gray-700 rounded-lg text-xs space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-400">
+                    {typeof safeMessage.message === "string" ? MESSAGE_KINDS.text : MESSAGE_KINDS.typed}
+                    {" · "}{new Date(safeMessage.created).toLocaleString()}
+                  </span>
+                  <span className={isComplete ? "text-green-400" : "text-yellow-300"}>
+                    {confirmations.length} of {threshold ?? "?"} signatures
+                  </span>
+                </div>
+                <pre className="p-2 bg-gray-800 rounded text-gray-200 whitespace-pre-wrap break-all max-h-40 overflow-auto">
+                  {typeof safeMessage.message === "string" ? safeMessage.message : JSON.stringify(safeMessage.message, null, 2)}
+                </pre>
+                <div className="font-mono text-gray-400 break-all">Hash: {safeMessage.messageHash}</div>
+                <div className="text-gray-400">
+                  Signed by: {confirmations.map(confirmation => shorten(confirmation.owner)).join(", ") || "nobody"}
+                </div>
+                {renderVerification(verifications[safeMessage.messageHash])}
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleConfirm(safeMessage)}
+                    disabled={isBusy || alreadySigned}
+                    className={`px-3 py-1 rounded ${
+                      isBusy || alreadySigned ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-green-600 hover:bg-green-700 text-white"
+                    }`}
+                  >
+                    {alreadySigned ? "Signed" : "Sign"}
+                  </button>
+                  <button
+                    onClick={() => handleVerify(safeMessage)}
+                    disabled={isBusy || confirmations.length === 0}
+                    className={`px-3 py-1 rounded ${
+                      isBusy || confirmations.length === 0 ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700 text-white"
+                    }`}
+                  >
+                    Verify
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SafeMessagesPanel.propTypes = {
+  reloadKey: PropTypes.string.isRequired,
+  threshold: PropTypes.number,
+  signerAddress: PropTypes.string,
+  onLoad: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onVerify: PropTypes.func.isRequired
+};
+
+export default SafeMessagesPanel;
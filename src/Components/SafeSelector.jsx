@@ -0,0 +1,170 @@
+import { useState } from "react";
+import { ethers } from "ethers";
+import {
+  getChainInfo,
+  formatSafeAddress,
+  loadSavedSafes,
+  saveSafe,
+  removeSavedSafe,
+  validateSafeAddress
+} from "../Helper/SafeConfig.js";
+import PropTypes from "prop-types";
+
+// Header dropdown for picking the Safe the builder operates on
+function SafeSelector({ safeAddress, chainId, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [savedSafes, setSavedSafes] = useState(() => loadSavedSafes());
+  const [newAddress, setNewAddress] = useState("");
+  const [newLabel, setNewLabel] = useState("");
+  const [isValidating, setIsValidating] = useState(false);
+  const [validationError, setValidationError] = useState("");
+
+  const chainInfo = chainId ? getChainInfo(chainId) : null;
+
+  // Validate the entered address against the connected chain, then save and select it
+  const handleAddSafe = async () => {
+    setValidationError("");
+
+    if (!window.ethereum) {
+      setValidationError("Connect a wallet to detect the chain");
+      return;
+    }
+
+    setIsValidating(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const network = await provider.getNetwork();
+      const safeInfo = await validateSafeAddress(provider, newAddress.trim());
+
+      setSavedSafes(saveSafe({
+        address: safeInfo.address,
+        chainId: Number(network.chainId),
+        label: newLabel
+      }));
+      onSelect(safeInfo.address);
+      setNewAddress("");
+      setNewLabel("");
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Error validating Safe:', error);
+      setValidationError(error.message);
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  // Select a saved vault, asking the wallet to switch chains when needed
+  const handleSelectSaved = async (safe) => {
+    setValidationError("");
+    if (chainId && safe.chainId !== chainId && window.ethereum) {
+      try {
+        await window.ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: ethers.toBeHex(safe.chainId) }]
+        });
+      } catch (error) {
+        console.error('Error switching chain:', error);
+        setValidationError(`Switch your wallet to ${getChainInfo(safe.chainId).name} to use this Safe`);
+        return;
+      }
+    }
+    onSelect(safe.address);
+    setIsOpen(false);
+  };
+
+  const handleRemoveSaved = (safe) => {
+    setSavedSafes(removeSavedSafe(safe));
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-right px-3 py-1 rounded-lg hover:bg-gray-700 transition-all"
+      >
+        <div className="text-sm text-gray-300 font-mono">{formatSafeAddress(safeAddress, chainId)}</div>
+        <div className="text-xs text-gray-400">
+          {chainInfo ? chainInfo.name : "Chain not detected"} ▾
+        </div>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 p-4 bg-gray-800 border border-gray-600 rounded-lg shadow-lg z-20 text-left">
+          <h4 className="text-sm font-semibold text-gray-200 mb-3">Saved Vaults</h4>
+          {savedSafes.length === 0 ? (
+            <p className="text-xs text-gray-400 mb-4">No saved vaults yet</p>
+          ) : (
+            <div className="space-y-2 mb-4 max-h-60 overflow-y-auto">
+              {savedSafes.map((safe) => {
+                const isActive = safe.address.toLowerCase() === safeAddress.toLowerCase() && safe.chainId === chainId;
+                return (
+                  <div
+                    key={`${safe.chainId}:${safe.address}`}
+                    className={`flex items-center justify-between p-2 rounded border ${
+                      isActive ? "border-green-500 bg-green-500/10" : "border-gray-600"
+                    }`}
+                  >
+                    <button onClick={() => handleSelectSaved(safe)} className="flex-1 text-left">
+                      <div className="text-sm text-gray-200">{safe.label || "Unnamed Safe"}</div>
+                      <div className="text-xs text-gray-400 font-mono break-all">
+                        {getChainInfo(safe.chainId).shortName}:{safe.address}
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => handleRemoveSaved(safe)}
+                      className="ml-2 text-red-400 hover:text-red-300 text-xs"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <h4 className="text-sm font-semibold text-gray-200 mb-2">Add Safe</h4>
+          <div className="space-y-2">
+            <input
+              type="text"
+              value={newAddress}
+              onChange={(e) => setNewAddress(e.target.value)}
+              placeholder="Safe address (0x...)"
+              className="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              placeholder="Label (optional)"
+              className="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-white text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            <button
+              onClick={handleAddSafe}
+              disabled={isValidating || !newAddress.trim()}
+              className={`w-full px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+                isValidating || !newAddress.trim()
+                  ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                  : "bg-green-600 hover:bg-green-700 text-white"
+              }`}
+            >
+              {isValidating ? "Validating..." : "Validate & Use Safe"}
+            </button>
+            {validationError && (
+              <div className="p-2 rounded-md text-xs bg-red-900/20 border border-red-700 text-red-300">
+                {validationError}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+SafeSelector.propTypes = {
+  safeAddress: PropTypes.string,
+  chainId: PropTypes.number,
+  onSelect: PropTypes.func.isRequired
+};
+
+export default SafeSelector;
@@ -0,0 +1,87 @@
+import EthValueInput from "./EthValueInput.jsx";
+import PropTypes from "prop-types";
+
+// Send ETH mode: a plain ETH transfer from the Safe. `validation` is the buildRawCall result for `values`.
+function SendEthForm({ values, onChange, validation, safeBalance, onPropose, onAddToBatch, isProposing, canPropose }) {
+  const { transaction, errors } = validation;
+  const hasAmount = !errors.value && transaction.value !== "0";
+  const canSubmit = validation.isValid && hasAmount;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4">Send ETH</h3>
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Recipient</label>
+          <input
+            type="text"
+            value={values.to}
+            onChange={(e) => onChange({ ...values, to: e.target.value })}
+            placeholder="0x..."
+            className={`w-full px-3 py-2 bg-gray-800 border rounded-md text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent ${
+              errors.to ? "border-red-500" : "border-gray-600"
+            }`}
+          />
+          {errors.to && <div className="mt-1 text-xs text-red-400">✕ {errors.to}</div>}
+        </div>
+        <EthValueInput
+          value={values.value}
+          units={values.valueUnits}
+          onChange={(value) => onChange({ ...values, value })}
+          onUnitsChange={(valueUnits) => onChange({ ...values, valueUnits })}
+          conversion={{ raw: transaction.value, error: errors.value || null }}
+          safeBalance={safeBalance}
+        />
+      </div>
+
+      <button
+        onClick={onPropose}
+        disabled={!canSubmit || !canPropose || isProposing}
+        className={`w-full mt-4 px-6 py-3 rounded-lg font-semibold transition-all ${
+          !canSubmit || !canPropose || isProposing
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isProposing ? "Creating Safe Transaction..." : "Create & Sign ETH Transfer"}
+      </button>
+      <button
+        onClick={onAddToBatch}
+        disabled={!canSubmit}
+        className={`w-full mt-3 px-6 py-2 rounded-lg font-medium transition-all ${
+          !canSubmit
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "border border-green-500 text-green-400 hover:bg-green-500/10"
+        }`}
+      >
+        Add to Batch
+      </button>
+    </div>
+  );
+}
+
+SendEthForm.propTypes = {
+  values: PropTypes.shape({
+    to: PropTypes.string,
+    value: PropTypes.string,
+    valueUnits: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  validation: PropTypes.shape({
+    isValid: PropTypes.bool,
+    errors: PropTypes.shape({
+      to: PropTypes.string,
+      value: PropTypes.string
+    }),
+    transaction: PropTypes.shape({
+      value: PropTypes.string
+    })
+  }).isRequired,
+  safeBalance: PropTypes.string,
+  onPropose: PropTypes.func.isRequired,
+  onAddToBatch: PropTypes.func.isRequired,
+  isProposing: PropTypes.bool,
+  canPropose: PropTypes.bool
+};
+
+export default SendEthForm;
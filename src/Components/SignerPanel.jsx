@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { SIGN_INPUT_KINDS, SIGNING_METHODS, getSigningMethods, prepareSignRequest, recoverSigner, signWithWallet } from "../Helper/Sign.js";
+
+const PLACEHOLDERS = {
+  hash: "0x... (32 bytes)",
+  text: "Message to sign",
+  typed: '{ "domain": { ... }, "types": { ... }, "primaryType": "...", "message": { ... } }'
+};
+
+// Sign a hash, message or EIP-712 payload with the connected wallet, and recover the signer
+// of any signature pasted for the same input
+function SignerPanel() {
+  const [kind, setKind] = useState("hash");
+  const [method, setMethod] = useState("personal_sign");
+  const [input, setInput] = useState("");
+  const [signature, setSignature] = useState("");
+  const [signer, setSigner] = useState(null);
+  const [isSigning, setIsSigning] = useState(false);
+  const [error, setError] = useState("");
+
+  const request = { input, kind, method };
+  const prepared = input ? prepareSignRequest(request) : null;
+
+  let recovered = null;
+  let recoverError = "";
+  if (prepared && !prepared.error && signature.trim()) {
+    try {
+      recovered = recoverSigner(request, signature.trim());
+    } catch (recoveryError) {
+      recoverError = recoveryError.shortMessage || recoveryError.message;
+    }
+  }
+
+  const handleKindChange = (nextKind) => {
+    setKind(nextKind);
+    setMethod(getSigningMethods(nextKind).includes("personal_sign") ? "personal_sign" : getSigningMethods(nextKind)[0]);
+    setSignature("");
+    setSigner(null);
+  };
+
+  const handleSign = async () => {
+    setIsSigning(true);
+    setError("");
+    try {
+      const result = await signWithWallet(request);
+      setSignature(result.signature);
+      setSigner(result.signer);
+    } catch (signError) {
+      console.error('Error signing:', signError);
+      setError(signError.message);
+    } finally {
+      setIsSigning(false);
+    }
+  };
+
+  const canSign = prepared && !prepared.error && !isSigning;
+
+  return (
+    <div className="text-left space-y-4">
+      <h3 className="text-lg font-semibold">Signer</h3>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Input</label>
+          <select
+            value={kind}
+            onChange={(e) => handleKindChange(e.target.value)}
+            className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+          >
+            {Object.entries(SIGN_INPUT_KINDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Method</label>
+          <select
+            value={method}
+            onChange={(e) => {
+              setMethod(e.target.value);
+              setSigner(null);
+            }}
+            className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+          >
+            {getSigningMethods(kind).map(value => <option key={value} value={value}>{SIGNING_METHODS[value].label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {method === "eth_sign" && (
+        <div className="p-2 rounded bg-yellow-900/20 border border-yellow-700 text-xs text-yellow-300">
+          ⚠️ eth_sign signs the raw hash, which can be a transaction hash. Most wallets disable it.
+        </div>
+      )}
+
+      <textarea
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value);
+          setSigner(null);
+        }}
+        rows={kind === "typed" ? 10 : 3}
+        placeholder={PLACEHOLDERS[kind]}
+        className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+      />
+      {prepared && prepared.error && <div className="text-xs text-red-400">{prepared.error}</div>}
+      {prepared && !prepared.error && (
+        <div className="text-xs text-gray-400 font-mono break-all">Digest: {prepared.digest}</div>
+      )}
+
+      <button
+        onClick={handleSign}
+        disabled={!canSign}
+        className={`w-full px-6 py-3 rounded-lg font-semibold transition-all ${
+          !canSign ? "bg-gray-600 text-gray-400 cursor-not-allowed" : "bg-green-600 hover:bg-green-700 text-white"
+        }`}
+      >
+        {isSigning ? "Waiting for wallet..." : `Sign with ${SIGNING_METHODS[method].label}`}
+      </button>
+      {error && <div className="p-3 rounded-md text-sm bg-red-900/20 border border-red-700 text-red-300">Error: {error}</div>}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Signature</label>
+        <textarea
+          value={signature}
+          onChange={(e) => {
+            setSignature(e.target.value);
+            setSigner(null);
+          }}
+          rows={2}
+          placeholder="Sign above, or paste a signature to recover its signer"
+          className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white font-mono text-sm"
+        />
+        {recoverError && <div className="mt-1 text-xs text-red-400">Cannot recover the signer: {recoverError}</div>}
+        {recovered && (
+          <div className="mt-2 p-3 bg-gray-700 rounded-lg text-xs space-y-1">
+            <div>Recovered signer: <span className="font-mono">{recovered}</span></div>
+            {signer && (
+              recovered === signer ? (
+                <div className="text-green-400">✓ Matches the wallet that signed ({signer})</div>
+              ) : (
+                <div className="text-red-400">✕ Does not match the wallet that signed ({signer})</div>
+              )
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SignerPanel;
@@ -0,0 +1,119 @@
+import PropTypes from "prop-types";
+
+// Pre-sign simulation settings and the report of the last simulation run on the local Hardhat node
+function SimulationPanel({ settings, onSettingsChange, simulation, onDismiss }) {
+  const result = simulation && simulation.result;
+
+  return (
+    <div className="text-left">
+      <label className="flex items-center space-x-2 text-sm text-gray-300 mb-2">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+        />
+        <span>Simulate before signing</span>
+      </label>
+      {settings.enabled && (
+        <input
+          type="text"
+          value={settings.rpcUrl}
+          onChange={(e) => onSettingsChange({ ...settings, rpcUrl: e.target.value })}
+          placeholder="Hardhat node RPC URL"
+          className="w-full px-2 py-1 mb-3 bg-gray-800 border border-gray-600 rounded-md text-white text-xs font-mono"
+        />
+      )}
+
+      {simulation && (
+        <div className="p-3 bg-gray-700 rounded-lg text-xs space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-gray-200">{simulation.label}</span>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white">✕</button>
+          </div>
+
+          {simulation.isRunning && <div className="text-blue-300">Simulating...</div>}
+
+          {simulation.error && (
+            <div className="p-2 rounded bg-red-900/20 border border-red-700 text-red-300">
+              Simulation could not run: {simulation.error}
+            </div>
+          )}
+
+          {result && (
+            <>
+              <div className={`p-2 rounded border ${
+                result.success
+                  ? "bg-green-900/20 border-green-700 text-green-300"
+                  : "bg-red-900/20 border-red-700 text-red-300"
+              }`}>
+                {result.success ? "✅ Succeeds" : `❌ Reverts: ${result.revertReason || "unknown reason"}`}
+                {result.gasUsed !== null && (
+                  <div className="mt-1">Gas used: {result.gasUsed.toString()}</div>
+                )}
+              </div>
+
+              {result.requestedNonce !== result.simulatedNonce && (
+                <div className="text-yellow-300">
+                  Simulated as the next transaction (nonce {result.simulatedNonce}), not at nonce {result.requestedNonce}
+                </div>
+              )}
+
+              {result.balanceChanges.length > 0 && (
+                <div>
+                  <div className="text-gray-400 mb-1">Balance changes:</div>
+                  {result.balanceChanges.map(change => (
+                    <div key={`${change.address}-${change.token}`} className="flex justify-between">
+                      <span className="font-mono">{change.label || `${change.address.slice(0, 6)}...${change.address.slice(-4)}`}</span>
+                      <span className={change.delta < 0n ? "text-red-300" : "text-green-300"}>
+                        {change.delta > 0n ? "+" : ""}{change.formatted} {change.token}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {result.events.length > 0 && (
+                <div>
+                  <div className="text-gray-400 mb-1">Events:</div>
+                  {result.events.map((event, index) => (
+                    <div key={index} className="mb-1">
+                      <span className="text-gray-200">{event.contractName || `${event.address.slice(0, 6)}...${event.address.slice(-4)}`}</span>
+                      <span className="text-gray-400">.</span>
+                      <span className="text-green-300">{event.name || `unknown (${event.topics[0] ? event.topics[0].slice(0, 10) : "anonymous"})`}</span>
+                      {event.args && event.name !== "SafeMultiSigTransaction" && (
+                        <div className="pl-3 text-gray-400 break-all">
+                          {event.args.map(arg => `${arg.name}: ${arg.value}`).join(", ")}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="text-gray-500">
+                Executed by owner {result.executor.slice(0, 6)}...{result.executor.slice(-4)} on a node snapshot with the threshold lowered to 1
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+SimulationPanel.propTypes = {
+  settings: PropTypes.shape({
+    enabled: PropTypes.bool,
+    rpcUrl: PropTypes.string
+  }).isRequired,
+  onSettingsChange: PropTypes.func.isRequired,
+  simulation: PropTypes.shape({
+    label: PropTypes.string,
+    result: PropTypes.object,
+    error: PropTypes.string,
+    isRunning: PropTypes.bool
+  }),
+  onDismiss: PropTypes.func.isRequired
+};
+
+export default SimulationPanel;
@@ -0,0 +1,352 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { ethers } from "ethers";
+import DecodedCall from "./DecodedCall.jsx";
+import { decodeSafeTransaction } from "../Helper/TransactionDecoder.js";
+import PropTypes from "prop-types";
+
+const PAGE_SIZE = 10;
+
+// Service page size while scanning for transactions that match the decoded-call filters
+const SCAN_BATCH_SIZE = 50;
+
+// Transactions scanned at most for one page, so a rare match cannot walk the whole history at once
+const MAX_SCAN_PER_PAGE = 500;
+
+// Typing in the function and signer filters settles before the history is scanned again
+const FILTER_DEBOUNCE_MS = 400;
+
+// Status filters as Transaction Service query parameters. Pending only covers nonces that are not used yet:
+// unexecuted transactions below the Safe nonce were replaced and can never execute
+function statusQuery(statusFilter, safeNonce) {
+  switch (statusFilter) {
+    case "executed":
+      return { executed: true, failed: false };
+    case "failed":
+      return { executed: true, failed: true };
+    case "pending":
+      return safeNonce === null || safeNonce === undefined ? { executed: false } : { executed: false, nonceGte: safeNonce };
+    default:
+      return {};
+  }
+}
+
+// Paginated Safe history from the Transaction Service: multisig transactions and incoming transfers
+function TransactionHistory({ reloadKey, safeAddress, safeNonce, contracts, decimals, onLoadPage }) {
+  const [kind, setKind] = useState("multisig");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [tokenFilter, setTokenFilter] = useState("");
+  const [functionFilter, setFunctionFilter] = useState("");
+  const [signerFilter, setSignerFilter] = useState("");
+  const [appliedFunctionFilter, setAppliedFunctionFilter] = useState("");
+  const [appliedSignerFilter, setAppliedSignerFilter] = useState("");
+  const [results, setResults] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [scan, setScan] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedFunctionFilter(functionFilter.trim().toLowerCase());
+      setAppliedSignerFilter(signerFilter.trim().toLowerCase());
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [functionFilter, signerFilter]);
+
+  const tokenAddress = tokenFilter
+    ? (contracts.find(contract => contract.name === tokenFilter) || {}).address || null
+    : null;
+
+  // Incoming transfers are filtered by token on the service. The contract, function and signer filters of
+  // multisig transactions need the decoded calls, batches included, so they are matched here
+  const scansHistory = kind === "multisig" && Boolean(tokenAddress || appliedFunctionFilter || appliedSignerFilter);
+
+  const matchesFilters = useCallback((entry) => {
+    const decoded = decodeSafeTransaction(entry, { decimals, safeAddress });
+    const calls = [decoded, ...decoded.innerCalls];
+
+    if (tokenAddress && !calls.some(call => call.to && call.to.toLowerCase() === tokenAddress.toLowerCase())) {
+      return false;
+    }
+    if (appliedFunctionFilter && !calls.some(call =>
+      call.functionName && call.functionName.toLowerCase().includes(appliedFunctionFilter)
+    )) {
+      return false;
+    }
+    if (appliedSignerFilter) {
+      const signers = [
+        entry.proposer,
+        entry.executor,
+        ...(entry.confirmations || []).map(confirmation => confirmation.owner)
+      ].filter(Boolean).map(address => address.toLowerCase());
+      if (!signers.some(address => address.includes(appliedSignerFilter))) return false;
+    }
+    return true;
+  }, [decimals, safeAddress, tokenAddress, appliedFunctionFilter, appliedSignerFilter]);
+
+  // Back to the first page whenever the query changes
+  const queryKey = JSON.stringify([reloadKey, kind, statusFilter, safeNonce, tokenAddress, appliedFunctionFilter, appliedSignerFilter]);
+  const [pageState, setPageState] = useState({ queryKey, page: 0 });
+  const page = pageState.queryKey === queryKey ? pageState.page : 0;
+  const goToPage = (nextPage) => setPageState({ queryKey, page: nextPage });
+
+  // Service offset each scanned page starts at, for the current query
+  const scanOffsets = useRef({ queryKey: null, offsets: [0] });
+
+  useEffect(() => {
+    let cancelled = false;
+    if (scanOffsets.current.queryKey !== queryKey) {
+      scanOffsets.current = { queryKey, offsets: [0] };
+    }
+    const query = kind === "multisig"
+      ? { kind, ...statusQuery(statusFilter, safeNonce) }
+      : { kind, ...(tokenAddress ? { tokenAddress } : {}) };
+
+    // Collect a page of matching transactions, fetching service pages until it is full
+    const scanPage = async () => {
+      const start = scanOffsets.current.offsets[page] ?? 0;
+      const matches = [];
+      let offset = start;
+      let count = 0;
+      while (matches.length < PAGE_SIZE && offset - start < MAX_SCAN_PER_PAGE) {
+        const response = await onLoadPage({ ...query, limit: SCAN_BATCH_SIZE, offset });
+        if (cancelled) return null;
+        const entries = response.results || [];
+        count = response.count || 0;
+        let index = 0;
+        for (; index < entries.length && matches.length < PAGE_SIZE; index++) {
+          if (matchesFilters(entries[index])) matches.push(entries[index]);
+        }
+        offset += index;
+        if (entries.length === 0 || offset >= count) break;
+      }
+      scanOffsets.current.offsets[page + 1] = offset;
+      return { results: matches, count, scan: { start, end: offset } };
+    };
+
+    const loadPage = async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const response = scansHistory
+          ? await scanPage()
+          : await onLoadPage({ ...query, limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+        if (!cancelled && response) {
+          setResults(response.results || []);
+          setTotalCount(response.count || 0);
+          setScan(response.scan || null);
+        }
+      } catch (loadError) {
+        console.error('Error loading transaction history:', loadError);
+        if (!cancelled) {
+          setResults([]);
+          setTotalCount(0);
+          setScan(null);
+          setError(loadError.message);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [queryKey, page, kind, statusFilter, safeNonce, tokenAddress, scansHistory, matchesFilters, onLoadPage]);
+
+  const pageCount = Math.max(1, Math.ceil(totalCount / PAGE_SIZE));
+  const hasOlder = scan ? scan.end < totalCount : page + 1 < pageCount;
+
+  const renderStatus = (entry) => {
+    if (!entry.isExecuted && safeNonce !== null && safeNonce !== undefined && Number(entry.nonce) < safeNonce) {
+      return <span className="px-2 py-0.5 rounded bg-gray-700 border border-gray-600 text-gray-300">Replaced</span>;
+    }
+    if (!entry.isExecuted) {
+      return <span className="px-2 py-0.5 rounded bg-yellow-900/30 border border-yellow-700 text-yellow-300">Pending</span>;
+    }
+    if (entry.isSuccessful === false) {
+      return <span className="px-2 py-0.5 rounded bg-red-900/30 border border-red-700 text-red-300">Failed</span>;
+    }
+    return <span className="px-2 py-0.5 rounded bg-green-900/30 border border-green-700 text-green-300">Executed</span>;
+  };
+
+  const renderMultisigEntry = (entry) => {
+    const decoded = decodeSafeTransaction(entry, { decimals, safeAddress });
+    const confirmations = entry.confirmations || [];
+    const date = entry.executionDate || entry.submissionDate;
+
+    return (
+      <div key={entry.safeTxHash} className="p-4 bg-gray-800 rounded-lg border border-gray-700">
+        <div className="flex items-center justify-between mb-3 text-xs">
+          <div className="flex items-center space-x-3">
+            {renderStatus(entry)}
+            <span className="text-gray-400">Nonce {String(entry.nonce)}</span>
+          </div>
+          <span className="text-gray-400">{date ? new Date(date).toLocaleString() : ''}</span>
+        </div>
+
+        <DecodedCall call={decoded} />
+
+        <div className="mt-3 grid grid-cols-2 gap-4 text-xs">
+          <div>
+            <div className="text-gray-400 mb-1">Signers ({confirmations.length}/{entry.confirmationsRequired || '?'}):</div>
+            {confirmations.map(confirmation => (
+              <div key={confirmation.owner} className="font-mono break-all">{confirmation.owner}</div>
+            ))}
+          </div>
+          <div>
+            <div className="text-gray-400 mb-1">Safe Tx Hash:</div>
+            <div className="font-mono break-all">{entry.safeTxHash}</div>
+            {entry.transactionHash && (
+              <>
+                <div className="text-gray-400 mt-2 mb-1">Execution Tx:</div>
+                <div className="font-mono break-all">{entry.transactionHash}</div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderIncomingEntry = (entry) => {
+    const tokenInfo = entry.tokenInfo;
+    const amount = entry.value
+      ? tokenInfo
+        ? `${ethers.formatUnits(entry.value, tokenInfo.decimals ?? 0)} ${tokenInfo.symbol}`
+        : `${ethers.formatEther(entry.value)} ETH`
+      : `Token #${entry.tokenId}`;
+
+    return (
+      <div key={entry.transferId} className="p-4 bg-gray-800 rounded-lg border border-gray-700 text-xs">
+        <div className="flex items-center justify-between mb-2">
+          <span className="px-2 py-0.5 rounded bg-blue-900/30 border border-blue-700 text-blue-300">
+            {entry.type === 'ETHER_TRANSFER' ? 'ETH received' : 'Token received'}
+          </span>
+          <span className="text-gray-400">
+            {entry.executionDate ? new Date(entry.executionDate).toLocaleString() : ''}
+          </span>
+        </div>
+        <div className="text-sm font-medium text-gray-200 mb-1">{amount}</div>
+        <div className="font-mono text-gray-400 break-all">from: {entry.from}</div>
+        <div className="font-mono text-gray-500 break-all mt-1">tx: {entry.transactionHash}</div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Transaction History</h3>
+        <div className="flex rounded-lg border border-gray-600 overflow-hidden text-sm">
+          {[["multisig", "Multisig"], ["incoming", "Incoming"]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setKind(value)}
+              className={`px-3 py-1 ${kind === value ? "bg-green-600 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-3 mb-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          disabled={kind !== "multisig"}
+          className="px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+        >
+          <option value="all">All statuses</option>
+          <option value="executed">Executed</option>
+          <option value="failed">Failed</option>
+          <option value="pending">Pending</option>
+        </select>
+        <select
+          value={tokenFilter}
+          onChange={(e) => setTokenFilter(e.target.value)}
+          className="px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+        >
+          <option value="">All contracts</option>
+          {contracts.map(contract => (
+            <option key={contract.name} value={contract.name}>{contract.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={functionFilter}
+          onChange={(e) => setFunctionFilter(e.target.value)}
+          disabled={kind !== "multisig"}
+          placeholder="Function"
+          className="px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm"
+        />
+        <input
+          type="text"
+          value={signerFilter}
+          onChange={(e) => setSignerFilter(e.target.value)}
+          disabled={kind !== "multisig"}
+          placeholder="Signer address"
+          className="px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white text-sm font-mono"
+        />
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md text-sm bg-red-900/20 border border-red-700 text-red-300">
+          Error: {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-400 text-sm text-center py-6">{scansHistory ? "Searching the history..." : "Loading..."}</p>
+      ) : results.length === 0 ? (
+        <p className="text-gray-400 text-sm text-center py-6">
+          {scan && hasOlder
+            ? `No match in transactions ${scan.start + 1}-${scan.end}. Continue with Older`
+            : "No transactions"}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {results.map(entry => (kind === "incoming" ? renderIncomingEntry(entry) : renderMultisigEntry(entry)))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-sm">
+        <button
+          onClick={() => goToPage(page - 1)}
+          disabled={page === 0 || isLoading}
+          className={page === 0 ? "text-gray-600" : "text-green-400 hover:text-green-300"}
+        >
+          ← Newer
+        </button>
+        <span className="text-gray-400">
+          {scan
+            ? `Page ${page + 1}: ${results.length} matching, from transactions ${Math.min(scan.start + 1, scan.end)}-${scan.end} of ${totalCount}`
+            : `Page ${page + 1} of ${pageCount} (${totalCount} total)`}
+        </span>
+        <button
+          onClick={() => goToPage(page + 1)}
+          disabled={!hasOlder || isLoading}
+          className={!hasOlder ? "text-gray-600" : "text-green-400 hover:text-green-300"}
+        >
+          Older →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+TransactionHistory.propTypes = {
+  reloadKey: PropTypes.string.isRequired,
+  safeAddress: PropTypes.string,
+  safeNonce: PropTypes.number,
+  contracts: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    address: PropTypes.string
+  })).isRequired,
+  decimals: PropTypes.object,
+  onLoadPage: PropTypes.func.isRequired
+};
+
+export default TransactionHistory;
@@ -0,0 +1,36 @@
+// Minimal Safe (GnosisSafe / SafeL2) ABI covering the calls the app makes directly
+// and the owner management calls it proposes
+export const ABI = [
+	"function VERSION() view returns (string)",
+	"function getOwners() view returns (address[])",
+	"function getThreshold() view returns (uint256)",
+	"function nonce() view returns (uint256)",
+	"function isOwner(address owner) view returns (bool)",
+	"function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)",
+	"function addOwnerWithThreshold(address owner, uint256 _threshold)",
+	"function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+	"function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+	"function changeThreshold(uint256 _threshold)",
+	"function approvedHashes(address owner, bytes32 hash) view returns (uint256)",
+	"function approveHash(bytes32 hashToApprove)",
+	"function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)",
+	"event SafeMultiSigTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures, bytes additionalInfo)",
+	"event ApproveHash(bytes32 indexed approvedHash, address indexed owner)",
+	"event ExecutionSuccess(bytes32 indexed txHash, uint256 payment)",
+	"event ExecutionFailure(bytes32 indexed txHash, uint256 payment)",
+	"event AddedOwner(address indexed owner)",
+	"event RemovedOwner(address indexed owner)",
+	"event ChangedThreshold(uint256 threshold)"
+];
+
+// Storage slot of the threshold in the Safe singleton layout
+export const THRESHOLD_STORAGE_SLOT = 4;
+
+// keccak256("guard_manager.guard.address"), where GuardManager stores the transaction guard
+export const GUARD_STORAGE_SLOT = "0x4a204f620c8c5ccdca3fd54d003badd85ba500436a431f0cbda4f558c93c34c8";
+
+// keccak256("fallback_manager.handler.address"), where FallbackManager stores the fallback handler
+export const FALLBACK_HANDLER_STORAGE_SLOT = "0x6c9a6c4a39284e37ed1cf53d337577d14212a4870fb976a4366c693b939918d5";
+
+// First and last entry of the Safe's linked lists (owners, modules)
+export const SENTINEL_ADDRESS = "0x0000000000000000000000000000000000000001";
@@ -0,0 +1,21 @@
+// Safe library deployments from safe-deployments. Each deployment type uses the same address on every chain:
+// canonical for v1.3.0 and v1.4.1, and eip155 for v1.3.0 on chains that only accept replay-protected deployments
+export const MULTISEND_DEPLOYMENTS = [
+	{ name: "MultiSend 1.3.0", address: "0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761", callOnly: false },
+	{ name: "MultiSend 1.3.0 (eip155)", address: "0x998739BFdAAdde7C933B942a68053933098f9EDa", callOnly: false },
+	{ name: "MultiSendCallOnly 1.3.0", address: "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D", callOnly: true },
+	{ name: "MultiSendCallOnly 1.3.0 (eip155)", address: "0xA1dabEF33b3B82c7814B6D82A79e50F4AC44102B", callOnly: true },
+	{ name: "MultiSend 1.4.1", address: "0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526", callOnly: false },
+	{ name: "MultiSendCallOnly 1.4.1", address: "0x9641d764fc13c8B624c04430C7356C1C7C8102e2", callOnly: true }
+];
+
+// Every Safe library a Safe may delegate-call: the MultiSend deployments, SignMessageLib and CreateCall
+export const SAFE_LIBRARY_DEPLOYMENTS = [
+	...MULTISEND_DEPLOYMENTS,
+	{ name: "SignMessageLib 1.3.0", address: "0xA65387F16B013cf2Af4605Ad8aA5ec25a2cbA3a2" },
+	{ name: "SignMessageLib 1.3.0 (eip155)", address: "0x98FFBBF51bb33A056B08ddf711f289936AafF717" },
+	{ name: "CreateCall 1.3.0", address: "0x7cbB62EaA69F79e6873cD1ecB2392971036cFAa4" },
+	{ name: "CreateCall 1.3.0 (eip155)", address: "0xB19D6FFc2182150F8Eb585b79D4ABcd7C5640A9d" },
+	{ name: "SignMessageLib 1.4.1", address: "0xd53cd0aB83D845Ac265BE939c57F53AD838012c9" },
+	{ name: "CreateCall 1.4.1", address: "0x9b35Af71d77eaf8d7e40252370304687390A1A52" }
+];
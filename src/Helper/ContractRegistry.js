@@ -0,0 +1,174 @@
+import { ethers } from 'ethers';
+import { Address as USDCAddress, ABI as USDCABI } from '../Contracts/USDC.js';
+import { Address as ZUSDAddress, ABI as ZUSDABI } from '../Contracts/ZUSD.js';
+import { Address as DCOLockAddress, ABI as DCOLockABI } from '../Contracts/DCOLock.js';
+import { DEFAULT_CHAIN_ID } from './SafeConfig.js';
+
+/**
+ * Contract Registry
+ *
+ * Single source for every contract the builder and decoders know about, per chain:
+ * - Built-in contracts from src/Contracts, deployed on Sepolia
+ * - Custom contracts imported by the user (address + JSON or human-readable ABI),
+ *   persisted in localStorage with the chain they were imported on
+ */
+
+const CUSTOM_CONTRACTS_KEY = 'customContracts';
+
+// Chain the contracts are read for when no chain is passed, e.g. by the decoders.
+// Set by the app whenever the wallet's network changes
+let activeChainId = null;
+
+/**
+ * Set the chain whose contracts the registry serves by default
+ * @param {number|null} chainId - Connected chain ID, null while unknown
+ */
+export function setActiveChain(chainId) {
+  activeChainId = chainId === null || chainId === undefined ? null : Number(chainId);
+}
+
+// Every saved custom contract, whatever its chain. Entries saved before contracts were tied to a chain
+// belong to the app's original chain
+function loadAllCustomContracts() {
+  if (typeof localStorage === 'undefined') return [];
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_CONTRACTS_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(contract => contract && contract.name && ethers.isAddress(contract.address) && Array.isArray(contract.abi))
+      .map(contract => ({ ...contract, chainId: Number.isInteger(contract.chainId) ? contract.chainId : DEFAULT_CHAIN_ID, isCustom: true }));
+  } catch (error) {
+    console.error('Error parsing custom contracts:', error);
+    localStorage.removeItem(CUSTOM_CONTRACTS_KEY);
+    return [];
+  }
+}
+
+export const BUILT_IN_CONTRACTS = [
+  { name: 'USDC', address: USDCAddress, abi: USDCABI, chainId: DEFAULT_CHAIN_ID, isCustom: false },
+  { name: 'ZUSD', address: ZUSDAddress, abi: ZUSDABI, chainId: DEFAULT_CHAIN_ID, isCustom: false },
+  { name: 'DCOLock', address: DCOLockAddress, abi: DCOLockABI, chainId: DEFAULT_CHAIN_ID, isCustom: false }
+];
+
+// Contracts deployed on the chain; none while the chain is unknown
+function filterByChain(contracts, chainId) {
+  if (chainId === null || chainId === undefined) return [];
+  return contracts.filter(contract => contract.chainId === Number(chainId));
+}
+
+/**
+ * Built-in contracts deployed on a chain
+ * @param {number} chainId - Chain ID, the active chain by default. None are returned while it is unknown
+ * @returns {Array} Array of { name, address, abi, chainId, isCustom }
+ */
+export function loadBuiltInContracts(chainId = activeChainId) {
+  return filterByChain(BUILT_IN_CONTRACTS, chainId);
+}
+
+/**
+ * Parse a pasted ABI into a JSON ABI array
+ * Accepts a JSON ABI, a Hardhat/Foundry artifact with an "abi" field, or one
+ * human-readable signature per line (e.g. "function transfer(address to, uint256 amount)")
+ * @param {string} abiText - Raw ABI text
+ * @returns {Array} JSON ABI fragments
+ */
+export function parseAbiInput(abiText) {
+  const text = (abiText || '').trim();
+  if (!text) {
+    throw new Error('ABI is empty');
+  }
+
+  let fragments;
+  if (text.startsWith('[') || text.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON ABI: ${error.message}`);
+    }
+    fragments = Array.isArray(parsed) ? parsed : parsed.abi;
+    if (!Array.isArray(fragments)) {
+      throw new Error('JSON must be an ABI array or an artifact with an "abi" field');
+    }
+  } else {
+    fragments = text
+      .split('\n')
+      .map(line => line.trim().replace(/[;,]$/, ''))
+      .filter(line => line && !line.startsWith('//'));
+  }
+
+  let iface;
+  try {
+    iface = new ethers.Interface(fragments);
+  } catch (error) {
+    throw new Error(`Invalid ABI: ${error.shortMessage || error.message}`);
+  }
+
+  const abi = JSON.parse(iface.formatJson());
+  if (!abi.some(item => item.type === 'function')) {
+    throw new Error('ABI does not contain any functions');
+  }
+  return abi;
+}
+
+/**
+ * Load the custom contracts saved in localStorage for a chain
+ * @param {number} chainId - Chain ID, the active chain by default. None are returned while it is unknown
+ * @returns {Array} Array of { name, address, abi, chainId, isCustom }
+ */
+export function loadCustomContracts(chainId = activeChainId) {
+  return filterByChain(loadAllCustomContracts(), chainId);
+}
+
+/**
+ * Add or replace a custom contract (matched by name on its chain)
+ * @param {Object} contract - { name, address, abi, chainId }
+ * @returns {Array} Updated list of custom contracts on that chain
+ */
+export function saveCustomContract({ name, address, abi, chainId }) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Contract name is required');
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(trimmedName)) {
+    throw new Error('Contract name may only contain letters, numbers, "-" and "_"');
+  }
+  if (BUILT_IN_CONTRACTS.some(contract => contract.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error(`"${trimmedName}" is a built-in contract name`);
+  }
+  if (!ethers.isAddress(address)) {
+    throw new Error('Invalid contract address');
+  }
+  if (!Number.isInteger(chainId)) {
+    throw new Error('Connect a wallet to save the contract for its network');
+  }
+
+  const contracts = loadAllCustomContracts()
+    .filter(contract => !(contract.name === trimmedName && contract.chainId === chainId));
+  contracts.push({ name: trimmedName, address: ethers.getAddress(address), abi, chainId, isCustom: true });
+  localStorage.setItem(CUSTOM_CONTRACTS_KEY, JSON.stringify(contracts));
+  return loadCustomContracts(chainId);
+}
+
+/**
+ * Remove a custom contract by name from a chain
+ * @param {string} name - Contract name
+ * @param {number} chainId - Chain ID, the active chain by default
+ * @returns {Array} Updated list of custom contracts on that chain
+ */
+export function removeCustomContract(name, chainId = activeChainId) {
+  const contracts = loadAllCustomContracts()
+    .filter(contract => !(contract.name === name && contract.chainId === Number(chainId)));
+  localStorage.setItem(CUSTOM_CONTRACTS_KEY, JSON.stringify(contracts));
+  return loadCustomContracts(chainId);
+}
+
+/**
+ * Every contract known to the app on a chain, built-ins first
+ * @param {number} chainId - Chain ID, the active chain by default
+ * @returns {Array} Array of { name, address, abi, chainId, isCustom }
+ */
+export function getKnownContracts(chainId = activeChainId) {
+  return [...loadBuiltInContracts(chainId), ...loadCustomContracts(chainId)];
+}
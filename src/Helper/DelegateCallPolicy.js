@@ -0,0 +1,90 @@
+import { ethers } from 'ethers';
+import { SAFE_LIBRARY_DEPLOYMENTS } from '../Contracts/SafeLibraries.js';
+import { MULTISEND_SELECTOR, decodeMultiSendTransactions } from './TransactionDecoder.js';
+
+/**
+ * DelegateCall Policy
+ *
+ * A DelegateCall runs the target's code with the Safe's own storage and balance, so a malicious or
+ * buggy target can change the owners, the threshold, the modules or drain the Safe.
+ * DelegateCall is therefore only allowed into the libraries listed here:
+ * - The Safe libraries (MultiSend, MultiSendCallOnly, SignMessageLib, CreateCall) for v1.3.0 and v1.4.1,
+ *   in their canonical and eip155 deployments (src/Contracts/SafeLibraries.js)
+ * - Libraries the team maintains (e.g. migration libraries), added via VITE_DELEGATECALL_ALLOWLIST
+ *   in the UI or DELEGATECALL_ALLOWLIST for the CLI scripts, as comma-separated addresses
+ * A DelegateCall into MultiSend runs each call of its batch with the operation of that call, so the calls
+ * inside a multiSend(bytes) batch are checked against the same allow-list.
+ */
+
+export const DELEGATECALL_LIBRARIES = SAFE_LIBRARY_DEPLOYMENTS.map(({ name, address }) => ({ name, address }));
+
+const multiSendInterface = new ethers.Interface(['function multiSend(bytes transactions)']);
+
+export const DELEGATECALL_WARNING =
+  'DelegateCall executes the target contract\'s code inside the Safe, with full access to its storage and funds. ' +
+  'A wrong target or calldata can change the owners or threshold, or drain the Safe.';
+
+/**
+ * Allow-listed DelegateCall targets: the built-in libraries plus the team's own
+ * @param {string} extraAddresses - Comma-separated addresses, defaults to VITE_DELEGATECALL_ALLOWLIST
+ * @returns {Array} Array of { name, address }
+ */
+export function getDelegateCallAllowList(
+  extraAddresses = (import.meta.env && import.meta.env.VITE_DELEGATECALL_ALLOWLIST) || ''
+) {
+  const extra = String(extraAddresses)
+    .split(',')
+    .map(address => address.trim())
+    .filter(address => ethers.isAddress(address))
+    .map(address => ({ name: 'Team library', address: ethers.getAddress(address) }));
+  return [...DELEGATECALL_LIBRARIES, ...extra];
+}
+
+/**
+ * Find the allow-listed library at an address
+ * @param {string} address - DelegateCall target
+ * @param {Array} allowList - Defaults to getDelegateCallAllowList()
+ * @returns {Object|null} { name, address }
+ */
+export function findDelegateCallLibrary(address, allowList = getDelegateCallAllowList()) {
+  if (!address || !ethers.isAddress(address)) return null;
+  return allowList.find(library => library.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+// Calls of a multiSend(bytes) batch that is delegate-called; throws when the batch cannot be unpacked
+function getBatchCalls(tx) {
+  try {
+    const [transactions] = multiSendInterface.decodeFunctionData('multiSend', tx.data);
+    return decodeMultiSendTransactions(transactions);
+  } catch (error) {
+    throw new Error(`DelegateCall to ${tx.to} is not allowed: its multiSend batch cannot be checked (${error.message})`);
+  }
+}
+
+/**
+ * Throw unless every DelegateCall in the transactions, including the calls inside delegate-called
+ * multiSend(bytes) batches, targets an allow-listed library
+ * @param {Array} transactions - Array of { to, data, operation }
+ * @param {Array} allowList - Defaults to getDelegateCallAllowList()
+ * @returns {Array} The libraries that are delegate-called, empty when every operation is a Call
+ */
+export function assertDelegateCallsAllowed(transactions, allowList = getDelegateCallAllowList()) {
+  const libraries = [];
+  for (const tx of transactions) {
+    if (Number(tx.operation || 0) !== 1) continue;
+
+    const library = findDelegateCallLibrary(tx.to, allowList);
+    if (!library) {
+      throw new Error(`DelegateCall to ${tx.to} is not allowed: the target is not an allow-listed library`);
+    }
+    if (!libraries.includes(library)) libraries.push(library);
+
+    const data = tx.data || '0x';
+    if (data.slice(0, 10).toLowerCase() === MULTISEND_SELECTOR) {
+      assertDelegateCallsAllowed(getBatchCalls(tx), allowList)
+        .filter(inner => !libraries.includes(inner))
+        .forEach(inner => libraries.push(inner));
+    }
+  }
+  return libraries;
+}
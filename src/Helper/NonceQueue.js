@@ -0,0 +1,67 @@
+/**
+ * Nonce Queue
+ *
+ * Works out where a new proposal lands in the Safe's transaction queue:
+ * - Groups the pending transactions from the Transaction Service by nonce
+ * - Picks the next free nonce after the last queued proposal
+ * - Reports which queued proposals a nonce would replace
+ * - Reports the earlier nonces that must execute before a proposal can
+ */
+
+/**
+ * Group pending transactions by nonce
+ * @param {Array} pendingTransactions - Pending transactions from the Transaction Service
+ * @returns {Array} [{ nonce, transactions }] sorted by nonce
+ */
+export function getQueuedNonces(pendingTransactions) {
+  const queue = new Map();
+  for (const tx of pendingTransactions) {
+    const nonce = Number(tx.nonce);
+    if (!Number.isInteger(nonce)) continue;
+    if (!queue.has(nonce)) queue.set(nonce, []);
+    queue.get(nonce).push(tx);
+  }
+  return [...queue.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([nonce, transactions]) => ({ nonce, transactions }));
+}
+
+/**
+ * Next nonce that no queued proposal uses
+ * @param {number} safeNonce - Current on-chain Safe nonce
+ * @param {Array} pendingTransactions - Pending transactions from the Transaction Service
+ * @returns {number}
+ */
+export function getNextFreeNonce(safeNonce, pendingTransactions) {
+  return getQueuedNonces(pendingTransactions).reduce(
+    (next, { nonce }) => Math.max(next, nonce + 1),
+    safeNonce
+  );
+}
+
+/**
+ * Describe what proposing at a nonce means for the queue
+ * @param {number} nonce - Nonce of the new proposal
+ * @param {number} safeNonce - Current on-chain Safe nonce
+ * @param {Array} pendingTransactions - Pending transactions from the Transaction Service
+ * @returns {Object} { isUsed, replaces, blockedBy, missing }
+ *   isUsed - the nonce has already been executed on-chain
+ *   replaces - queued transactions at the same nonce; only one of them can ever execute
+ *   blockedBy - earlier queued nonces that must execute first
+ *   missing - earlier nonces with nothing proposed, which block the proposal until something is
+ */
+export function describeNonce(nonce, safeNonce, pendingTransactions) {
+  const queued = getQueuedNonces(pendingTransactions);
+  const queuedNonces = new Set(queued.map(entry => entry.nonce));
+  const missing = [];
+  for (let earlier = safeNonce; earlier < nonce; earlier++) {
+    if (!queuedNonces.has(earlier)) missing.push(earlier);
+  }
+
+  return {
+    isUsed: nonce < safeNonce,
+    replaces: (queued.find(entry => entry.nonce === nonce) || { transactions: [] }).transactions,
+    blockedBy: queued.filter(entry => entry.nonce >= safeNonce && entry.nonce < nonce).map(entry => entry.nonce),
+    missing
+  };
+}
@@ -0,0 +1,112 @@
+import { ethers } from 'ethers';
+
+/**
+ * Owner Management
+ *
+ * Owner and threshold changes for the active Safe:
+ * - Validates an add / remove / swap owner or change threshold request against the current owners
+ * - Previews the quorum before and after the change, with warnings for risky configurations
+ * - Builds the Safe transaction with the protocol kit's owner manager helpers, which also work out
+ *   the linked-list predecessor (prevOwner) the Safe contract needs for remove and swap
+ */
+
+export const OWNER_CHANGE_TYPES = {
+  add: 'Add owner',
+  remove: 'Remove owner',
+  swap: 'Swap owner',
+  threshold: 'Change threshold'
+};
+
+const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Validate an owner change and describe how it affects the quorum
+ * @param {Object} safe - { owners, threshold } as currently on-chain
+ * @param {Object} change - { type, owner, newOwner, threshold }; owner is the added, removed or replaced owner
+ * @param {string} signerAddress - Connected owner, to warn when they remove or replace themselves
+ * @returns {Object} { before, after, errors, warnings } where before/after are { owners, threshold }
+ */
+export function describeQuorumChange(safe, change, signerAddress) {
+  const owners = safe.owners.map(owner => ethers.getAddress(owner));
+  const before = { owners, threshold: Number(safe.threshold) };
+  const errors = [];
+  const warnings = [];
+  const isOwner = (address) => owners.some(owner => isSameAddress(owner, address));
+  const checkAddress = (address, label) => {
+    if (!address || !ethers.isAddress(address)) {
+      errors.push(`${label} is not a valid address`);
+      return false;
+    }
+    if (isSameAddress(address, ethers.ZeroAddress)) {
+      errors.push(`${label} cannot be the zero address`);
+      return false;
+    }
+    return true;
+  };
+
+  let afterOwners = owners;
+  if (change.type === 'add' && checkAddress(change.owner, 'New owner')) {
+    if (isOwner(change.owner)) errors.push(`${change.owner} is already an owner`);
+    afterOwners = [...owners, ethers.getAddress(change.owner)];
+  } else if (change.type === 'remove' && checkAddress(change.owner, 'Owner')) {
+    if (!isOwner(change.owner)) errors.push(`${change.owner} is not an owner`);
+    afterOwners = owners.filter(owner => !isSameAddress(owner, change.owner));
+  } else if (change.type === 'swap' && checkAddress(change.owner, 'Old owner') && checkAddress(change.newOwner, 'New owner')) {
+    if (!isOwner(change.owner)) errors.push(`${change.owner} is not an owner`);
+    if (isOwner(change.newOwner)) errors.push(`${change.newOwner} is already an owner`);
+    afterOwners = owners.map(owner => (isSameAddress(owner, change.owner) ? ethers.getAddress(change.newOwner) : owner));
+  }
+
+  // Swapping an owner never changes the threshold
+  const threshold = change.type === 'swap' ? before.threshold : Number(change.threshold);
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    errors.push('Threshold must be a whole number of at least 1');
+  } else if (threshold > afterOwners.length) {
+    errors.push(`Threshold ${threshold} is higher than the ${afterOwners.length} owners after the change`);
+  }
+  if (change.type === 'threshold' && threshold === before.threshold) {
+    errors.push(`Threshold is already ${threshold}`);
+  }
+
+  const after = { owners: afterOwners, threshold };
+  if (errors.length === 0) {
+    if (threshold === 1 && afterOwners.length > 1) {
+      warnings.push('Any single owner will be able to execute transactions alone');
+    }
+    if (threshold === afterOwners.length && afterOwners.length > 1) {
+      warnings.push('Every owner must sign; losing a single key locks the Safe');
+    }
+    if (threshold < before.threshold) {
+      warnings.push(`Fewer signatures will be required (${before.threshold} → ${threshold})`);
+    }
+    if (signerAddress && (change.type === 'remove' || change.type === 'swap') && isSameAddress(change.owner, signerAddress)) {
+      warnings.push('You are removing your own wallet as an owner');
+    }
+  }
+
+  return { before, after, errors, warnings };
+}
+
+/**
+ * Build the Safe transaction for an owner change with the protocol kit
+ * @param {Safe} safeSdk - Protocol kit instance for the Safe
+ * @param {Object} change - Validated change, see describeQuorumChange
+ * @returns {Promise<SafeTransaction>}
+ */
+export async function createOwnerChangeTransaction(safeSdk, change) {
+  switch (change.type) {
+    case 'add':
+      return safeSdk.createAddOwnerTx({ ownerAddress: ethers.getAddress(change.owner), threshold: Number(change.threshold) });
+    case 'remove':
+      return safeSdk.createRemoveOwnerTx({ ownerAddress: ethers.getAddress(change.owner), threshold: Number(change.threshold) });
+    case 'swap':
+      return safeSdk.createSwapOwnerTx({
+        oldOwnerAddress: ethers.getAddress(change.owner),
+        newOwnerAddress: ethers.getAddress(change.newOwner)
+      });
+    case 'threshold':
+      return safeSdk.createChangeThresholdTx(Number(change.threshold));
+    default:
+      throw new Error(`Unknown owner change "${change.type}"`);
+  }
+}
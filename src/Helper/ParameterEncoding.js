@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import { AMOUNT_ARG_PATTERN } from './TransactionDecoder.js';
+
+/**
+ * Parameter Encoding
+ *
+ * Converts uint parameters typed in the builder into the exact integers that get encoded:
+ * - "human" units are scaled by the target token's on-chain decimals (1.5 USDC -> 1500000)
+ * - "raw" units are taken as the integer itself
+ * - The ETH value sent with a proposal is typed in ETH (18 decimals) or wei the same way
+ * - Anything that is not a valid number for the type fails validation instead of being passed through
+ */
+
+/**
+ * Whether an ABI type is a scalar unsigned integer
+ * @param {string} type - ABI type, e.g. uint256
+ * @returns {boolean}
+ */
+export function isUintType(type) {
+  return /^uint(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?$/.test(type);
+}
+
+/**
+ * Units a uint parameter starts in: human units for amount-like names when the token's decimals are known
+ * @param {string} name - Parameter name
+ * @param {string} type - ABI type
+ * @param {number|undefined} decimals - Token decimals, undefined when the target has no decimals()
+ * @returns {'human'|'raw'}
+ */
+export function getDefaultUnits(name, type, decimals) {
+  return isUintType(type) && decimals !== undefined && AMOUNT_ARG_PATTERN.test(name) ? 'human' : 'raw';
+}
+
+/**
+ * Convert a uint parameter to the raw integer that will be encoded
+ * @param {string} value - Value as typed
+ * @param {Object} options - { type, units, decimals }
+ * @returns {Object} { raw, error } where raw is a decimal string, or null when the value is invalid
+ */
+export function convertUintParam(value, { type, units, decimals }) {
+  const input = String(value).trim().replace(/_/g, '');
+  if (input === '') {
+    return { raw: null, error: 'Value is required' };
+  }
+
+  let raw;
+  if (units === 'human') {
+    if (decimals === undefined || decimals === null) {
+      return { raw: null, error: 'Token decimals are unknown; enter the value in raw units' };
+    }
+    if (!/^\d+(\.\d*)?$|^\.\d+$/.test(input)) {
+      return { raw: null, error: `"${value}" is not a non-negative decimal number` };
+    }
+    const fraction = input.includes('.') ? input.split('.')[1] : '';
+    if (fraction.length > decimals) {
+      return { raw: null, error: `At most ${decimals} decimal places are allowed` };
+    }
+    const normalized = input.startsWith('.') ? `0${input}` : input.endsWith('.') ? input.slice(0, -1) : input;
+    raw = ethers.parseUnits(normalized, decimals);
+  } else {
+    if (!/^\d+$/.test(input)) {
+      return { raw: null, error: `"${value}" is not a whole number; switch to human units for decimals` };
+    }
+    raw = BigInt(input);
+  }
+
+  const bits = Number(type.slice(4) || 256);
+  if (raw >= 2n ** BigInt(bits)) {
+    return { raw: null, error: `Value does not fit in ${type}` };
+  }
+
+  return { raw: raw.toString(), error: null };
+}
+
+/**
+ * Convert the ETH value of a proposal to wei
+ * @param {string} value - Value as typed, empty for no ETH
+ * @param {'eth'|'wei'} units - Units the value is typed in
+ * @returns {Object} { raw, error } where raw is the wei amount as a decimal string
+ */
+export function convertEthValue(value, units) {
+  if (String(value || '').trim() === '') {
+    return { raw: '0', error: null };
+  }
+  if (units === 'wei' && !/^\d+$/.test(String(value).trim().replace(/_/g, ''))) {
+    return { raw: null, error: `"${value}" is not a whole number of wei; switch to ETH for decimals` };
+  }
+  return convertUintParam(value, { type: 'uint256', units: units === 'eth' ? 'human' : 'raw', decimals: 18 });
+}
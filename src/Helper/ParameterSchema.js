@@ -0,0 +1,248 @@
+import { ethers } from 'ethers';
+import { isUintType, getDefaultUnits, convertUintParam, convertEthValue } from './ParameterEncoding.js';
+
+/**
+ * Parameter Schema
+ *
+ * Turns the builder's form state into arguments `iface.encodeFunctionData` accepts, walking the
+ * ABI parameter types (ethers ParamType) so nested tuples and arrays are handled like scalars:
+ * - Form values mirror the ABI shape: objects for tuples, arrays for arrays, booleans for bool
+ * - Every leaf is validated before encoding; errors are reported per path (e.g. "orders[1].amount")
+ * - Addresses must be valid (and correctly checksummed when mixed case) or a resolved ENS name
+ * - bytes / bytesN must be hex of the right length, ints must fit their type
+ * - uint leaves use the human/raw unit conversion from ParameterEncoding
+ */
+
+const ENS_NAME_PATTERN = /^([a-z0-9-]+\.)+[a-z0-9-]+$/i;
+
+/**
+ * Form key of a top-level or tuple component parameter
+ * @param {ethers.ParamType} param - ABI parameter
+ * @param {number} index - Position in the function inputs or tuple components
+ * @returns {string}
+ */
+export function getParamKey(param, index) {
+  return param.name || `arg${index}`;
+}
+
+/**
+ * Whether a value looks like an ENS name rather than a hex address
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEnsName(value) {
+  return typeof value === 'string' && !value.startsWith('0x') && ENS_NAME_PATTERN.test(value.trim());
+}
+
+/**
+ * Empty form value for a parameter: "" for scalars, false for bool, nested values for tuples and fixed arrays
+ * @param {ethers.ParamType} param - ABI parameter
+ * @returns {*}
+ */
+export function createEmptyValue(param) {
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((component, index) => [getParamKey(component, index), createEmptyValue(component)]));
+  }
+  if (param.baseType === 'array') {
+    return param.arrayLength > 0
+      ? Array.from({ length: param.arrayLength }, () => createEmptyValue(param.arrayChildren))
+      : [];
+  }
+  if (param.baseType === 'bool') {
+    return false;
+  }
+  return '';
+}
+
+/**
+ * ENS names typed into address fields, so they can be resolved before encoding
+ * @param {Array} params - ABI parameters
+ * @param {Object} values - Form values keyed by getParamKey
+ * @returns {Array} Unique ENS names
+ */
+export function collectEnsNames(params, values) {
+  const names = new Set();
+  const visit = (param, value) => {
+    if (param.baseType === 'tuple') {
+      param.components.forEach((component, index) => visit(component, (value || {})[getParamKey(component, index)]));
+    } else if (param.baseType === 'array') {
+      (value || []).forEach(item => visit(param.arrayChildren, item));
+    } else if (param.baseType === 'address' && isEnsName(value)) {
+      names.add(value.trim().toLowerCase());
+    }
+  };
+  params.forEach((param, index) => visit(param, values[getParamKey(param, index)]));
+  return [...names];
+}
+
+// Validate one leaf value, returning { value } or { error }
+function buildLeaf(param, value, path, nameHint, options) {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  if (param.baseType === 'bool') {
+    return { value: Boolean(value) };
+  }
+
+  // An empty string is a valid string argument
+  if (param.baseType === 'string') {
+    return { value: value || '' };
+  }
+
+  if (text === '' || text === undefined || text === null) {
+    return { error: 'Value is required', isEmpty: true };
+  }
+
+  if (param.baseType === 'address') {
+    if (isEnsName(text)) {
+      const resolved = options.ensResolutions[text.toLowerCase()];
+      if (resolved === undefined) return { error: `Resolving ${text}...` };
+      if (resolved === null) return { error: `${text} does not resolve to an address` };
+      return { value: resolved, resolvedFrom: text };
+    }
+    if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+      return { error: 'Not an address (0x followed by 40 hex characters) or ENS name' };
+    }
+    try {
+      return { value: ethers.getAddress(text) };
+    } catch {
+      return { error: 'Invalid address checksum; check the mixed-case letters or paste it in lowercase' };
+    }
+  }
+
+  if (param.baseType === 'bytes' || /^bytes\d+$/.test(param.baseType)) {
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(text)) {
+      return { error: 'Expected 0x-prefixed hex with an even number of characters' };
+    }
+    const byteLength = (text.length - 2) / 2;
+    const fixedLength = param.baseType === 'bytes' ? null : Number(param.baseType.slice(5));
+    if (fixedLength !== null && byteLength !== fixedLength) {
+      return { error: `Expected exactly ${fixedLength} bytes (${fixedLength * 2} hex characters), got ${byteLength}` };
+    }
+    return { value: text };
+  }
+
+  if (isUintType(param.type)) {
+    const conversion = convertUintParam(text, {
+      type: param.type,
+      units: options.units[path] || getDefaultUnits(nameHint, param.type, options.decimals),
+      decimals: options.decimals
+    });
+    return conversion.error ? { error: conversion.error } : { value: conversion.raw, raw: conversion.raw };
+  }
+
+  if (/^int\d*$/.test(param.type)) {
+    if (!/^-?\d+$/.test(text)) {
+      return { error: `"${text}" is not a whole number` };
+    }
+    const bits = BigInt(param.type.slice(3) || 256);
+    const number = BigInt(text);
+    if (number >= 2n ** (bits - 1n) || number < -(2n ** (bits - 1n))) {
+      return { error: `Value does not fit in ${param.type}` };
+    }
+    return { value: text };
+  }
+
+  return { value: text };
+}
+
+/**
+ * Validate the form and build the arguments for encodeFunctionData
+ * @param {Array} params - ABI parameters (function inputs)
+ * @param {Object} values - Form values keyed by getParamKey
+ * @param {Object} options - { units, decimals, ensResolutions } where units maps uint paths to "human" / "raw"
+ * @returns {Object} { args, errors, conversions, resolvedNames, isValid }
+ *   errors maps a path to its message, conversions maps uint paths to the raw integer,
+ *   resolvedNames maps address paths to the { name, address } of a resolved ENS name
+ */
+export function buildFunctionArgs(params, values, options = {}) {
+  const settings = { units: {}, decimals: undefined, ensResolutions: {}, ...options };
+  const result = { args: [], errors: {}, conversions: {}, resolvedNames: {}, isValid: true };
+
+  const build = (param, value, path, nameHint) => {
+    if (param.baseType === 'tuple') {
+      return param.components.map((component, index) => {
+        const key = getParamKey(component, index);
+        return build(component, (value || {})[key], `${path}.${key}`, component.name);
+      });
+    }
+
+    if (param.baseType === 'array') {
+      const items = Array.isArray(value) ? value : [];
+      if (param.arrayLength > 0 && items.length !== param.arrayLength) {
+        result.errors[path] = `Expected exactly ${param.arrayLength} items`;
+        result.isValid = false;
+      }
+      return items.map((item, index) => build(param.arrayChildren, item, `${path}[${index}]`, nameHint));
+    }
+
+    const leaf = buildLeaf(param, value, path, nameHint, settings);
+    if (leaf.error) {
+      // Empty fields block encoding but are not reported until something is typed
+      if (!leaf.isEmpty) result.errors[path] = leaf.error;
+      result.isValid = false;
+      return null;
+    }
+    if (leaf.raw !== undefined) result.conversions[path] = leaf.raw;
+    if (leaf.resolvedFrom) result.resolvedNames[path] = { name: leaf.resolvedFrom, address: leaf.value };
+    return leaf.value;
+  };
+
+  result.args = params.map((param, index) => {
+    const key = getParamKey(param, index);
+    return build(param, values[key], key, param.name);
+  });
+
+  return result;
+}
+
+/**
+ * Display string for a form value, used in the stored transaction record
+ * @param {*} value - Form value
+ * @returns {string}
+ */
+export function formatParamValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Validate the custom data or Send ETH form (target, ETH value, raw calldata) into a Safe transaction call
+ * @param {Object} values - { to, value, valueUnits, data } as typed; valueUnits is "eth" (default) or "wei"
+ * @returns {Object} { transaction: { to, value, data }, errors, isValid } where value is in wei
+ */
+export function buildRawCall({ to = '', value = '', valueUnits = 'eth', data = '' }) {
+  const errors = {};
+  const transaction = { to: '', value: '0', data: '0x' };
+  let isValid = true;
+
+  const target = to.trim();
+  if (!target) {
+    isValid = false;
+  } else if (!/^0x[0-9a-fA-F]{40}$/.test(target)) {
+    errors.to = 'Not an address (0x followed by 40 hex characters)';
+  } else {
+    try {
+      transaction.to = ethers.getAddress(target);
+    } catch {
+      errors.to = 'Invalid address checksum; check the mixed-case letters or paste it in lowercase';
+    }
+  }
+
+  const wei = convertEthValue(value, valueUnits);
+  if (wei.error) {
+    errors.value = wei.error;
+  } else {
+    transaction.value = wei.raw;
+  }
+
+  // Whitespace and line breaks from copied calldata are ignored
+  const calldata = data.replace(/\s+/g, '');
+  if (calldata) {
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(calldata)) {
+      errors.data = 'Expected 0x-prefixed hex with an even number of characters';
+    } else {
+      transaction.data = calldata.toLowerCase();
+    }
+  }
+
+  return { transaction, errors, isValid: isValid && Object.keys(errors).length === 0 };
+}
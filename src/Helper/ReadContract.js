@@ -0,0 +1,59 @@
+import { ethers } from 'ethers';
+import { AMOUNT_ARG_PATTERN, formatDecodedValue } from './TransactionDecoder.js';
+
+/**
+ * Read Contract
+ *
+ * Runs view / pure functions directly with eth_call instead of proposing a Safe transaction,
+ * and decodes the return values with the function's ABI outputs. Amount-like uint results
+ * (balanceOf, allowance, totalSupply, maxSupply, ...) are also formatted with the token's decimals.
+ */
+
+/**
+ * Whether a function fragment can be called without a transaction
+ * @param {ethers.FunctionFragment} fragment
+ * @returns {boolean}
+ */
+export function isReadOnlyFunction(fragment) {
+  return fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+}
+
+/**
+ * Call a read-only function and decode its outputs
+ * @param {ethers.Provider} provider - Provider connected to the contract's chain
+ * @param {Object} params
+ * @param {string} params.address - Contract address
+ * @param {Array} params.abi - Contract ABI
+ * @param {string} params.data - Encoded calldata
+ * @param {string} params.from - Caller address for msg.sender-dependent views (the Safe)
+ * @param {number} params.decimals - Token decimals, undefined when the contract has none
+ * @returns {Promise<Object>} { functionName, signature, outputs: [{ name, type, value, formatted? }], blockNumber }
+ */
+export async function callReadFunction(provider, { address, abi, data, from, decimals }) {
+  const iface = new ethers.Interface(abi);
+  const parsed = iface.parseTransaction({ data });
+  if (!parsed) {
+    throw new Error('Calldata does not match any function in the ABI');
+  }
+  if (!isReadOnlyFunction(parsed.fragment)) {
+    throw new Error(`${parsed.signature} is ${parsed.fragment.stateMutability}; propose it as a Safe transaction instead`);
+  }
+
+  const blockNumber = await provider.getBlockNumber();
+  const result = await provider.call({ to: address, data, from, blockTag: blockNumber });
+  const decoded = iface.decodeFunctionResult(parsed.fragment, result);
+
+  const outputs = parsed.fragment.outputs.map((output, index) => {
+    const entry = {
+      name: output.name || (parsed.fragment.outputs.length === 1 ? parsed.name : `output${index}`),
+      type: output.type,
+      value: formatDecodedValue(decoded[index])
+    };
+    if (decimals !== undefined && /^uint\d*$/.test(output.type) && AMOUNT_ARG_PATTERN.test(entry.name)) {
+      entry.formatted = ethers.formatUnits(decoded[index], decimals);
+    }
+    return entry;
+  });
+
+  return { functionName: parsed.name, signature: parsed.signature, outputs, blockNumber };
+}
@@ -0,0 +1,163 @@
+import { ethers } from 'ethers';
+import { ABI as SafeABI } from '../Contracts/Safe.js';
+
+/**
+ * Safe Configuration Helper
+ *
+ * Keeps track of which Safe the UI operates on and which vaults the team has saved:
+ * - Default Safe comes from VITE_SAFE_ADDRESS (falls back to the original Sepolia vault)
+ * - Saved vaults and the active selection are persisted in localStorage
+ * - Validates that an address is a deployed Safe on the connected chain
+ * - VITE_SAFE_DIRECT turns the Transaction Service off, and VITE_SAFE_CONTRACT_NETWORKS points the
+ *   protocol kit at Safe contracts on chains without official deployments (e.g. a local Hardhat node)
+ */
+
+export const DEFAULT_SAFE_ADDRESS =
+  (import.meta.env && import.meta.env.VITE_SAFE_ADDRESS) || '0x023809b6039c7BD5f92350661354b708D37b07ab';
+export const DEFAULT_CHAIN_ID = 11155111;
+
+// VITE_SAFE_DIRECT=true: never use the Safe Transaction Service, as the safe CLI does with SAFE_DIRECT.
+// Transaction files can still be signed and executed
+export const TRANSACTION_SERVICE_ENABLED = !(import.meta.env && import.meta.env.VITE_SAFE_DIRECT === 'true');
+
+// Protocol kit contractNetworks, the JSON the safe CLI reads from SAFE_CONTRACT_NETWORKS, inlined
+function parseContractNetworks(json) {
+  if (!json) return undefined;
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn('VITE_SAFE_CONTRACT_NETWORKS is not valid JSON, ignoring it:', error.message);
+    return undefined;
+  }
+}
+
+export const CONTRACT_NETWORKS = parseContractNetworks(import.meta.env && import.meta.env.VITE_SAFE_CONTRACT_NETWORKS);
+
+const SAVED_SAFES_KEY = 'savedSafes';
+const ACTIVE_SAFE_KEY = 'activeSafe';
+
+// EIP-3770 short names used by the Safe{Wallet} UI
+export const CHAINS = {
+  1: { name: 'Ethereum', shortName: 'eth' },
+  10: { name: 'Optimism', shortName: 'oeth' },
+  56: { name: 'BNB Chain', shortName: 'bnb' },
+  100: { name: 'Gnosis', shortName: 'gno' },
+  137: { name: 'Polygon', shortName: 'matic' },
+  8453: { name: 'Base', shortName: 'base' },
+  42161: { name: 'Arbitrum', shortName: 'arb1' },
+  31337: { name: 'Hardhat', shortName: 'hardhat' },
+  11155111: { name: 'Sepolia', shortName: 'sep' }
+};
+
+/**
+ * Get display information for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} { name, shortName }
+ */
+export function getChainInfo(chainId) {
+  return CHAINS[chainId] || { name: `Chain ${chainId}`, shortName: String(chainId) };
+}
+
+/**
+ * Shorten an address for display, prefixed with the chain short name
+ * @param {string} address - Address to format
+ * @param {number} chainId - Optional chain ID for the EIP-3770 prefix
+ * @returns {string} e.g. "sep:0x0238...07ab"
+ */
+export function formatSafeAddress(address, chainId) {
+  if (!address) return '';
+  const short = `${address.slice(0, 6)}...${address.slice(-4)}`;
+  return chainId ? `${getChainInfo(chainId).shortName}:${short}` : short;
+}
+
+/**
+ * Load the list of saved vaults from localStorage
+ * @returns {Array} Array of { address, chainId, label }
+ */
+export function loadSavedSafes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_SAFES_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved.filter(safe => safe && ethers.isAddress(safe.address) && Number.isInteger(safe.chainId));
+  } catch (error) {
+    console.error('Error parsing saved Safes:', error);
+    localStorage.removeItem(SAVED_SAFES_KEY);
+    return [];
+  }
+}
+
+/**
+ * Add or update a vault in the saved list
+ * @param {Object} safe - { address, chainId, label }
+ * @returns {Array} Updated list of saved vaults
+ */
+export function saveSafe({ address, chainId, label = '' }) {
+  const checksummed = ethers.getAddress(address);
+  const safes = loadSavedSafes().filter(
+    safe => !(safe.chainId === chainId && safe.address.toLowerCase() === checksummed.toLowerCase())
+  );
+  safes.push({ address: checksummed, chainId, label: label.trim() });
+  localStorage.setItem(SAVED_SAFES_KEY, JSON.stringify(safes));
+  return safes;
+}
+
+/**
+ * Remove a vault from the saved list
+ * @param {Object} safe - { address, chainId }
+ * @returns {Array} Updated list of saved vaults
+ */
+export function removeSavedSafe({ address, chainId }) {
+  const safes = loadSavedSafes().filter(
+    safe => !(safe.chainId === chainId && safe.address.toLowerCase() === address.toLowerCase())
+  );
+  localStorage.setItem(SAVED_SAFES_KEY, JSON.stringify(safes));
+  return safes;
+}
+
+/**
+ * Load the active Safe address, falling back to the configured default
+ * @returns {string} Checksummed Safe address
+ */
+export function loadActiveSafe() {
+  const active = localStorage.getItem(ACTIVE_SAFE_KEY);
+  return active && ethers.isAddress(active) ? ethers.getAddress(active) : DEFAULT_SAFE_ADDRESS;
+}
+
+/**
+ * Persist the active Safe address
+ * @param {string} address - Safe address
+ */
+export function storeActiveSafe(address) {
+  localStorage.setItem(ACTIVE_SAFE_KEY, ethers.getAddress(address));
+}
+
+/**
+ * Check that an address is a deployed Safe on the provider's chain
+ * @param {ethers.Provider} provider - Provider connected to the target chain
+ * @param {string} address - Candidate Safe address
+ * @returns {Promise<Object>} { address, version, owners, threshold }
+ */
+export async function validateSafeAddress(provider, address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error('Invalid address format');
+  }
+
+  const checksummed = ethers.getAddress(address);
+  const code = await provider.getCode(checksummed);
+  if (!code || code === '0x') {
+    throw new Error('No contract deployed at this address on the connected chain');
+  }
+
+  const safeContract = new ethers.Contract(checksummed, SafeABI, provider);
+  try {
+    const [version, owners, threshold] = await Promise.all([
+      safeContract.VERSION(),
+      safeContract.getOwners(),
+      safeContract.getThreshold()
+    ]);
+    return { address: checksummed, version, owners: [...owners], threshold: Number(threshold) };
+  } catch (error) {
+    console.warn('Safe validation call failed:', error);
+    throw new Error('Contract at this address is not a Safe');
+  }
+}
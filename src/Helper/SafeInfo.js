@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+import {
+  ABI as SafeABI,
+  GUARD_STORAGE_SLOT,
+  FALLBACK_HANDLER_STORAGE_SLOT,
+  SENTINEL_ADDRESS
+} from '../Contracts/Safe.js';
+import { Address as USDCAddress } from '../Contracts/USDC.js';
+import { Address as ZUSDAddress } from '../Contracts/ZUSD.js';
+import { Address as DCOLockAddress } from '../Contracts/DCOLock.js';
+import { getTokenDecimals } from './TokenMetadata.js';
+
+/**
+ * Safe Info
+ *
+ * Reads the dashboard state of a Safe straight from the chain:
+ * - Version, owners, threshold and nonce
+ * - Enabled modules, transaction guard and fallback handler (the latter two from their storage slots)
+ * - ETH balance and the USDC, ZUSD and ZKTC balances
+ *
+ * ZKTC has no fixed address in this repo: it comes from VITE_ZKTC_ADDRESS, or is read
+ * from DCOLock's zkToken() when that is not set.
+ */
+
+export const SAFE_INFO_REFRESH_MS = 30000;
+
+const MODULES_PAGE_SIZE = 50;
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address account) view returns (uint256)'];
+const DCOLOCK_TOKEN_ABI = ['function zkToken() view returns (address)'];
+
+const ZKTC_ADDRESS = (import.meta.env && import.meta.env.VITE_ZKTC_ADDRESS) || '';
+
+// Address stored in the low 20 bytes of a storage slot, null when unset
+const slotToAddress = (value) => {
+  const address = ethers.getAddress(ethers.dataSlice(value, 12));
+  return address === ethers.ZeroAddress ? null : address;
+};
+
+/**
+ * Resolve the dashboard tokens on the connected chain
+ * @param {ethers.Provider} provider - Provider connected to the Safe's chain
+ * @returns {Promise<Array>} Array of { symbol, address }; address is null when ZKTC cannot be resolved
+ */
+export async function getDashboardTokens(provider) {
+  let zktcAddress = ZKTC_ADDRESS && ethers.isAddress(ZKTC_ADDRESS) ? ethers.getAddress(ZKTC_ADDRESS) : null;
+  if (!zktcAddress) {
+    try {
+      const dcoLock = new ethers.Contract(DCOLockAddress, DCOLOCK_TOKEN_ABI, provider);
+      zktcAddress = ethers.getAddress(await dcoLock.zkToken());
+    } catch (error) {
+      console.warn('Failed to read the ZKTC address from DCOLock.zkToken():', error);
+    }
+  }
+
+  return [
+    { symbol: 'USDC', address: USDCAddress },
+    { symbol: 'ZUSD', address: ZUSDAddress },
+    { symbol: 'ZKTC', address: zktcAddress }
+  ];
+}
+
+/**
+ * Read a token balance formatted with the token's on-chain decimals
+ * @param {ethers.Provider} provider - Provider connected to the token's chain
+ * @param {Object} token - { symbol, address }
+ * @param {string} account - Holder address
+ * @returns {Promise<Object>} { symbol, address, raw, formatted, error }
+ */
+async function readTokenBalance(provider, token, account) {
+  if (!token.address) {
+    return { ...token, raw: null, formatted: null, error: 'Token address unknown on this chain' };
+  }
+
+  try {
+    const contract = new ethers.Contract(token.address, ERC20_BALANCE_ABI, provider);
+    const [balance, decimals] = await Promise.all([
+      contract.balanceOf(account),
+      getTokenDecimals(provider, token.address)
+    ]);
+    return {
+      ...token,
+      raw: balance.toString(),
+      formatted: decimals === null ? balance.toString() : ethers.formatUnits(balance, decimals),
+      error: null
+    };
+  } catch (error) {
+    console.warn(`Failed to read the ${token.symbol} balance:`, error);
+    return { ...token, raw: null, formatted: null, error: 'Balance unavailable' };
+  }
+}
+
+/**
+ * Load everything the Safe dashboard shows
+ * @param {ethers.Provider} provider - Provider connected to the Safe's chain
+ * @param {string} safeAddress - Safe address
+ * @returns {Promise<Object>} { version, owners, threshold, nonce, modules, hasMoreModules, guard,
+ *   fallbackHandler, balance, tokens, blockNumber }
+ */
+export async function loadSafeInfo(provider, safeAddress) {
+  const safe = new ethers.Contract(safeAddress, SafeABI, provider);
+  const tokens = await getDashboardTokens(provider);
+
+  const [version, owners, threshold, nonce, modulesPage, guardSlot, handlerSlot, balance, tokenBalances, blockNumber] =
+    await Promise.all([
+      safe.VERSION(),
+      safe.getOwners(),
+      safe.getThreshold(),
+      safe.nonce(),
+      safe.getModulesPaginated(SENTINEL_ADDRESS, MODULES_PAGE_SIZE),
+      provider.getStorage(safeAddress, GUARD_STORAGE_SLOT),
+      provider.getStorage(safeAddress, FALLBACK_HANDLER_STORAGE_SLOT),
+      provider.getBalance(safeAddress),
+      Promise.all(tokens.map(token => readTokenBalance(provider, token, safeAddress))),
+      provider.getBlockNumber()
+    ]);
+
+  const [modules, next] = modulesPage;
+  return {
+    version,
+    owners: [...owners],
+    threshold: Number(threshold),
+    nonce: Number(nonce),
+    modules: [...modules],
+    // A next pointer other than the sentinel means the Safe has more modules than one page
+    hasMoreModules: next !== ethers.ZeroAddress && next.toLowerCase() !== SENTINEL_ADDRESS,
+    guard: slotToAddress(guardSlot),
+    fallbackHandler: slotToAddress(handlerSlot),
+    balance: balance.toString(),
+    tokens: tokenBalances,
+    blockNumber
+  };
+}
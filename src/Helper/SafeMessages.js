@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+import { EthSafeSignature, buildSignatureBytes, hashSafeMessage } from '@safe-global/protocol-kit';
+
+/**
+ * Safe Messages
+ *
+ * Off-chain messages signed by the Safe itself (EIP-1271):
+ * - A plain text message or EIP-712 typed data is wrapped in a SafeMessage and signed by an owner
+ * - The message and its first signature are stored with the Safe Transaction Service, where
+ *   the other owners add their signatures
+ * - Once enough owners have signed, the combined signature is checked with isValidSignature
+ *   on the Safe (through its CompatibilityFallbackHandler)
+ */
+
+export const MESSAGE_KINDS = {
+  text: 'Plain text',
+  typed: 'EIP-712 typed data'
+};
+
+/**
+ * Parse the message form into the payload the protocol kit and the service expect
+ * @param {string} input - Message text, or EIP-712 JSON with domain, types, primaryType and message
+ * @param {string} kind - 'text' or 'typed'
+ * @returns {Object} { message, error } where message is a string or EIP-712 object
+ */
+export function parseMessageInput(input, kind) {
+  if (!input || !input.trim()) {
+    return { message: null, error: 'Message is empty' };
+  }
+  if (kind === 'text') {
+    return { message: input, error: null };
+  }
+
+  let typedData;
+  try {
+    typedData = JSON.parse(input);
+  } catch (error) {
+    return { message: null, error: `Invalid JSON: ${error.message}` };
+  }
+  const missing = ['domain', 'types', 'primaryType', 'message'].filter(field => !typedData || typedData[field] === undefined);
+  if (missing.length > 0) {
+    return { message: null, error: `Typed data is missing ${missing.join(', ')}` };
+  }
+
+  // Hash it once so malformed types or values fail here rather than in the wallet
+  try {
+    // ethers derives the domain type itself and rejects an explicit EIP712Domain entry
+    const types = { ...typedData.types };
+    delete types.EIP712Domain;
+    ethers.TypedDataEncoder.hash(typedData.domain, types, typedData.message);
+    if (!types[typedData.primaryType]) {
+      return { message: null, error: `primaryType "${typedData.primaryType}" is not defined in types` };
+    }
+  } catch (error) {
+    return { message: null, error: `Invalid typed data: ${error.shortMessage || error.message}` };
+  }
+  return { message: typedData, error: null };
+}
+
+/**
+ * Combine the owners' signatures of a service message, sorted by owner as the Safe requires
+ * @param {Object} safeMessage - Message as returned by the Safe Transaction Service
+ * @returns {string} Concatenated signature bytes, '0x' when nobody has signed
+ */
+export function buildMessageSignature(safeMessage) {
+  const signatures = (safeMessage.confirmations || []).map(
+    confirmation => new EthSafeSignature(confirmation.owner, confirmation.signature)
+  );
+  return signatures.length > 0 ? buildSignatureBytes(signatures) : '0x';
+}
+
+/**
+ * Whether an owner has already signed a service message
+ * @param {Object} safeMessage - Message as returned by the Safe Transaction Service
+ * @param {string} owner - Owner address
+ * @returns {boolean}
+ */
+export function hasSignedMessage(safeMessage, owner) {
+  return Boolean(owner) && (safeMessage.confirmations || []).some(
+    confirmation => confirmation.owner.toLowerCase() === owner.toLowerCase()
+  );
+}
+
+// Sign a message with the connected owner and return the owner's signature
+async function signWithOwner(safeSdk, signerAddress, message) {
+  const signedMessage = await safeSdk.signMessage(safeSdk.createMessage(message));
+  const signature = signedMessage.getSignature(signerAddress.toLowerCase());
+  if (!signature) {
+    throw new Error('The wallet did not return a signature');
+  }
+  return signature.data;
+}
+
+/**
+ * Create a Safe message on the service, signed by the connected owner
+ * @param {Object} params
+ * @param {Safe} params.safeSdk - Protocol kit instance with the owner as signer
+ * @param {SafeApiKit} params.apiKit - API kit for the Safe's chain
+ * @param {string} params.safeAddress - Safe address
+ * @param {string} params.signerAddress - Connected owner
+ * @param {string|Object} params.message - Text or EIP-712 typed data, see parseMessageInput
+ * @returns {Promise<string>} Safe message hash, the id of the message on the service
+ */
+export async function createSafeMessage({ safeSdk, apiKit, safeAddress, signerAddress, message }) {
+  const signature = await signWithOwner(safeSdk, signerAddress, message);
+  await apiKit.addMessage(safeAddress, { message, signature });
+  return safeSdk.getSafeMessageHash(hashSafeMessage(message));
+}
+
+/**
+ * Add the connected owner's signature to a message already on the service
+ * @param {Object} params
+ * @param {Safe} params.safeSdk - Protocol kit instance with the owner as signer
+ * @param {SafeApiKit} params.apiKit - API kit for the Safe's chain
+ * @param {string} params.signerAddress - Connected owner
+ * @param {Object} params.safeMessage - Message as returned by the Safe Transaction Service
+ * @returns {Promise<void>}
+ */
+export async function confirmSafeMessage({ safeSdk, apiKit, signerAddress, safeMessage }) {
+  if (hasSignedMessage(safeMessage, signerAddress)) {
+    throw new Error('You have already signed this message');
+  }
+  const signature = await signWithOwner(safeSdk, signerAddress, safeMessage.message);
+  await apiKit.addMessageSignature(safeMessage.messageHash, signature);
+}
+
+/**
+ * Check the combined signature of a message with isValidSignature on the Safe
+ * @param {Safe} safeSdk - Protocol kit instance for the Safe
+ * @param {Object} safeMessage - Message as returned by the Safe Transaction Service
+ * @returns {Promise<Object>} { isValid, messageHash, signature }
+ */
+export async function verifySafeMessage(safeSdk, safeMessage) {
+  const messageHash = hashSafeMessage(safeMessage.message);
+  const signature = safeMessage.preparedSignature || buildMessageSignature(safeMessage);
+  const isValid = await safeSdk.isValidSignature(messageHash, signature);
+  return { isValid, messageHash, signature };
+}
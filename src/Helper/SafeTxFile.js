@@ -0,0 +1,324 @@
+import { ethers } from 'ethers';
+import { EthSafeSignature } from '@safe-global/protocol-kit';
+
+/**
+ * Safe Transaction Files
+ *
+ * Offline (air-gapped) signing of Safe transactions:
+ * - A Safe transaction is exported to a JSON file with its data, nonce, chain id, Safe address,
+ *   Safe version and EIP-712 safeTxHash
+ * - Owners sign the file on a cold machine with a private key or keystore; each signed copy
+ *   carries the signatures collected so far
+ * - Signed copies are merged, then proposed to the Safe Transaction Service or executed directly
+ *
+ * Every file is checked when it is read: the safeTxHash is recomputed from the transaction and
+ * every signature must recover to the owner it claims to be from.
+ */
+
+export const SAFE_TX_FILE_TYPE = 'safe-transaction';
+export const SAFE_TX_FILE_VERSION = 1;
+
+// EIP-712 SafeTx struct, unchanged since Safe v1.0.0
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { type: 'address', name: 'to' },
+    { type: 'uint256', name: 'value' },
+    { type: 'bytes', name: 'data' },
+    { type: 'uint8', name: 'operation' },
+    { type: 'uint256', name: 'safeTxGas' },
+    { type: 'uint256', name: 'baseGas' },
+    { type: 'uint256', name: 'gasPrice' },
+    { type: 'address', name: 'gasToken' },
+    { type: 'address', name: 'refundReceiver' },
+    { type: 'uint256', name: 'nonce' }
+  ]
+};
+
+const TX_FIELDS = SAFE_TX_TYPES.SafeTx.map(field => field.name);
+
+// Safes before v1.3.0 sign without the chain id in the domain
+function domainHasChainId(safeVersion) {
+  const [major, minor] = String(safeVersion).split('.').map(Number);
+  return major > 1 || (major === 1 && minor >= 3);
+}
+
+// Transaction fields as strings / numbers, the way the protocol kit and the service hold them
+function normalizeTx(tx) {
+  const missing = TX_FIELDS.filter(field => tx[field] === undefined || tx[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`Transaction is missing ${missing.join(', ')}`);
+  }
+  return {
+    to: ethers.getAddress(tx.to),
+    value: BigInt(tx.value).toString(),
+    data: tx.data || '0x',
+    operation: Number(tx.operation),
+    safeTxGas: BigInt(tx.safeTxGas).toString(),
+    baseGas: BigInt(tx.baseGas).toString(),
+    gasPrice: BigInt(tx.gasPrice).toString(),
+    gasToken: ethers.getAddress(tx.gasToken),
+    refundReceiver: ethers.getAddress(tx.refundReceiver),
+    nonce: Number(tx.nonce)
+  };
+}
+
+/**
+ * EIP-712 payload a Safe owner signs for a transaction
+ * @param {Object} params - { chainId, safeAddress, safeVersion, tx }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function getSafeTxTypedData({ chainId, safeAddress, safeVersion, tx }) {
+  const domain = domainHasChainId(safeVersion)
+    ? { chainId: BigInt(chainId).toString(), verifyingContract: ethers.getAddress(safeAddress) }
+    : { verifyingContract: ethers.getAddress(safeAddress) };
+  return { domain, types: SAFE_TX_TYPES, primaryType: 'SafeTx', message: normalizeTx(tx) };
+}
+
+/**
+ * Recover the owner behind a 65-byte Safe signature
+ * Supports EIP-712 signatures (v 27/28), eth_sign signatures (v 31/32) and approved hashes (v 1)
+ * @param {string} safeTxHash - EIP-712 hash of the transaction
+ * @param {string} data - Signature bytes
+ * @returns {Object} { signer, type } where type is 'eip712', 'eth_sign' or 'approved-hash'
+ */
+export function recoverSafeTxSigner(safeTxHash, data) {
+  if (!ethers.isHexString(data, 65)) {
+    throw new Error('Only 65-byte owner signatures are supported in transaction files');
+  }
+  const v = parseInt(data.slice(-2), 16);
+  if (v === 27 || v === 28) {
+    return { signer: ethers.recoverAddress(safeTxHash, data), type: 'eip712' };
+  }
+  if (v === 31 || v === 32) {
+    const signature = ethers.Signature.from({
+      r: ethers.dataSlice(data, 0, 32),
+      s: ethers.dataSlice(data, 32, 64),
+      v: v - 4
+    });
+    return { signer: ethers.recoverAddress(ethers.hashMessage(ethers.getBytes(safeTxHash)), signature), type: 'eth_sign' };
+  }
+  if (v === 1) {
+    // Pre-validated: r holds the owner address, checked on-chain against approvedHashes or msg.sender
+    return { signer: ethers.getAddress(ethers.dataSlice(data, 12, 32)), type: 'approved-hash' };
+  }
+  throw new Error(`Unsupported signature type (v = ${v})`);
+}
+
+// Signatures sorted by signer, one per signer, as execTransaction expects them
+function sortSignatures(signatures) {
+  const bySigner = new Map();
+  signatures.forEach(signature => bySigner.set(signature.signer.toLowerCase(), signature));
+  return [...bySigner.values()].sort((a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1));
+}
+
+function checkSignature(safeTxHash, signature) {
+  const { signer, type } = recoverSafeTxSigner(safeTxHash, signature.data);
+  if (signature.signer && signer.toLowerCase() !== signature.signer.toLowerCase()) {
+    throw new Error(`Signature claimed for ${signature.signer} was made by ${signer}`);
+  }
+  return { signer, data: signature.data, type };
+}
+
+/**
+ * Build a transaction file
+ * @param {Object} params - { chainId, safeAddress, safeVersion, tx, signatures } where tx holds the
+ *   SafeTx fields and signatures is a list of { signer, data }
+ * @returns {Object} Transaction file
+ */
+export function createSafeTxFile({ chainId, safeAddress, safeVersion, tx, signatures = [] }) {
+  const typedData = getSafeTxTypedData({ chainId, safeAddress, safeVersion, tx });
+  const safeTxHash = ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
+  return {
+    type: SAFE_TX_FILE_TYPE,
+    version: SAFE_TX_FILE_VERSION,
+    chainId: BigInt(chainId).toString(),
+    safeAddress: ethers.getAddress(safeAddress),
+    safeVersion: String(safeVersion),
+    safeTxHash,
+    tx: typedData.message,
+    typedData,
+    signatures: sortSignatures(signatures.map(signature => checkSignature(safeTxHash, signature)))
+  };
+}
+
+/**
+ * Read and check a transaction file
+ * @param {string|Object} input - File contents or the parsed JSON
+ * @returns {Object} Transaction file, with its safeTxHash recomputed and its signatures verified
+ */
+export function parseSafeTxFile(input) {
+  let json;
+  try {
+    json = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!json || json.type !== SAFE_TX_FILE_TYPE) {
+    throw new Error('Not a Safe transaction file');
+  }
+  if (json.version !== SAFE_TX_FILE_VERSION) {
+    throw new Error(`Unsupported Safe transaction file version ${json.version}`);
+  }
+
+  // Check the hash before the signatures, which are only meaningful for the right hash
+  const unsigned = createSafeTxFile({
+    chainId: json.chainId,
+    safeAddress: json.safeAddress,
+    safeVersion: json.safeVersion,
+    tx: json.tx || {}
+  });
+  if (!json.safeTxHash || json.safeTxHash.toLowerCase() !== unsigned.safeTxHash.toLowerCase()) {
+    throw new Error(`safeTxHash ${json.safeTxHash} does not match the transaction (${unsigned.safeTxHash})`);
+  }
+  return createSafeTxFile({ ...unsigned, signatures: json.signatures || [] });
+}
+
+/**
+ * Add a signature to a transaction file
+ * @param {Object} file - Transaction file
+ * @param {Object} signature - { signer, data }
+ * @returns {Object} New transaction file
+ */
+export function addSafeTxSignature(file, signature) {
+  return createSafeTxFile({ ...file, signatures: [...file.signatures, signature] });
+}
+
+/**
+ * Sign a transaction file with an ethers signer (Wallet, keystore wallet or BrowserProvider signer)
+ * @param {Object} file - Transaction file
+ * @param {ethers.Signer} signer - Owner signer, no provider needed
+ * @returns {Promise<Object>} New transaction file with the signer's EIP-712 signature
+ */
+export async function signSafeTxFile(file, signer) {
+  const { domain, types, message } = file.typedData;
+  const data = await signer.signTypedData(domain, types, message);
+  return addSafeTxSignature(file, { signer: await signer.getAddress(), data });
+}
+
+/**
+ * Merge signed copies of the same transaction
+ * @param {Array<Object>} files - Transaction files
+ * @returns {Object} Transaction file with every signature, one per signer
+ */
+export function mergeSafeTxFiles(files) {
+  if (files.length === 0) {
+    throw new Error('No transaction files to merge');
+  }
+  const [first] = files;
+  files.forEach(file => {
+    if (file.safeTxHash !== first.safeTxHash || file.chainId !== first.chainId || file.safeAddress !== first.safeAddress) {
+      throw new Error(`${file.safeTxHash} on ${file.safeAddress} (chain ${file.chainId}) is a different transaction than ${first.safeTxHash}`);
+    }
+  });
+  return createSafeTxFile({ ...first, signatures: files.flatMap(file => file.signatures) });
+}
+
+export function serializeSafeTxFile(file) {
+  return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+// safe-tx-<chain>-<safe>-<nonce>.json, signed copies add the number of signatures
+export function getSafeTxFileName(file) {
+  const signed = file.signatures.length > 0 ? `-${file.signatures.length}sig` : '';
+  return `safe-tx-${file.chainId}-${file.safeAddress.slice(0, 8)}-${file.tx.nonce}${signed}.json`;
+}
+
+/**
+ * Save a transaction file from the browser
+ * @param {Object} file - Transaction file
+ */
+export function downloadSafeTxFile(file) {
+  const url = URL.createObjectURL(new Blob([serializeSafeTxFile(file)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getSafeTxFileName(file);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// The shape the decoders and pending views expect from the Transaction Service
+export function toServiceTransaction(file) {
+  return {
+    ...file.tx,
+    safe: file.safeAddress,
+    safeTxHash: file.safeTxHash,
+    confirmations: file.signatures.map(signature => ({ owner: signature.signer, signature: signature.data })),
+    isExecuted: false
+  };
+}
+
+/**
+ * Rebuild the protocol kit transaction with the file's signatures
+ * @param {Safe} safeSdk - Protocol kit instance for the file's Safe
+ * @param {Object} file - Transaction file
+ * @returns {Promise<SafeTransaction>}
+ */
+export async function toSafeTransaction(safeSdk, file) {
+  const [safeAddress, chainId] = await Promise.all([safeSdk.getAddress(), safeSdk.getChainId()]);
+  if (ethers.getAddress(safeAddress) !== file.safeAddress || chainId.toString() !== file.chainId) {
+    throw new Error(`The file is for the Safe ${file.safeAddress} on chain ${file.chainId}, not ${safeAddress} on chain ${chainId}`);
+  }
+
+  const { to, value, data, operation, ...options } = file.tx;
+  const safeTransaction = await safeSdk.createTransaction({
+    transactions: [{ to, value, data, operation }],
+    options
+  });
+  const safeTxHash = await safeSdk.getTransactionHash(safeTransaction);
+  if (safeTxHash.toLowerCase() !== file.safeTxHash.toLowerCase()) {
+    throw new Error(`The Safe computes ${safeTxHash} for this transaction, the file says ${file.safeTxHash}`);
+  }
+  file.signatures.forEach(signature => safeTransaction.addSignature(new EthSafeSignature(signature.signer, signature.data)));
+  return safeTransaction;
+}
+
+/**
+ * Propose the transaction to the Safe Transaction Service and add the file's signatures
+ * The first signer proposes when the service does not know the transaction yet.
+ * Approved-hash entries are pre-validated on-chain and are not owner signatures the service accepts,
+ * so they are left for execution
+ * @param {Object} params - { apiKit, file }
+ * @returns {Promise<Object>} { proposed, confirmed, skipped } where confirmed lists the signers added
+ *   and skipped the owners whose approved-hash entries were left out
+ */
+export async function submitSafeTxFile({ apiKit, file }) {
+  const isApprovedHash = signature => recoverSafeTxSigner(file.safeTxHash, signature.data).type === 'approved-hash';
+  const signatures = file.signatures.filter(signature => !isApprovedHash(signature));
+  const skipped = file.signatures.filter(isApprovedHash).map(signature => signature.signer);
+  if (signatures.length === 0) {
+    throw new Error('The file has no owner signatures to submit');
+  }
+
+  // Only a 404 means the service does not know the transaction yet; any other failure stops the submit
+  let existing = null;
+  try {
+    existing = await apiKit.getTransaction(file.safeTxHash);
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+
+  const known = new Set((existing?.confirmations || []).map(confirmation => confirmation.owner.toLowerCase()));
+  const pending = signatures.filter(signature => !known.has(signature.signer.toLowerCase()));
+  const confirmed = [];
+  let proposed = false;
+
+  if (!existing) {
+    const [proposer] = pending.splice(0, 1);
+    await apiKit.proposeTransaction({
+      safeAddress: file.safeAddress,
+      safeTransactionData: file.tx,
+      safeTxHash: file.safeTxHash,
+      senderAddress: proposer.signer,
+      senderSignature: proposer.data
+    });
+    proposed = true;
+    confirmed.push(proposer.signer);
+  }
+  for (const signature of pending) {
+    await apiKit.confirmTransaction(file.safeTxHash, signature.data);
+    confirmed.push(signature.signer);
+  }
+  return { proposed, confirmed, skipped };
+}
@@ -0,0 +1,103 @@
+import { ethers } from 'ethers';
+
+/**
+ * Selector Table
+ *
+ * Local 4-byte selector lookup for calldata whose target is not a known contract.
+ * Covers the common token, access control, proxy and Safe functions, so pasted calldata
+ * can be reverse decoded without querying an external signature database.
+ * A selector can map to several signatures; every signature whose argument encoding
+ * matches the calldata is returned as a candidate.
+ */
+
+const SIGNATURES = [
+  // ERC-20 and extensions
+  'transfer(address to, uint256 amount)',
+  'transferFrom(address from, address to, uint256 amount)',
+  'approve(address spender, uint256 amount)',
+  'increaseAllowance(address spender, uint256 addedValue)',
+  'decreaseAllowance(address spender, uint256 subtractedValue)',
+  'permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'mint(address to, uint256 amount)',
+  'burn(uint256 amount)',
+  'burnFrom(address account, uint256 amount)',
+  'deposit()',
+  'withdraw(uint256 wad)',
+  // ERC-721 / ERC-1155
+  'safeTransferFrom(address from, address to, uint256 tokenId)',
+  'safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  'setApprovalForAll(address operator, bool approved)',
+  'safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+  // Ownable, AccessControl, Pausable
+  'transferOwnership(address newOwner)',
+  'renounceOwnership()',
+  'acceptOwnership()',
+  'grantRole(bytes32 role, address account)',
+  'revokeRole(bytes32 role, address account)',
+  'renounceRole(bytes32 role, address account)',
+  'pause()',
+  'unpause()',
+  // Blacklists
+  'blacklist(address account)',
+  'unBlacklist(address account)',
+  // Proxies
+  'upgradeTo(address newImplementation)',
+  'upgradeToAndCall(address newImplementation, bytes data)',
+  'changeAdmin(address newAdmin)',
+  // Safe
+  'addOwnerWithThreshold(address owner, uint256 _threshold)',
+  'removeOwner(address prevOwner, address owner, uint256 _threshold)',
+  'swapOwner(address prevOwner, address oldOwner, address newOwner)',
+  'changeThreshold(uint256 _threshold)',
+  'enableModule(address module)',
+  'disableModule(address prevModule, address module)',
+  'setGuard(address guard)',
+  'setFallbackHandler(address handler)',
+  'approveHash(bytes32 hashToApprove)',
+  'multiSend(bytes transactions)',
+  // Generic multicall
+  'multicall(bytes[] data)'
+];
+
+// selector -> [ethers.FunctionFragment]
+const SELECTORS = new Map();
+for (const signature of SIGNATURES) {
+  const fragment = ethers.FunctionFragment.from(`function ${signature}`);
+  const entries = SELECTORS.get(fragment.selector) || [];
+  entries.push(fragment);
+  SELECTORS.set(fragment.selector, entries);
+}
+
+/**
+ * Signatures in the table for a selector
+ * @param {string} selector - 0x-prefixed 4-byte selector
+ * @returns {Array} Canonical signatures, e.g. ["transfer(address,uint256)"]
+ */
+export function lookupSelector(selector) {
+  return (SELECTORS.get(String(selector).toLowerCase()) || []).map(fragment => fragment.format('sighash'));
+}
+
+/**
+ * Decode calldata against every table signature that shares its selector
+ * @param {string} data - Calldata
+ * @returns {Array} Candidates of { signature, fragment, args } whose encoding matches the calldata
+ */
+export function decodeWithSelectorTable(data) {
+  if (!data || data.length < 10) return [];
+
+  const fragments = SELECTORS.get(data.slice(0, 10).toLowerCase()) || [];
+  const candidates = [];
+  for (const fragment of fragments) {
+    try {
+      const iface = new ethers.Interface([fragment]);
+      const args = iface.decodeFunctionData(fragment, data);
+      // Reject decodings that leave trailing bytes, e.g. a 3-argument signature matched against 4 arguments
+      if (iface.encodeFunctionData(fragment, args).length !== data.length) continue;
+      candidates.push({ signature: fragment.format('sighash'), fragment, args });
+    } catch {
+      // Argument encoding does not match this signature
+    }
+  }
+  return candidates;
+}
@@ -1,47 +1,143 @@
 import { ethers } from 'ethers';
+import { parseMessageInput } from './SafeMessages.js';
 
-async function signHashWithMetaMask() {
-  try {
-    // Check if MetaMask is available
-    if (!window.ethereum) {
-      throw new Error('MetaMask is not installed');
+/**
+ * Signer
+ *
+ * Signs a hash, UTF-8 message or EIP-712 payload with the connected wallet and recovers the signer:
+ * - eth_sign: signs a 32-byte hash as-is (most wallets disable it, as it can sign transactions)
+ * - personal_sign: signs with the "\x19Ethereum Signed Message:\n" prefix (a hash is signed as its 32 bytes)
+ * - eth_signTypedData_v4: signs EIP-712 typed data
+ * Nothing runs on import; use signWithWallet / signHashWithMetaMask, or the Signer tab.
+ */
+
+export const SIGN_INPUT_KINDS = {
+  hash: '32-byte hash',
+  text: 'UTF-8 message',
+  typed: 'EIP-712 typed data'
+};
+
+export const SIGNING_METHODS = {
+  eth_sign: { label: 'eth_sign', kinds: ['hash'] },
+  personal_sign: { label: 'personal_sign', kinds: ['hash', 'text'] },
+  eth_signTypedData_v4: { label: 'eth_signTypedData_v4', kinds: ['typed'] }
+};
+
+/**
+ * Signing methods that apply to an input kind
+ * @param {string} kind - Key of SIGN_INPUT_KINDS
+ * @returns {Array<string>} Keys of SIGNING_METHODS
+ */
+export function getSigningMethods(kind) {
+  return Object.keys(SIGNING_METHODS).filter(method => SIGNING_METHODS[method].kinds.includes(kind));
+}
+
+// ethers derives the domain type itself and rejects an explicit EIP712Domain entry
+const withoutDomainType = (types) => {
+  const rest = { ...types };
+  delete rest.EIP712Domain;
+  return rest;
+};
+
+/**
+ * Validate a sign request and work out the digest the signature commits to
+ * @param {Object} request - { input, kind, method }
+ * @returns {Object} { payload, digest, error } where payload is the hash, text or typed data object
+ */
+export function prepareSignRequest({ input, kind, method }) {
+  if (!SIGNING_METHODS[method] || !SIGNING_METHODS[method].kinds.includes(kind)) {
+    return { payload: null, digest: null, error: `${method} cannot sign a ${SIGN_INPUT_KINDS[kind] || kind}` };
+  }
+
+  if (kind === 'hash') {
+    const hash = (input || '').trim();
+    if (!ethers.isHexString(hash, 32)) {
+      return { payload: null, digest: null, error: 'Hash must be 32 bytes of 0x-prefixed hex' };
+    }
+    const digest = method === 'eth_sign' ? hash : ethers.hashMessage(ethers.getBytes(hash));
+    return { payload: hash, digest, error: null };
+  }
+
+  if (kind === 'text') {
+    if (!input) {
+      return { payload: null, digest: null, error: 'Message is empty' };
     }
+    return { payload: input, digest: ethers.hashMessage(input), error: null };
+  }
 
-    // Request account access
-    await window.ethereum.request({ method: 'eth_requestAccounts' });
-
-    // Hardcoded hash to sign
-    const hashToSign = '0x8a19af7a83a756581e8dfe54f198b5224d3f6216711280f02a984f3eeb928b4a';
-    
-    console.log('🔧 Setting up MetaMask signer...');
-    
-    // Create provider and signer from MetaMask
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    const signer = await provider.getSigner();
-    
-    console.log('👤 Signer address:', await signer.getAddress());
-    console.log('📝 Hash to sign:', hashToSign);
-    
-    // Sign the hash
-    console.log('✍️ Signing hash...');
-    const signature = await signer.signMessage(ethers.getBytes(hashToSign));
-    
-    console.log('✅ Hash signed successfully!');
-    console.log('📜 Signature:', signature);
-    
-    return signature;
-    
-  } catch (error) {
-    console.error('❌ Error signing hash:', error);
-    throw error;
+  const { message: typedData, error } = parseMessageInput(input, 'typed');
+  if (error) {
+    return { payload: null, digest: null, error };
   }
+  const digest = ethers.TypedDataEncoder.hash(typedData.domain, withoutDomainType(typedData.types), typedData.message);
+  return { payload: typedData, digest, error: null };
 }
 
-// Export for use in other modules
-export { signHashWithMetaMask };
+/**
+ * Recover the address that produced a signature for a sign request
+ * @param {Object} request - { input, kind, method }
+ * @param {string} signature - 65-byte signature
+ * @returns {string} Recovered address
+ */
+export function recoverSigner(request, signature) {
+  const { digest, error } = prepareSignRequest(request);
+  if (error) {
+    throw new Error(error);
+  }
+  return ethers.recoverAddress(digest, signature);
+}
+
+/**
+ * Sign with the connected wallet and recover the signer from the signature
+ * @param {Object} request - { input, kind, method }
+ * @param {Object} ethereum - EIP-1193 provider, defaults to window.ethereum
+ * @returns {Promise<Object>} { signature, signer, recovered, digest, method }
+ */
+export async function signWithWallet(request, ethereum = window.ethereum) {
+  if (!ethereum) {
+    throw new Error('MetaMask is not installed');
+  }
+  const { payload, digest, error } = prepareSignRequest(request);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const [signer] = await ethereum.request({ method: 'eth_requestAccounts' });
+  let signature;
+  switch (request.method) {
+    case 'eth_sign':
+      try {
+        signature = await ethereum.request({ method: 'eth_sign', params: [signer, payload] });
+      } catch (signError) {
+        throw new Error(`eth_sign failed (${signError.message}). Most wallets disable eth_sign; use personal_sign instead`);
+      }
+      break;
+    case 'personal_sign': {
+      const data = request.kind === 'hash' ? payload : ethers.hexlify(ethers.toUtf8Bytes(payload));
+      signature = await ethereum.request({ method: 'personal_sign', params: [data, signer] });
+      break;
+    }
+    case 'eth_signTypedData_v4': {
+      // Send the full payload with an EIP712Domain type matching the domain, as the wallet hashes it from types
+      const typedData = ethers.TypedDataEncoder.getPayload(payload.domain, withoutDomainType(payload.types), payload.message);
+      signature = await ethereum.request({ method: 'eth_signTypedData_v4', params: [signer, JSON.stringify(typedData)] });
+      break;
+    }
+    default:
+      throw new Error(`Unknown signing method "${request.method}"`);
+  }
+
+  const recovered = ethers.recoverAddress(digest, signature);
+  return { signature, signer: ethers.getAddress(signer), recovered, digest, method: request.method };
+}
 
-// Run if called directly
-if (typeof window !== 'undefined') {
-  // Only run in browser environment
-  signHashWithMetaMask();
+/**
+ * Sign a 32-byte hash with MetaMask
+ * @param {string} hash - 0x-prefixed 32-byte hash
+ * @param {string} method - 'personal_sign' (default) or 'eth_sign'
+ * @returns {Promise<string>} Signature
+ */
+export async function signHashWithMetaMask(hash, method = 'personal_sign') {
+  const { signature } = await signWithWallet({ input: hash, kind: 'hash', method });
+  return signature;
 }
@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+
+/**
+ * Token Metadata Helper
+ *
+ * Reads ERC-20 metadata from the chain instead of assuming 18 decimals.
+ * Results are cached per chain and token address.
+ */
+
+const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+const decimalsCache = new Map();
+
+/**
+ * Whether an ABI exposes decimals(), i.e. the contract looks like an ERC-20 token
+ * @param {Array} abi - JSON ABI
+ * @returns {boolean}
+ */
+export function hasDecimals(abi) {
+  return Array.isArray(abi) && abi.some(item => item.type === 'function' && item.name === 'decimals' && item.inputs.length === 0);
+}
+
+/**
+ * Read decimals() from a token contract
+ * @param {ethers.Provider} provider - Provider connected to the token's chain
+ * @param {string} address - Token address
+ * @returns {Promise<number|null>} Decimals, or null when the call fails
+ */
+export async function getTokenDecimals(provider, address) {
+  const network = await provider.getNetwork();
+  const cacheKey = `${network.chainId}:${address.toLowerCase()}`;
+  if (decimalsCache.has(cacheKey)) {
+    return decimalsCache.get(cacheKey);
+  }
+
+  try {
+    const token = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+    const decimals = Number(await token.decimals());
+    decimalsCache.set(cacheKey, decimals);
+    return decimals;
+  } catch (error) {
+    console.warn(`Failed to read decimals() from ${address}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Read decimals for every contract whose ABI exposes decimals()
+ * @param {ethers.Provider} provider - Provider connected to the tokens' chain
+ * @param {Array} contracts - Array of { address, abi }
+ * @returns {Promise<Object>} Map of lowercase address to decimals
+ */
+export async function loadTokenDecimals(provider, contracts) {
+  const tokens = contracts.filter(contract => hasDecimals(contract.abi));
+  const results = await Promise.all(tokens.map(token => getTokenDecimals(provider, token.address)));
+
+  return Object.fromEntries(
+    tokens
+      .map((token, index) => [token.address.toLowerCase(), results[index]])
+      .filter(([, decimals]) => decimals !== null)
+  );
+}
@@ -0,0 +1,308 @@
+import { ethers } from 'ethers';
+import { getKnownContracts } from './ContractRegistry.js';
+import { ABI as SafeABI } from '../Contracts/Safe.js';
+import { MULTISEND_DEPLOYMENTS } from '../Contracts/SafeLibraries.js';
+import { decodeWithSelectorTable, lookupSelector } from './SelectorTable.js';
+
+/**
+ * Transaction Decoder
+ *
+ * Turns raw Safe transaction calldata back into something a signer can read:
+ * - Matches the target address against the known contracts (built-in and custom)
+ * - Decodes the function name and named arguments with the contract's ABI
+ * - Formats token amounts with the token's decimals when they are known
+ * - Expands MultiSend batches into their inner calls, only when the target is a known MultiSend deployment
+ * - Recognises rejection transactions (zero-value self-calls that cancel a nonce)
+ *   and decodes other self-calls (owner and threshold changes) with the Safe ABI
+ * - Flags calls whose target or selector cannot be matched
+ * - Reverse decodes pasted calldata against every known ABI and the local selector table
+ */
+
+// multiSend(bytes) is shared by MultiSend and MultiSendCallOnly
+export const MULTISEND_SELECTOR = '0x8d80ff0a';
+const multiSendInterface = new ethers.Interface(['function multiSend(bytes transactions)']);
+
+// Argument names treated as token amounts when the target has decimals()
+export const AMOUNT_ARG_PATTERN = /amount|value|wad|balance|supply|allowance|cap|quantity/i;
+
+/**
+ * Convert a decoded ABI value into display-safe strings and arrays
+ * @param {*} value - Value returned by ethers decoding
+ * @returns {*} String, boolean or (nested) array of those
+ */
+export function formatDecodedValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, item => formatDecodedValue(item));
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value;
+  return String(value);
+}
+
+/**
+ * Find the known contract deployed at an address
+ * @param {string} address - Target address
+ * @param {Array} contracts - Contracts to search, defaults to every known contract
+ * @returns {Object|null} Matching contract entry
+ */
+export function findKnownContract(address, contracts = getKnownContracts()) {
+  if (!address || !ethers.isAddress(address)) return null;
+  return contracts.find(contract => contract.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+// Named, display-ready arguments of a parsed call; amounts are formatted when the token decimals are known
+function formatCallArgs(fragment, args, tokenDecimals) {
+  return fragment.inputs.map((input, index) => {
+    const arg = {
+      name: input.name || `arg${index}`,
+      type: input.type,
+      value: formatDecodedValue(args[index])
+    };
+    if (tokenDecimals !== undefined && input.type.startsWith('uint') && !input.type.endsWith(']') &&
+        AMOUNT_ARG_PATTERN.test(arg.name)) {
+      arg.formatted = ethers.formatUnits(args[index], tokenDecimals);
+    }
+    return arg;
+  });
+}
+
+/**
+ * Decode a single call against the known contracts
+ * @param {Object} call - { to, value, data }
+ * @param {Object} options - { contracts, decimals } where decimals maps lowercase token address to decimals
+ * @returns {Object} { to, value, data, selector, contractName, functionName, signature, args, isDecoded, error }
+ */
+export function decodeCall({ to, value = '0', data = '0x' }, options = {}) {
+  const { contracts = getKnownContracts(), decimals = {} } = options;
+  const calldata = data || '0x';
+  const decoded = {
+    to: String(to || ''),
+    value: String(value || '0'),
+    data: calldata,
+    selector: calldata.length >= 10 ? calldata.slice(0, 10) : null,
+    contractName: null,
+    functionName: null,
+    signature: null,
+    args: [],
+    isDecoded: false,
+    error: null
+  };
+
+  // Plain ETH transfer, nothing to decode
+  if (calldata === '0x') {
+    decoded.functionName = 'transfer (ETH)';
+    decoded.isDecoded = true;
+    return decoded;
+  }
+
+  const contract = findKnownContract(to, contracts);
+  if (contract) {
+    decoded.contractName = contract.name;
+  }
+
+  if (!decoded.selector) {
+    decoded.error = 'Calldata is shorter than a function selector';
+    return decoded;
+  }
+
+  if (!contract) {
+    decoded.error = `Unknown target contract (selector ${decoded.selector})`;
+    return decoded;
+  }
+
+  try {
+    const iface = new ethers.Interface(contract.abi);
+    const parsed = iface.parseTransaction({ data: calldata, value: decoded.value });
+    if (!parsed) {
+      decoded.error = `Unknown function selector ${decoded.selector}`;
+      return decoded;
+    }
+
+    const tokenDecimals = decimals[contract.address.toLowerCase()];
+
+    // Overloaded functions are shown by full signature so the variant is unambiguous
+    const isOverloaded = iface.fragments.filter(fragment => fragment.type === 'function' && fragment.name === parsed.name).length > 1;
+    decoded.functionName = isOverloaded ? parsed.signature : parsed.name;
+    decoded.signature = parsed.signature;
+    decoded.args = formatCallArgs(parsed.fragment, parsed.args, tokenDecimals);
+    decoded.isDecoded = true;
+  } catch (error) {
+    console.warn('Failed to decode calldata:', error);
+    decoded.error = `Calldata does not match ${contract.name} ABI: ${error.shortMessage || error.message}`;
+  }
+
+  return decoded;
+}
+
+/**
+ * Find the known MultiSend / MultiSendCallOnly deployment at an address
+ * Any contract can implement multiSend(bytes), so the selector alone does not make a call a trusted batch
+ * @param {string} address - Target address
+ * @returns {Object|null} { name, address, callOnly }
+ */
+export function findMultiSendDeployment(address) {
+  if (!address || !ethers.isAddress(address)) return null;
+  return MULTISEND_DEPLOYMENTS.find(deployment => deployment.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+/**
+ * Unpack the transactions bytes passed to multiSend(bytes)
+ * Each entry is encodePacked(uint8 operation, address to, uint256 value, uint256 dataLength, bytes data)
+ * @param {string} packed - Packed transactions as hex
+ * @returns {Array} Array of { operation, to, value, data }
+ */
+export function decodeMultiSendTransactions(packed) {
+  const bytes = ethers.getBytes(packed);
+  const calls = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    if (offset + 85 > bytes.length) {
+      throw new Error('Truncated MultiSend entry');
+    }
+    const operation = bytes[offset];
+    const to = ethers.getAddress(ethers.hexlify(bytes.slice(offset + 1, offset + 21)));
+    const value = ethers.toBigInt(bytes.slice(offset + 21, offset + 53));
+    const dataLength = Number(ethers.toBigInt(bytes.slice(offset + 53, offset + 85)));
+    if (offset + 85 + dataLength > bytes.length) {
+      throw new Error('MultiSend entry data exceeds the packed length');
+    }
+    const data = ethers.hexlify(bytes.slice(offset + 85, offset + 85 + dataLength));
+
+    calls.push({ operation, to, value: value.toString(), data });
+    offset += 85 + dataLength;
+  }
+
+  return calls;
+}
+
+/**
+ * Whether a Safe transaction is the standard rejection: a zero-value call from the Safe to itself with no data
+ * @param {Object} tx - { to, value, data, operation }
+ * @param {string} safeAddress - Address of the Safe
+ * @returns {boolean}
+ */
+export function isRejectionTransaction(tx, safeAddress) {
+  return Boolean(safeAddress && tx.to) &&
+    tx.to.toLowerCase() === safeAddress.toLowerCase() &&
+    String(tx.value || '0') === '0' &&
+    (!tx.data || tx.data === '0x') &&
+    Number(tx.operation || 0) === 0;
+}
+
+/**
+ * Decode a Safe transaction, expanding MultiSend batches into their inner calls
+ * @param {Object} tx - { to, value, data, operation } as returned by the Safe Transaction Service
+ * @param {Object} options - Same options as decodeCall, plus safeAddress to recognise rejections
+ * @returns {Object} decodeCall result plus { operation, innerCalls, isRejection, hasUnknownCalls }
+ */
+export function decodeSafeTransaction(tx, options = {}) {
+  const decoded = {
+    ...decodeCall({ to: tx.to, value: tx.value, data: tx.data }, options),
+    operation: Number(tx.operation || 0),
+    innerCalls: [],
+    isRejection: isRejectionTransaction(tx, options.safeAddress)
+  };
+
+  if (decoded.isRejection) {
+    decoded.contractName = 'Safe';
+    decoded.functionName = `rejection (cancels nonce ${tx.nonce ?? '?'})`;
+  } else if (options.safeAddress && tx.to && tx.to.toLowerCase() === options.safeAddress.toLowerCase()) {
+    // Self-calls are owner management (addOwnerWithThreshold, changeThreshold, ...)
+    const safeContract = { name: 'Safe', address: options.safeAddress, abi: SafeABI };
+    Object.assign(decoded, decodeCall({ to: tx.to, value: tx.value, data: tx.data }, {
+      ...options,
+      contracts: [safeContract, ...(options.contracts || getKnownContracts())]
+    }));
+  }
+
+  const multiSend = decoded.selector === MULTISEND_SELECTOR ? findMultiSendDeployment(tx.to) : null;
+  if (decoded.selector === MULTISEND_SELECTOR && !multiSend) {
+    console.warn(`multiSend(bytes) call to ${tx.to}, which is not a known MultiSend deployment`);
+    decoded.isDecoded = false;
+    decoded.error = `multiSend(bytes) on ${tx.to}, which is not a known MultiSend deployment: its calls are not shown`;
+  } else if (multiSend) {
+    try {
+      const [transactions] = multiSendInterface.decodeFunctionData('multiSend', decoded.data);
+      decoded.contractName = multiSend.name;
+      decoded.functionName = 'multiSend';
+      decoded.signature = 'multiSend(bytes)';
+      decoded.args = [];
+      decoded.innerCalls = decodeMultiSendTransactions(transactions).map(call => ({
+        ...decodeCall(call, options),
+        operation: call.operation,
+        innerCalls: []
+      }));
+      decoded.isDecoded = true;
+      decoded.error = null;
+    } catch (error) {
+      console.warn('Failed to decode MultiSend batch:', error);
+      decoded.isDecoded = false;
+      decoded.error = `Malformed MultiSend batch: ${error.message}`;
+    }
+  }
+
+  decoded.hasUnknownCalls = !decoded.isDecoded || decoded.innerCalls.some(call => !call.isDecoded);
+  return decoded;
+}
+
+/**
+ * Reverse decode arbitrary calldata, e.g. pasted in custom data mode
+ * Tries the target's own ABI first, then every other known ABI by selector, then the local selector table.
+ * Matches that do not come from the target's ABI are only a guess at what the bytes mean, and are flagged as such.
+ * @param {Object} call - { to, value, data }
+ * @param {Object} options - Same options as decodeCall
+ * @returns {Object} decodeCall result plus { source, sourceName, alternatives }
+ *   source is "target", "known-abi", "selector-table" or null when nothing matched,
+ *   alternatives lists other table signatures that decode the same bytes
+ */
+export function reverseDecodeCall(call, options = {}) {
+  const { contracts = getKnownContracts() } = options;
+  const decoded = { ...decodeCall(call, options), source: null, sourceName: null, alternatives: [] };
+
+  if (decoded.isDecoded) {
+    decoded.source = 'target';
+    decoded.sourceName = decoded.contractName;
+    return decoded;
+  }
+  if (!decoded.selector) return decoded;
+
+  for (const contract of contracts) {
+    try {
+      const parsed = new ethers.Interface(contract.abi).parseTransaction({ data: decoded.data, value: decoded.value });
+      if (!parsed) continue;
+      return {
+        ...decoded,
+        functionName: parsed.name,
+        signature: parsed.signature,
+        args: formatCallArgs(parsed.fragment, parsed.args),
+        isDecoded: true,
+        error: null,
+        source: 'known-abi',
+        sourceName: contract.name
+      };
+    } catch {
+      // Selector matched but the arguments did not, try the next ABI
+    }
+  }
+
+  const [match, ...alternatives] = decodeWithSelectorTable(decoded.data);
+  if (match) {
+    return {
+      ...decoded,
+      functionName: match.fragment.name,
+      signature: match.signature,
+      args: formatCallArgs(match.fragment, match.args),
+      isDecoded: true,
+      error: null,
+      source: 'selector-table',
+      sourceName: null,
+      alternatives: alternatives.map(alternative => alternative.signature)
+    };
+  }
+
+  const knownSignatures = lookupSelector(decoded.selector);
+  decoded.error = knownSignatures.length > 0
+    ? `Selector ${decoded.selector} is ${knownSignatures.join(' or ')}, but the arguments do not match`
+    : `No known ABI or selector table entry matches ${decoded.selector}`;
+  return decoded;
+}
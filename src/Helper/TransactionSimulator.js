@@ -0,0 +1,289 @@
+import { ethers } from 'ethers';
+import { ABI as SafeABI, THRESHOLD_STORAGE_SLOT } from '../Contracts/Safe.js';
+import { decodeSafeTransaction, findKnownContract } from './TransactionDecoder.js';
+import { getKnownContracts } from './ContractRegistry.js';
+
+/**
+ * Transaction Simulator
+ *
+ * Dry-runs a Safe transaction on a local Hardhat node before anyone signs it:
+ * - Impersonates a Safe owner and lowers the threshold to 1 inside an EVM snapshot,
+ *   so execTransaction runs with a single pre-validated owner signature
+ * - Reports success or revert with the decoded revert reason (from the inner call when the Safe wraps it)
+ * - Reports gas used, the emitted events decoded against the known ABIs,
+ *   and ETH / ERC-20 balance changes for the Safe, the target and every address the call touches
+ * - Reverts the snapshot afterwards, so the node is left untouched
+ *
+ * The node can be a fork of the live chain (`npx hardhat node --fork <RPC_URL>`)
+ * or a plain local chain with a locally deployed Safe, so simulations work offline.
+ */
+
+export const DEFAULT_SIMULATION_RPC_URL =
+  (import.meta.env && import.meta.env.VITE_SIMULATION_RPC_URL) ||
+  'http://127.0.0.1:8545';
+
+// Gas limit for the simulated execTransaction, high enough that estimation never caps it
+const SIMULATION_GAS_LIMIT = 15_000_000n;
+
+const safeInterface = new ethers.Interface(SafeABI);
+const erc20Interface = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+  'function balanceOf(address account) view returns (uint256)'
+]);
+const standardErrors = new ethers.Interface([
+  'error Error(string message)',
+  'error Panic(uint256 code)'
+]);
+
+/**
+ * Decode revert data into a readable reason
+ * @param {string} data - Revert data returned by the node
+ * @param {Array} contracts - Known contracts whose custom errors are tried
+ * @returns {string|null}
+ */
+export function decodeRevertReason(data, contracts = getKnownContracts()) {
+  if (!data || data === '0x') return null;
+
+  const interfaces = [standardErrors, ...contracts.map(contract => new ethers.Interface(contract.abi))];
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (!parsed) continue;
+      if (parsed.name === 'Error') return parsed.args[0];
+      if (parsed.name === 'Panic') return `Panic(0x${parsed.args[0].toString(16)})`;
+      return `${parsed.name}(${parsed.args.map(arg => String(arg)).join(', ')})`;
+    } catch {
+      // Not an error of this ABI, try the next one
+    }
+  }
+  return `Unknown revert data ${data.slice(0, 10)}`;
+}
+
+// Revert data carried by an ethers or JSON-RPC error, wherever the node put it
+function getRevertData(error) {
+  const candidates = [error.data, error.info && error.info.error && error.info.error.data, error.error && error.error.data];
+  const data = candidates.find(candidate => typeof candidate === 'string' && candidate.startsWith('0x'));
+  return data || null;
+}
+
+// eth_call that resolves to { success, data } instead of throwing on revert
+async function tryCall(provider, request) {
+  try {
+    return { success: true, data: await provider.call(request) };
+  } catch (error) {
+    const data = getRevertData(error);
+    if (data === null && error.code !== 'CALL_EXCEPTION') throw error;
+    return { success: false, data };
+  }
+}
+
+/**
+ * Decode a receipt log against the Safe, ERC-20 and known contract ABIs
+ * @param {Object} log - Receipt log
+ * @param {Array} contracts - Known contracts
+ * @param {string} safeAddress - Address of the Safe
+ * @returns {Object} { address, contractName, name, args } or { address, contractName, topics, data } when unknown
+ */
+function decodeLog(log, contracts, safeAddress) {
+  const contract = findKnownContract(log.address, contracts);
+  const isSafe = log.address.toLowerCase() === safeAddress.toLowerCase();
+  const contractName = isSafe ? 'Safe' : contract ? contract.name : null;
+  const interfaces = [
+    ...(isSafe ? [safeInterface] : []),
+    ...(contract ? [new ethers.Interface(contract.abi)] : []),
+    erc20Interface
+  ];
+
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      if (parsed) {
+        return {
+          address: log.address,
+          contractName,
+          name: parsed.name,
+          args: parsed.fragment.inputs.map((input, index) => ({
+            name: input.name || `arg${index}`,
+            value: String(parsed.args[index])
+          }))
+        };
+      }
+    } catch {
+      // Topic count or data does not match this ABI, try the next one
+    }
+  }
+
+  return { address: log.address, contractName, name: null, topics: log.topics, data: log.data };
+}
+
+// Address arguments of the decoded calls, used as balance change candidates
+function collectAddressArgs(decoded) {
+  const addresses = [];
+  for (const call of [decoded, ...decoded.innerCalls]) {
+    if (call.to && ethers.isAddress(call.to)) addresses.push(call.to);
+    for (const arg of call.args) {
+      if (arg.type === 'address' && ethers.isAddress(arg.value)) addresses.push(arg.value);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Simulate a Safe transaction on a local Hardhat node
+ * @param {Object} params
+ * @param {string} params.rpcUrl - Hardhat node JSON-RPC URL
+ * @param {string} params.safeAddress - Safe executing the transaction
+ * @param {Object} params.transaction - { to, value, data, operation, nonce }
+ * @param {Array} params.contracts - Known contracts used for decoding, defaults to every known contract
+ * @param {Object} params.decimals - Map of lowercase token address to decimals
+ * @returns {Promise<Object>} { success, revertReason, gasUsed, events, balanceChanges, executor, simulatedNonce, requestedNonce }
+ */
+export async function simulateSafeTransaction({
+  rpcUrl = DEFAULT_SIMULATION_RPC_URL,
+  safeAddress,
+  transaction,
+  contracts = getKnownContracts(),
+  decimals = {}
+}) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const safe = new ethers.Contract(safeAddress, SafeABI, provider);
+
+  if ((await provider.getCode(safeAddress)) === '0x') {
+    throw new Error(`No Safe deployed at ${safeAddress} on the simulation node. Start it as a fork of the Safe's chain or deploy the Safe locally.`);
+  }
+
+  const [owners, safeNonce] = await Promise.all([safe.getOwners(), safe.nonce()]);
+  const executor = owners[0];
+  const tx = {
+    to: transaction.to,
+    value: BigInt(transaction.value || 0),
+    data: transaction.data || '0x',
+    operation: Number(transaction.operation || 0)
+  };
+  const decoded = decodeSafeTransaction({ ...transaction, nonce: safeNonce }, { contracts, decimals, safeAddress });
+
+  // Owner "signature" with v = 1: accepted by the Safe when the owner is msg.sender
+  const signature = ethers.concat([ethers.zeroPadValue(executor, 32), ethers.ZeroHash, '0x01']);
+  const execData = safeInterface.encodeFunctionData('execTransaction', [
+    tx.to, tx.value, tx.data, tx.operation, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, signature
+  ]);
+
+  const snapshotId = await provider.send('evm_snapshot', []);
+  try {
+    await provider.send('hardhat_impersonateAccount', [executor]);
+    await provider.send('hardhat_setBalance', [executor, ethers.toQuantity(ethers.parseEther('10'))]);
+    await provider.send('hardhat_setStorageAt', [
+      safeAddress,
+      ethers.toQuantity(THRESHOLD_STORAGE_SLOT),
+      ethers.zeroPadValue(ethers.toBeHex(1), 32)
+    ]);
+
+    const result = {
+      success: false,
+      revertReason: null,
+      gasUsed: null,
+      events: [],
+      balanceChanges: [],
+      executor,
+      simulatedNonce: Number(safeNonce),
+      requestedNonce: transaction.nonce !== undefined ? Number(transaction.nonce) : Number(safeNonce)
+    };
+
+    // Dry-run first: a reverting execTransaction is reported without being mined
+    const dryRun = await tryCall(provider, { from: executor, to: safeAddress, data: execData, gasLimit: SIMULATION_GAS_LIMIT });
+    if (!dryRun.success) {
+      result.revertReason = decodeRevertReason(dryRun.data, contracts);
+
+      // GS013 means the inner call failed; replay it from the Safe to get its own reason
+      if (result.revertReason === 'GS013' && tx.operation === 0) {
+        const inner = await tryCall(provider, { from: safeAddress, to: tx.to, value: tx.value, data: tx.data });
+        if (!inner.success) {
+          result.revertReason = `GS013: inner call reverted${inner.data ? ` with ${decodeRevertReason(inner.data, contracts)}` : ''}`;
+        }
+      }
+      return result;
+    }
+
+    const txHash = await provider.send('eth_sendTransaction', [{
+      from: executor,
+      to: safeAddress,
+      data: execData,
+      gas: ethers.toQuantity(SIMULATION_GAS_LIMIT)
+    }]);
+    const receipt = await provider.waitForTransaction(txHash);
+
+    result.success = receipt.status === 1;
+    result.gasUsed = receipt.gasUsed;
+    result.events = receipt.logs.map(log => decodeLog(log, contracts, safeAddress));
+    if (result.events.some(event => event.contractName === 'Safe' && event.name === 'ExecutionFailure')) {
+      result.success = false;
+      result.revertReason = 'Inner call failed (ExecutionFailure)';
+    }
+
+    // Balances right before and after the simulated block
+    const addresses = new Map();
+    for (const address of [safeAddress, ...collectAddressArgs(decoded)]) {
+      addresses.set(address.toLowerCase(), ethers.getAddress(address));
+    }
+    const tokens = new Map(
+      Object.keys(decimals).map(address => [address, { address, decimals: decimals[address] }])
+    );
+    for (const event of result.events) {
+      if (event.name !== 'Transfer' || event.args.length !== 3) continue;
+      for (const party of [event.args[0].value, event.args[1].value]) {
+        if (ethers.isAddress(party) && party !== ethers.ZeroAddress) addresses.set(party.toLowerCase(), ethers.getAddress(party));
+      }
+      if (!tokens.has(event.address.toLowerCase())) {
+        tokens.set(event.address.toLowerCase(), { address: event.address, decimals: decimals[event.address.toLowerCase()] ?? null });
+      }
+    }
+
+    const before = receipt.blockNumber - 1;
+    const after = receipt.blockNumber;
+    for (const address of addresses.values()) {
+      const label = address.toLowerCase() === safeAddress.toLowerCase()
+        ? 'Safe'
+        : (findKnownContract(address, contracts) || {}).name || null;
+
+      const [ethBefore, ethAfter] = await Promise.all([
+        provider.getBalance(address, before),
+        provider.getBalance(address, after)
+      ]);
+      if (ethBefore !== ethAfter) {
+        result.balanceChanges.push({
+          address, label, token: 'ETH', tokenAddress: null, delta: ethAfter - ethBefore,
+          formatted: ethers.formatEther(ethAfter - ethBefore)
+        });
+      }
+
+      for (const token of tokens.values()) {
+        const tokenContract = new ethers.Contract(token.address, erc20Interface, provider);
+        try {
+          const [tokenBefore, tokenAfter] = await Promise.all([
+            tokenContract.balanceOf(address, { blockTag: before }),
+            tokenContract.balanceOf(address, { blockTag: after })
+          ]);
+          if (tokenBefore === tokenAfter) continue;
+          const delta = tokenAfter - tokenBefore;
+          result.balanceChanges.push({
+            address,
+            label,
+            token: (findKnownContract(token.address, contracts) || {}).name || token.address,
+            tokenAddress: token.address,
+            delta,
+            formatted: token.decimals !== null ? ethers.formatUnits(delta, token.decimals) : delta.toString()
+          });
+        } catch (error) {
+          console.warn(`Failed to read ${token.address} balance of ${address}:`, error);
+        }
+      }
+    }
+
+    return result;
+  } finally {
+    await provider.send('evm_revert', [snapshotId]);
+    await provider.send('hardhat_stopImpersonatingAccount', [executor]).catch(() => {});
+    provider.destroy();
+  }
+}
@@ -12,17 +12,19 @@ const execAsync = promisify(exec);
  * @title Standalone Contract Compiler
  * @notice Compiles a Solidity contract using Hardhat and returns the bytecode
  * @dev This script can be run independently to test contract compilation
+ * @param {string} contractName - Contract to compile
+ * @param {Object} options - { log } receives the progress messages (console.log by default)
  */
-async function compileContract(contractName = 'DCOLock') {
+async function compileContract(contractName = 'DCOLock', { log = console.log } = {}) {
     try {
-        console.log('🚀 Starting Contract Compilation...');
-        console.log(`📝 Contract name: ${contractName}`);
+        log('🚀 Starting Contract Compilation...');
+        log(`📝 Contract name: ${contractName}`);
 
         // Find the project root by looking for hardhat.config.cjs or hardhat.config.js
         let projectRoot = process.cwd();
         let configFound = false;
 
-        console.log('🔍 Searching for Hardhat config file...');
+        log('🔍 Searching for Hardhat config file...');
         let currentDir = projectRoot;
         while (currentDir !== dirname(currentDir)) {
             const configCjs = join(currentDir, 'hardhat.config.cjs');
@@ -31,14 +33,14 @@ async function compileContract(contractName = 'DCOLock') {
                 await access(configCjs);
                 projectRoot = currentDir;
                 configFound = true;
-                console.log(`✅ Found Hardhat config at: ${configCjs}`);
+                log(`✅ Found Hardhat config at: ${configCjs}`);
                 break;
             } catch {
                 try {
                     await access(configJs);
                     projectRoot = currentDir;
                     configFound = true;
-                    console.log(`✅ Found Hardhat config at: ${configJs}`);
+                    log(`✅ Found Hardhat config at: ${configJs}`);
                     break;
                 } catch {
                     // Continue searching
@@ -51,13 +53,13 @@ async function compileContract(contractName = 'DCOLock') {
             throw new Error('❌ Could not find hardhat.config.cjs or hardhat.config.js. Make sure you are running from a Hardhat project directory.');
         }
 
-        console.log(`📁 Project root: ${projectRoot}`);
+        log(`📁 Project root: ${projectRoot}`);
 
         // Check if Hardhat is installed
-        console.log('🔧 Checking Hardhat installation...');
+        log('🔧 Checking Hardhat installation...');
         try {
             const { stdout } = await execAsync('npx hardhat --version');
-            console.log(`✅ Hardhat version: ${stdout.trim()}`);
+            log(`✅ Hardhat version: ${stdout.trim()}`);
         } catch (error) {
             throw new Error(
                 '❌ Hardhat is not installed. Please install it with: npm install --save-dev hardhat\n' +
@@ -66,25 +68,25 @@ async function compileContract(contractName = 'DCOLock') {
         }
 
         // Check if contract file exists
-        console.log('🔍 Checking for contract file...');
+        log('🔍 Checking for contract file...');
         const contractPath = resolve(projectRoot, 'contracts', `${contractName}.sol`);
         try {
             await access(contractPath);
-            console.log(`✅ Found contract at: ${contractPath}`);
+            log(`✅ Found contract at: ${contractPath}`);
         } catch {
             // Try alternative location
             const altPath = resolve(projectRoot, 'contracts', 'DCO.sol');
             try {
                 await access(altPath);
-                console.log(`⚠️  Contract name is ${contractName} but file is DCO.sol`);
-                console.log(`📁 Contract file at: ${altPath}`);
+                log(`⚠️  Contract name is ${contractName} but file is DCO.sol`);
+                log(`📁 Contract file at: ${altPath}`);
             } catch {
                 throw new Error(`❌ Could not find contract file. Searched for:\n  - ${contractPath}\n  - ${altPath}`);
             }
         }
 
         // Compile the contract
-        console.log('⏳ Compiling contract with Hardhat...');
+        log('⏳ Compiling contract with Hardhat...');
         const command = `npx hardhat compile --force`;
         try {
             const { stdout, stderr } = await execAsync(command, {
@@ -93,8 +95,8 @@ async function compileContract(contractName = 'DCOLock') {
             });
 
             if (stdout) {
-                console.log('📋 Compilation output:');
-                console.log(stdout);
+                log('📋 Compilation output:');
+                log(stdout);
             }
 
             if (stderr && !stderr.includes('Warning') && !stderr.includes('Compiled')) {
@@ -112,10 +114,10 @@ async function compileContract(contractName = 'DCOLock') {
             throw new Error(`Hardhat compilation failed: ${compileError.message}`);
         }
 
-        console.log('✅ Compilation complete!');
+        log('✅ Compilation complete!');
 
         // Read the artifact to get bytecode
-        console.log('📖 Reading compiled artifact...');
+        log('📖 Reading compiled artifact...');
         const possibleArtifactPaths = [
             resolve(projectRoot, 'artifacts', 'contracts', `${contractName}.sol`, `${contractName}.json`),
             resolve(projectRoot, 'artifacts', 'contracts', 'DCO.sol', `${contractName}.json`),
@@ -130,7 +132,7 @@ async function compileContract(contractName = 'DCOLock') {
                 const content = await readFile(path, 'utf-8');
                 artifact = JSON.parse(content);
                 artifactPath = path;
-                console.log(`✅ Found artifact at: ${path}`);
+                log(`✅ Found artifact at: ${path}`);
                 break;
             } catch (e) {
                 // Try next path
@@ -147,12 +149,12 @@ async function compileContract(contractName = 'DCOLock') {
             throw new Error(`❌ No bytecode found in artifact. The contract may not have compiled successfully.`);
         }
 
-        console.log('\n✅✅✅ SUCCESS ✅✅✅');
-        console.log(`📏 Bytecode length: ${bytecode.length} characters`);
-        console.log(`📏 Bytecode (first 100 chars): ${bytecode.substring(0, 100)}...`);
-        console.log(`\n📦 Full bytecode:`);
-        console.log(bytecode);
-        console.log(`\n💾 Artifact location: ${artifactPath}`);
+        log('\n✅✅✅ SUCCESS ✅✅✅');
+        log(`📏 Bytecode length: ${bytecode.length} characters`);
+        log(`📏 Bytecode (first 100 chars): ${bytecode.substring(0, 100)}...`);
+        log(`\n📦 Full bytecode:`);
+        log(bytecode);
+        log(`\n💾 Artifact location: ${artifactPath}`);
 
         return {
             success: true,
@@ -0,0 +1,118 @@
+import fs from 'fs'
+import { createRequire } from 'module'
+import { fileURLToPath } from 'url'
+import { ethers } from 'ethers'
+
+const require = createRequire(import.meta.url)
+
+/**
+ * @title Local Safe Deployment
+ * @notice Deploys the Safe v1.4.1 contracts and a Safe to a local Hardhat node (npx hardhat node), and writes
+ *   the contract addresses as a SAFE_CONTRACT_NETWORKS file, so the safe CLI can run against it with --direct
+ * @dev Usage: node src/Scripts/DeployLocalSafe.js [contract-networks.json]. RPC_URL defaults to the Hardhat node
+ */
+
+export const LOCAL_RPC_URL = 'http://127.0.0.1:8545'
+export const DEFAULT_CONTRACT_NETWORKS_PATH = 'safe-contract-networks.local.json'
+
+// Local development chains only: the deployer is a well-known test account
+const LOCAL_CHAIN_IDS = [31337, 1337]
+
+// Test accounts of Hardhat and Anvil, funded on every local node
+const TEST_MNEMONIC = 'test test test test test test test test test test test junk'
+
+export function testAccount(index) {
+  return ethers.HDNodeWallet.fromPhrase(TEST_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`)
+}
+
+// Protocol kit contractNetworks entries and the Safe v1.4.1 artifact behind each
+const SAFE_CONTRACTS = {
+  safeSingletonAddress: 'SafeL2.sol/SafeL2',
+  safeProxyFactoryAddress: 'proxies/SafeProxyFactory.sol/SafeProxyFactory',
+  multiSendAddress: 'libraries/MultiSend.sol/MultiSend',
+  multiSendCallOnlyAddress: 'libraries/MultiSendCallOnly.sol/MultiSendCallOnly',
+  fallbackHandlerAddress: 'handler/CompatibilityFallbackHandler.sol/CompatibilityFallbackHandler',
+  signMessageLibAddress: 'libraries/SignMessageLib.sol/SignMessageLib',
+  createCallAddress: 'libraries/CreateCall.sol/CreateCall',
+  simulateTxAccessorAddress: 'accessors/SimulateTxAccessor.sol/SimulateTxAccessor'
+}
+
+function loadArtifact(path) {
+  return require(`@safe-global/safe-contracts/build/artifacts/contracts/${path}.json`)
+}
+
+async function deployContract(path, deployer) {
+  const { abi, bytecode } = loadArtifact(path)
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy()
+  await contract.waitForDeployment()
+  return contract
+}
+
+/**
+ * Deploy the Safe contracts and a Safe
+ * @param {Object} params - { rpcUrl, owners, threshold, funding } where funding is the ETH (in wei) sent to the Safe
+ * @returns {Promise<Object>} { chainId, safeAddress, owners, threshold, contractNetworks }
+ */
+export async function deployLocalSafe({
+  rpcUrl = LOCAL_RPC_URL,
+  owners = [0, 1, 2].map(index => testAccount(index).address),
+  threshold = 2,
+  funding = ethers.parseEther('1')
+} = {}) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl)
+  const chainId = Number((await provider.getNetwork()).chainId)
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`Chain ${chainId} is not a local development chain (${LOCAL_CHAIN_IDS.join(', ')}), not deploying`)
+  }
+  // Back-to-back deployments: the node may report the pending nonce before the last one is counted
+  const deployer = new ethers.NonceManager(testAccount(0).connect(provider))
+
+  // ✅ Deploy the singleton, factory and libraries
+  const addresses = {}
+  for (const [key, path] of Object.entries(SAFE_CONTRACTS)) {
+    const contract = await deployContract(path, deployer)
+    addresses[key] = await contract.getAddress()
+  }
+
+  // ✅ Create the Safe through the proxy factory
+  const safeInterface = new ethers.Interface(loadArtifact(SAFE_CONTRACTS.safeSingletonAddress).abi)
+  const setupData = safeInterface.encodeFunctionData('setup', [
+    owners, threshold, ethers.ZeroAddress, '0x', addresses.fallbackHandlerAddress, ethers.ZeroAddress, 0, ethers.ZeroAddress
+  ])
+  const factory = new ethers.Contract(addresses.safeProxyFactoryAddress, loadArtifact(SAFE_CONTRACTS.safeProxyFactoryAddress).abi, deployer)
+  const receipt = await (await factory.createProxyWithNonce(addresses.safeSingletonAddress, setupData, 0)).wait()
+  const creation = receipt.logs
+    .map(log => { try { return factory.interface.parseLog(log) } catch (error) { return null } })
+    .find(event => event && event.name === 'ProxyCreation')
+  const safeAddress = ethers.getAddress(creation.args.proxy)
+
+  if (funding > 0n) {
+    await (await deployer.sendTransaction({ to: safeAddress, value: funding })).wait()
+  }
+
+  return { chainId, safeAddress, owners, threshold, contractNetworks: { [chainId]: addresses } }
+}
+
+async function main() {
+  const contractNetworksPath = process.argv[2] || DEFAULT_CONTRACT_NETWORKS_PATH
+  const rpcUrl = process.env.RPC_URL || LOCAL_RPC_URL
+  const { chainId, safeAddress, owners, threshold, contractNetworks } = await deployLocalSafe({ rpcUrl })
+  fs.writeFileSync(contractNetworksPath, `${JSON.stringify(contractNetworks, null, 2)}\n`)
+
+  console.log(`✅ Safe ${safeAddress} deployed on chain ${chainId}, ${threshold} of ${owners.length} owners:`)
+  owners.forEach((owner, index) => console.log(`   ${owner} (test account ${index})`))
+  console.log(`📝 Contract addresses written to ${contractNetworksPath}`)
+  console.log('\nRun the safe CLI against it with these .env settings:\n')
+  console.log(`RPC_URL=${rpcUrl}`)
+  console.log(`SAFE_ADDRESS=${safeAddress}`)
+  console.log(`SAFE_CONTRACT_NETWORKS=${contractNetworksPath}`)
+  console.log('SAFE_DIRECT=true')
+  console.log(`PRIVATE_KEY=${testAccount(0).privateKey}`)
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('❌', error.message)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,110 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import { fileURLToPath } from 'url'
+import { ethers } from 'ethers'
+import { LOCAL_RPC_URL, deployLocalSafe, testAccount } from './DeployLocalSafe.js'
+
+/**
+ * @title Service-less Execution End-to-End Check
+ * @notice Runs the safe CLI with --direct against a fresh 2-of-3 Safe on a local Hardhat node (npx hardhat node):
+ *   create → sign-file by owner 1 → approve --file (approveHash) by owner 2 → execute --file by a non-owner,
+ *   with packed signatures, and checks the transfer landed
+ * @dev Usage: node src/Scripts/DirectExecutionE2E.js. RPC_URL defaults to the Hardhat node
+ */
+
+const execFileAsync = promisify(execFile)
+const SAFE_CLI = fileURLToPath(new URL('../Cli/safe.js', import.meta.url))
+const REFUSED = 4
+
+// Run a safe command with --json and return its result, or its error when it is expected to fail
+async function runSafe(args, env, { expectExitCode = 0 } = {}) {
+  let stdout
+  let exitCode = 0
+  try {
+    ({ stdout } = await execFileAsync(process.execPath, [SAFE_CLI, ...args, '--direct', '--json', '--yes'], {
+      env: { ...process.env, ...env }
+    }))
+  } catch (error) {
+    stdout = error.stdout
+    exitCode = error.code
+  }
+  const output = JSON.parse(stdout)
+  if (exitCode !== expectExitCode) {
+    throw new Error(`safe ${args[0]} exited with ${exitCode}, expected ${expectExitCode}: ${output.error?.message}`)
+  }
+  console.log(`✅ safe ${args.join(' ')}${exitCode ? ` refused: ${output.error.message}` : ''}`)
+  return exitCode ? output.error : output.result
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message)
+}
+
+async function main() {
+  const rpcUrl = process.env.RPC_URL || LOCAL_RPC_URL
+  const provider = new ethers.JsonRpcProvider(rpcUrl)
+  const [owner1, owner2, , outsider] = [0, 1, 2, 3].map(testAccount)
+  const recipient = ethers.Wallet.createRandom().address
+  const value = ethers.parseEther('0.1')
+
+  // ✅ Fresh Safe and its contract addresses
+  const { chainId, safeAddress, contractNetworks } = await deployLocalSafe({ rpcUrl })
+  console.log(`🚀 Safe ${safeAddress} deployed on chain ${chainId}`)
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-e2e-'))
+  const contractNetworksPath = path.join(workDir, 'contract-networks.json')
+  fs.writeFileSync(contractNetworksPath, JSON.stringify(contractNetworks))
+
+  // Everything a local .env could set is overridden
+  const env = {
+    RPC_URL: rpcUrl,
+    SAFE_ADDRESS: safeAddress,
+    CHAIN_ID: String(chainId),
+    SAFE_CONTRACT_NETWORKS: contractNetworksPath,
+    SAFE_API_KEY: '',
+    SAFE_TX_SERVICE_URL: '',
+    DELEGATECALL_ALLOWLIST: ''
+  }
+  const as = account => ({ ...env, PRIVATE_KEY: account.privateKey })
+  const unsignedFile = path.join(workDir, 'tx.json')
+  const signedFile = path.join(workDir, 'tx.signed.json')
+
+  try {
+    // ✅ Create and sign the transaction offline
+    const created = await runSafe(['create', recipient, '--value', value.toString(), '--out', unsignedFile], env)
+    await runSafe(['sign-file', unsignedFile, '--out', signedFile], as(owner1))
+
+    // ✅ One signature is below the threshold: nothing is sent
+    await runSafe(['execute', '--file', signedFile], as(outsider), { expectExitCode: REFUSED })
+
+    // ✅ Owner 2 approves the hash on-chain
+    const approval = await runSafe(['approve', '--file', unsignedFile], as(owner2))
+    check(approval.safeTxHash === created.safeTxHash, `Approved ${approval.safeTxHash}, created ${created.safeTxHash}`)
+    const safe = new ethers.Contract(safeAddress, [
+      'function approvedHashes(address owner, bytes32 hash) view returns (uint256)',
+      'function nonce() view returns (uint256)'
+    ], provider)
+    check(await safe.approvedHashes(owner2.address, created.safeTxHash) === 1n, 'approveHash is not recorded on-chain')
+
+    // ✅ A non-owner executes with the file signature and the on-chain approval
+    const execution = await runSafe(['execute', '--file', signedFile], as(outsider))
+    check(execution.event === 'ExecutionSuccess', `Expected ExecutionSuccess, got ${execution.event}`)
+    check(await provider.getBalance(recipient) === value, `${recipient} did not receive ${ethers.formatEther(value)} ETH`)
+    check(await safe.nonce() === BigInt(created.nonce) + 1n, 'The Safe nonce did not advance')
+
+    // ✅ The executed nonce cannot be executed again
+    await runSafe(['execute', '--file', signedFile], as(outsider), { expectExitCode: REFUSED })
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+    provider.destroy()
+  }
+
+  console.log('🎉 Service-less approveHash → execTransaction flow works')
+}
+
+main().catch(error => {
+  console.error('❌', error.message)
+  process.exitCode = 1
+})
@@ -16,7 +16,7 @@ async function main() {
   const SAFE_ADDRESS = '0xYourSafeAddress'
   const CHAIN_ID = await signer.getChainId()
 
-  // ✅ Safe.init with correct parameters (matching Testsdk.js pattern)
+  // ✅ Safe.init with correct parameters (matching the safe CLI)
   const safeSdk = await Safe.init({
     provider: "https://eth-sepolia.g.alchemy.com/v2/cdbVVL8-cDwSuLc6nQ0Lfg-VPvvHMtV0",
     signer: signer,
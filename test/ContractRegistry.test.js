@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The registry persists to localStorage: back it with an in-memory store
+const store = new Map();
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+};
+
+const {
+  BUILT_IN_CONTRACTS,
+  getKnownContracts,
+  loadBuiltInContracts,
+  loadCustomContracts,
+  removeCustomContract,
+  saveCustomContract,
+  setActiveChain
+} = await import('../src/Helper/ContractRegistry.js');
+const { DEFAULT_CHAIN_ID } = await import('../src/Helper/SafeConfig.js');
+
+const MAINNET = 1;
+const TREASURY = '0x1111111111111111111111111111111111111111';
+const OTHER_TREASURY = '0x2222222222222222222222222222222222222222';
+const ABI = [{ type: 'function', name: 'withdraw', inputs: [], outputs: [], stateMutability: 'nonpayable' }];
+
+beforeEach(() => {
+  store.clear();
+  setActiveChain(null);
+});
+
+test('custom contracts are only known on the chain they were saved for', () => {
+  saveCustomContract({ name: 'Treasury', address: TREASURY, abi: ABI, chainId: DEFAULT_CHAIN_ID });
+
+  assert.deepEqual(loadCustomContracts(DEFAULT_CHAIN_ID).map(contract => contract.address), [TREASURY]);
+  assert.deepEqual(loadCustomContracts(MAINNET), []);
+
+  setActiveChain(MAINNET);
+  assert.ok(!getKnownContracts().some(contract => contract.name === 'Treasury'));
+  setActiveChain(DEFAULT_CHAIN_ID);
+  assert.ok(getKnownContracts().some(contract => contract.name === 'Treasury'));
+});
+
+test('no custom contracts are known while the chain is unknown', () => {
+  saveCustomContract({ name: 'Treasury', address: TREASURY, abi: ABI, chainId: DEFAULT_CHAIN_ID });
+  assert.deepEqual(loadCustomContracts(), []);
+});
+
+test('the same name on another chain is a separate contract', () => {
+  saveCustomContract({ name: 'Treasury', address: TREASURY, abi: ABI, chainId: DEFAULT_CHAIN_ID });
+  saveCustomContract({ name: 'Treasury', address: OTHER_TREASURY, abi: ABI, chainId: MAINNET });
+
+  assert.equal(loadCustomContracts(DEFAULT_CHAIN_ID)[0].address, TREASURY);
+  assert.equal(loadCustomContracts(MAINNET)[0].address, OTHER_TREASURY);
+
+  assert.deepEqual(removeCustomContract('Treasury', MAINNET), []);
+  assert.equal(loadCustomContracts(DEFAULT_CHAIN_ID)[0].address, TREASURY);
+});
+
+test('saving requires a chain', () => {
+  assert.throws(
+    () => saveCustomContract({ name: 'Treasury', address: TREASURY, abi: ABI, chainId: null }),
+    /Connect a wallet/
+  );
+});
+
+test('contracts saved without a chain belong to the default chain', () => {
+  store.set('customContracts', JSON.stringify([{ name: 'Legacy', address: TREASURY, abi: ABI }]));
+
+  assert.deepEqual(loadCustomContracts(DEFAULT_CHAIN_ID).map(contract => contract.name), ['Legacy']);
+  assert.deepEqual(loadCustomContracts(MAINNET), []);
+});
+
+test('built-in contracts are only known on the chain they are deployed on', () => {
+  const builtInNames = BUILT_IN_CONTRACTS.map(contract => contract.name);
+  assert.deepEqual(loadBuiltInContracts(DEFAULT_CHAIN_ID).map(contract => contract.name), builtInNames);
+  assert.deepEqual(loadBuiltInContracts(MAINNET), []);
+  assert.deepEqual(loadBuiltInContracts(), []);
+
+  setActiveChain(MAINNET);
+  assert.deepEqual(getKnownContracts(), []);
+  setActiveChain(DEFAULT_CHAIN_ID);
+  assert.deepEqual(getKnownContracts().map(contract => contract.name), builtInNames);
+});
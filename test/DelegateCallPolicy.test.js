@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { assertDelegateCallsAllowed, getDelegateCallAllowList } from '../src/Helper/DelegateCallPolicy.js';
+
+const MULTISEND_141 = '0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526';
+const MULTISEND_130_EIP155 = '0x998739BFdAAdde7C933B942a68053933098f9EDa';
+const SIGN_MESSAGE_LIB_141 = '0xd53cd0aB83D845Ac265BE939c57F53AD838012c9';
+const ATTACKER = '0x1111111111111111111111111111111111111111';
+const TOKEN = '0x2222222222222222222222222222222222222222';
+
+const multiSendInterface = new ethers.Interface(['function multiSend(bytes transactions)']);
+
+// multiSend(bytes) calldata for the given { operation, to, value, data } calls
+function encodeBatch(calls) {
+  const packed = ethers.concat(calls.map(call => ethers.solidityPacked(
+    ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+    [call.operation, call.to, call.value || 0, ethers.dataLength(call.data || '0x'), call.data || '0x']
+  )));
+  return multiSendInterface.encodeFunctionData('multiSend', [packed]);
+}
+
+test('calls need no allow-listed target', () => {
+  assert.deepEqual(assertDelegateCallsAllowed([{ to: ATTACKER, data: '0x', operation: 0 }]), []);
+});
+
+test('delegatecalls outside the allow-list are refused', () => {
+  assert.throws(
+    () => assertDelegateCallsAllowed([{ to: ATTACKER, data: '0x', operation: 1 }]),
+    /not an allow-listed library/
+  );
+});
+
+test('the eip155 library deployments are allow-listed', () => {
+  const data = encodeBatch([{ operation: 0, to: TOKEN }]);
+  const libraries = assertDelegateCallsAllowed([{ to: MULTISEND_130_EIP155, data, operation: 1 }]);
+  assert.deepEqual(libraries.map(library => library.name), ['MultiSend 1.3.0 (eip155)']);
+});
+
+test('a MultiSend batch of calls is allowed', () => {
+  const data = encodeBatch([{ operation: 0, to: TOKEN, data: '0xa9059cbb' }, { operation: 0, to: ATTACKER, value: 1 }]);
+  const libraries = assertDelegateCallsAllowed([{ to: MULTISEND_141, data, operation: 1 }]);
+  assert.deepEqual(libraries.map(library => library.name), ['MultiSend 1.4.1']);
+});
+
+test('a delegatecall hidden in a MultiSend batch is refused', () => {
+  const data = encodeBatch([{ operation: 0, to: TOKEN }, { operation: 1, to: ATTACKER, data: '0x12345678' }]);
+  assert.throws(
+    () => assertDelegateCallsAllowed([{ to: MULTISEND_141, data, operation: 1 }]),
+    new RegExp(`DelegateCall to ${ATTACKER} is not allowed`)
+  );
+});
+
+test('a delegatecall hidden in a nested MultiSend batch is refused', () => {
+  const inner = encodeBatch([{ operation: 1, to: ATTACKER }]);
+  const data = encodeBatch([{ operation: 1, to: MULTISEND_141, data: inner }]);
+  assert.throws(() => assertDelegateCallsAllowed([{ to: MULTISEND_141, data, operation: 1 }]), /not an allow-listed library/);
+});
+
+test('allow-listed delegatecalls inside a batch are reported', () => {
+  const data = encodeBatch([{ operation: 1, to: SIGN_MESSAGE_LIB_141, data: '0x85a5affe' }]);
+  const libraries = assertDelegateCallsAllowed([{ to: MULTISEND_141, data, operation: 1 }]);
+  assert.deepEqual(libraries.map(library => library.name), ['MultiSend 1.4.1', 'SignMessageLib 1.4.1']);
+});
+
+test('a batch that cannot be unpacked is refused', () => {
+  const truncated = multiSendInterface.encodeFunctionData('multiSend', ['0x00' + TOKEN.slice(2)]);
+  assert.throws(
+    () => assertDelegateCallsAllowed([{ to: MULTISEND_141, data: truncated, operation: 1 }]),
+    /cannot be checked/
+  );
+});
+
+test('team libraries extend the allow-list, and their batches are checked too', () => {
+  const allowList = getDelegateCallAllowList(`${TOKEN}, not-an-address`);
+  assert.deepEqual(assertDelegateCallsAllowed([{ to: TOKEN, data: '0x', operation: 1 }], allowList), [
+    { name: 'Team library', address: TOKEN }
+  ]);
+  const data = encodeBatch([{ operation: 1, to: ATTACKER }]);
+  assert.throws(() => assertDelegateCallsAllowed([{ to: TOKEN, data, operation: 1 }], allowList), /not an allow-listed library/);
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { preimageSafeTransactionHash } from '@safe-global/protocol-kit';
+import {
+  createSafeTxFile,
+  mergeSafeTxFiles,
+  parseSafeTxFile,
+  recoverSafeTxSigner,
+  serializeSafeTxFile,
+  signSafeTxFile,
+  submitSafeTxFile
+} from '../src/Helper/SafeTxFile.js';
+
+// Hardhat's first test accounts
+const owners = [
+  new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'),
+  new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'),
+  new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a')
+];
+
+const SAFE_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const tx = {
+  to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  value: '1000000000000000',
+  data: '0x',
+  operation: 0,
+  safeTxGas: '0',
+  baseGas: '0',
+  gasPrice: '0',
+  gasToken: ethers.ZeroAddress,
+  refundReceiver: ethers.ZeroAddress,
+  nonce: 3
+};
+
+const unsignedFile = () => createSafeTxFile({ chainId: 11155111, safeAddress: SAFE_ADDRESS, safeVersion: '1.4.1', tx });
+
+test('the safeTxHash matches the protocol kit', () => {
+  for (const safeVersion of ['1.4.1', '1.3.0']) {
+    const file = createSafeTxFile({ chainId: 11155111, safeAddress: SAFE_ADDRESS, safeVersion, tx });
+    const expected = ethers.keccak256(preimageSafeTransactionHash(SAFE_ADDRESS, tx, safeVersion, 11155111n));
+    assert.equal(file.safeTxHash, expected, `Safe v${safeVersion}`);
+  }
+});
+
+test('Safes before v1.3.0 sign without the chain id', () => {
+  const file = createSafeTxFile({ chainId: 11155111, safeAddress: SAFE_ADDRESS, safeVersion: '1.1.1', tx });
+  assert.deepEqual(file.typedData.domain, { verifyingContract: SAFE_ADDRESS });
+  assert.equal(file.safeTxHash, createSafeTxFile({ chainId: 1, safeAddress: SAFE_ADDRESS, safeVersion: '1.1.1', tx }).safeTxHash);
+});
+
+test('a transaction with missing fields is refused', () => {
+  assert.throws(
+    () => createSafeTxFile({ chainId: 1, safeAddress: SAFE_ADDRESS, safeVersion: '1.4.1', tx: { to: tx.to } }),
+    /missing value, data, operation/
+  );
+});
+
+test('signatures recover to their owner and are sorted by signer', async () => {
+  let file = unsignedFile();
+  for (const owner of owners) {
+    file = await signSafeTxFile(file, owner);
+  }
+  const signers = owners.map(owner => owner.address).sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+  assert.deepEqual(file.signatures.map(signature => signature.signer), signers);
+  file.signatures.forEach(signature => {
+    assert.deepEqual(recoverSafeTxSigner(file.safeTxHash, signature.data), { signer: signature.signer, type: 'eip712' });
+  });
+});
+
+test('eth_sign and approved-hash signatures are recognized', async () => {
+  const { safeTxHash } = unsignedFile();
+  const signature = ethers.Signature.from(await owners[0].signMessage(ethers.getBytes(safeTxHash)));
+  const ethSign = ethers.concat([signature.r, signature.s, ethers.toBeHex(signature.v + 4, 1)]);
+  assert.deepEqual(recoverSafeTxSigner(safeTxHash, ethSign), { signer: owners[0].address, type: 'eth_sign' });
+
+  const approvedHash = ethers.concat([ethers.zeroPadValue(owners[1].address, 32), ethers.ZeroHash, '0x01']);
+  assert.deepEqual(recoverSafeTxSigner(safeTxHash, approvedHash), { signer: owners[1].address, type: 'approved-hash' });
+
+  assert.throws(() => recoverSafeTxSigner(safeTxHash, '0x1234'), /Only 65-byte/);
+  assert.throws(() => recoverSafeTxSigner(safeTxHash, ethers.concat([ethers.ZeroHash, ethers.ZeroHash, '0x00'])), /Unsupported signature type/);
+});
+
+test('a signature claimed for another owner is refused', async () => {
+  const signed = await signSafeTxFile(unsignedFile(), owners[0]);
+  const [signature] = signed.signatures;
+  assert.throws(
+    () => createSafeTxFile({ ...signed, signatures: [{ ...signature, signer: owners[1].address }] }),
+    new RegExp(`was made by ${owners[0].address}`)
+  );
+});
+
+test('signed copies merge into one file with one signature per owner', async () => {
+  const file = unsignedFile();
+  const first = await signSafeTxFile(file, owners[0]);
+  const second = await signSafeTxFile(file, owners[1]);
+  const merged = mergeSafeTxFiles([first, second, first]);
+  assert.equal(merged.safeTxHash, file.safeTxHash);
+  assert.equal(merged.signatures.length, 2);
+
+  const other = createSafeTxFile({ ...file, tx: { ...tx, nonce: 4 } });
+  assert.throws(() => mergeSafeTxFiles([first, other]), /is a different transaction/);
+  assert.throws(() => mergeSafeTxFiles([]), /No transaction files/);
+});
+
+test('files are verified when they are read back', async () => {
+  const signed = await signSafeTxFile(unsignedFile(), owners[0]);
+  assert.deepEqual(parseSafeTxFile(serializeSafeTxFile(signed)), signed);
+
+  const tampered = JSON.parse(serializeSafeTxFile(signed));
+  tampered.tx.value = '2000000000000000';
+  assert.throws(() => parseSafeTxFile(tampered), /does not match the transaction/);
+
+  // A signature from another transaction recovers to an unrelated address
+  const foreign = await signSafeTxFile(createSafeTxFile({ ...signed, tx: { ...tx, nonce: 4 }, signatures: [] }), owners[0]);
+  const swapped = JSON.parse(serializeSafeTxFile(signed));
+  swapped.signatures = foreign.signatures;
+  assert.throws(() => parseSafeTxFile(swapped), /Signature claimed for/);
+
+  assert.throws(() => parseSafeTxFile('{'), /Invalid JSON/);
+  assert.throws(() => parseSafeTxFile({ type: 'other' }), /Not a Safe transaction file/);
+  assert.throws(() => parseSafeTxFile({ ...signed, version: 2 }), /Unsupported Safe transaction file version 2/);
+});
+
+// Transaction Service double that records the calls made to it
+function serviceApiKit(getTransaction) {
+  const calls = [];
+  return {
+    calls,
+    getTransaction,
+    proposeTransaction: async proposal => calls.push(['propose', proposal.senderAddress]),
+    confirmTransaction: async (safeTxHash, signature) => calls.push(['confirm', signature])
+  };
+}
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+test('a transaction the service does not know is proposed by its first owner signature', async () => {
+  let file = unsignedFile();
+  for (const owner of owners.slice(0, 2)) {
+    file = await signSafeTxFile(file, owner);
+  }
+  const approvedHash = ethers.concat([ethers.zeroPadValue(owners[2].address, 32), ethers.ZeroHash, '0x01']);
+  file = createSafeTxFile({ ...file, signatures: [{ signer: owners[2].address, data: approvedHash }, ...file.signatures] });
+
+  const apiKit = serviceApiKit(async () => { throw httpError(404, 'No MultisigTransaction matches the given query.'); });
+  const result = await submitSafeTxFile({ apiKit, file });
+
+  const [first, second] = file.signatures.filter(signature => signature.data !== approvedHash);
+  assert.deepEqual(apiKit.calls, [['propose', first.signer], ['confirm', second.data]]);
+  assert.deepEqual(result, { proposed: true, confirmed: [first.signer, second.signer], skipped: [owners[2].address] });
+});
+
+test('signatures the service already has are not added again', async () => {
+  let file = unsignedFile();
+  for (const owner of owners.slice(0, 2)) {
+    file = await signSafeTxFile(file, owner);
+  }
+  const [known, missing] = file.signatures;
+  const apiKit = serviceApiKit(async () => ({ confirmations: [{ owner: known.signer.toLowerCase() }] }));
+
+  const result = await submitSafeTxFile({ apiKit, file });
+  assert.deepEqual(apiKit.calls, [['confirm', missing.data]]);
+  assert.deepEqual(result, { proposed: false, confirmed: [missing.signer], skipped: [] });
+});
+
+test('service failures other than not found stop the submit', async () => {
+  const file = await signSafeTxFile(unsignedFile(), owners[0]);
+  const apiKit = serviceApiKit(async () => { throw httpError(429, 'Too Many Requests'); });
+
+  await assert.rejects(submitSafeTxFile({ apiKit, file }), /Too Many Requests/);
+  assert.deepEqual(apiKit.calls, []);
+});
+
+test('a file with only on-chain approvals has nothing to submit', async () => {
+  const approvedHash = ethers.concat([ethers.zeroPadValue(owners[0].address, 32), ethers.ZeroHash, '0x01']);
+  const file = createSafeTxFile({ ...unsignedFile(), signatures: [{ signer: owners[0].address, data: approvedHash }] });
+  const apiKit = serviceApiKit(async () => null);
+
+  await assert.rejects(submitSafeTxFile({ apiKit, file }), /no owner signatures/);
+  assert.deepEqual(apiKit.calls, []);
+});
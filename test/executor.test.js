@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { EthSafeSignature } from '@safe-global/protocol-kit';
+import { countApprovals, packSignatures } from '../src/Cli/executor.js';
+import { EXIT_CODES } from '../src/Cli/output.js';
+
+const SAFE_TX_HASH = ethers.id('safe transaction');
+const [low, middle, high, outsider] = [
+  '0x1000000000000000000000000000000000000001',
+  '0x5000000000000000000000000000000000000005',
+  '0xA000000000000000000000000000000000000000',
+  '0xF00000000000000000000000000000000000000F'
+].map(address => ethers.getAddress(address.toLowerCase()));
+
+// Stand-in 65-byte EIP-712 signature, identifiable by its owner
+const signatureOf = owner => ethers.concat([ethers.zeroPadValue(owner, 32), ethers.id(owner), '0x1b']);
+const preValidated = owner => ethers.concat([ethers.zeroPadValue(owner, 32), ethers.ZeroHash, '0x01']);
+
+const safeTransactionSignedBy = signatures => ({
+  signatures: new Map(Object.entries(signatures).map(([owner, data]) => [owner.toLowerCase(), new EthSafeSignature(owner, data)]))
+});
+
+const safeSdkFor = ({ owners, threshold, approvedOnChain = [] }) => ({
+  getOwners: async () => owners,
+  getThreshold: async () => threshold,
+  getOwnersWhoApprovedTx: async () => approvedOnChain
+});
+
+test('attached owner signatures and on-chain approvals are counted once per owner', async () => {
+  const safeSdk = safeSdkFor({ owners: [low, middle, high], threshold: 3, approvedOnChain: [middle, high] });
+  const safeTransaction = safeTransactionSignedBy({ [high]: signatureOf(high), [outsider]: signatureOf(outsider) });
+  const approvals = await countApprovals({ safeSdk, signerAddress: outsider }, safeTransaction, SAFE_TX_HASH);
+  assert.deepEqual(approvals.signers, [high]);
+  assert.deepEqual(approvals.ignored, [outsider]);
+  assert.equal(approvals.executorApproves, false);
+  assert.equal(approvals.count, 2);
+});
+
+test('an executing owner counts only while the threshold is not reached', async () => {
+  const safeSdk = safeSdkFor({ owners: [low, middle, high], threshold: 2 });
+  const oneSignature = safeTransactionSignedBy({ [high]: signatureOf(high) });
+  const missingOne = await countApprovals({ safeSdk, signerAddress: low }, oneSignature, SAFE_TX_HASH);
+  assert.equal(missingOne.executorApproves, true);
+  assert.equal(missingOne.count, 2);
+
+  const twoSignatures = safeTransactionSignedBy({ [high]: signatureOf(high), [middle]: signatureOf(middle) });
+  const enough = await countApprovals({ safeSdk, signerAddress: low }, twoSignatures, SAFE_TX_HASH);
+  assert.equal(enough.executorApproves, false);
+  assert.equal(enough.count, 2);
+});
+
+test('signatures are packed in ascending owner order, with pre-validated approvals', () => {
+  const safeTransaction = safeTransactionSignedBy({ [high]: signatureOf(high), [outsider]: signatureOf(outsider) });
+  const approvals = { signers: [high], approvedOnChain: [middle], executorApproves: true };
+  const packed = packSignatures(safeTransaction, approvals, low);
+  assert.equal(packed, ethers.concat([preValidated(low), preValidated(middle), signatureOf(high)]));
+});
+
+test('an owner with a signature and an on-chain approval is packed once', () => {
+  const safeTransaction = safeTransactionSignedBy({ [middle]: signatureOf(middle) });
+  const packed = packSignatures(safeTransaction, { signers: [middle], approvedOnChain: [middle], executorApproves: false }, outsider);
+  assert.equal(ethers.dataLength(packed), 65);
+  assert.equal(packed, preValidated(middle));
+});
+
+test('signatures that are not 65 bytes cannot be packed', () => {
+  const contractSignature = ethers.concat([signatureOf(high), ethers.ZeroHash]);
+  const safeTransaction = safeTransactionSignedBy({ [high]: contractSignature });
+  assert.throws(
+    () => packSignatures(safeTransaction, { signers: [high], approvedOnChain: [], executorApproves: false }, outsider),
+    error => error.exitCode === EXIT_CODES.REFUSED && /not a 65-byte owner signature/.test(error.message)
+  );
+});